@@ -0,0 +1,99 @@
+/**
+ * Request authentication for Netlify Functions
+ * Validates the caller's Supabase access token, checks that they belong to
+ * the organization that owns the event, and enforces per-user and
+ * per-organization rate limits through the check_rate_limit RPC.
+ */
+
+const { HttpError } = require('./http');
+const { getAccessToken, createUserClient } = require('./supabase');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Authenticate the caller for an event
+ * @param {Object} event - Netlify function event
+ * @param {string} eventId - Event the request is about
+ * @returns {Object} - { user, profile, event, supabase } with a client acting as the caller
+ */
+async function authorizeEventRequest(event, eventId) {
+  const accessToken = getAccessToken(event);
+
+  if (!accessToken) {
+    throw new HttpError(401, 'unauthenticated', 'Sign in to continue');
+  }
+
+  const supabase = createUserClient(accessToken);
+
+  if (!supabase) {
+    throw new HttpError(500, 'not_configured', 'Supabase is not configured for this function');
+  }
+
+  const { data: userData, error: userError } = await supabase.auth.getUser(accessToken);
+
+  if (userError || !userData || !userData.user) {
+    throw new HttpError(401, 'invalid_token', 'Your session has expired. Please sign in again.');
+  }
+
+  const { data: profile, error: profileError } = await supabase
+    .from('users')
+    .select('id, organization_id, role')
+    .eq('id', userData.user.id)
+    .maybeSingle();
+
+  if (profileError) throw profileError;
+
+  if (!profile) {
+    throw new HttpError(403, 'no_profile', 'Your account is not linked to an organization');
+  }
+
+  if (!eventId || !UUID_PATTERN.test(eventId)) {
+    throw new HttpError(400, 'invalid_event', 'A valid eventId is required');
+  }
+
+  // RLS already hides other organizations' events; the explicit check guards against policy drift
+  const { data: eventRow, error: eventError } = await supabase
+    .from('events')
+    .select('id, organization_id')
+    .eq('id', eventId)
+    .maybeSingle();
+
+  if (eventError) throw eventError;
+
+  if (!eventRow || eventRow.organization_id !== profile.organization_id) {
+    throw new HttpError(403, 'forbidden', 'You do not have access to this event');
+  }
+
+  return { user: userData.user, profile, event: eventRow, supabase };
+}
+
+/**
+ * Count the request against the caller's limits
+ * The limits live in the rate_limit_settings table, so callers cannot raise them
+ * @param {Object} supabase - Client acting as the caller
+ * @param {string} action - Rate-limited action name
+ */
+async function enforceRateLimit(supabase, action) {
+  const { data, error } = await supabase.rpc('check_rate_limit', { p_action: action });
+
+  if (error) throw error;
+
+  if (!data.allowed) {
+    const minutes = Math.ceil(data.retry_after / 60);
+    const who = data.scope === 'organization' ? 'Your organization has' : 'You have';
+
+    throw new HttpError(
+      429,
+      'rate_limited',
+      `${who} reached the limit of file analyses. Try again in ${minutes} minute${minutes !== 1 ? 's' : ''}.`,
+      { scope: data.scope, retryAfter: data.retry_after },
+      { 'Retry-After': String(data.retry_after) }
+    );
+  }
+}
+
+module.exports = {
+  UUID_PATTERN,
+  authorizeEventRequest,
+  enforceRateLimit
+};
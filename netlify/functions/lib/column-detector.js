@@ -0,0 +1,413 @@
+/**
+ * Heuristic column detector for pre-registration spreadsheets
+ * Maps spreadsheet columns to participant fields without calling the AI:
+ * headers are matched against a synonym dictionary and sample values are
+ * sniffed with email/DNI patterns. Custom event fields are matched against
+ * their label and key, with values checked against the field type.
+ * Used as a fallback when the Anthropic API is unavailable and to cross-check
+ * the AI answer.
+ */
+
+const { parseParticipantType } = require('../../../shared/import-fields');
+
+// Minimum score for a column to be mapped to a field
+const MIN_SCORE = 0.35;
+
+// Score above which a heuristic match is trusted enough to question the AI
+const STRONG_SCORE = 0.8;
+
+// Header synonyms per field, with how strongly each one suggests the field
+const FIELD_SYNONYMS = {
+  dni: [
+    ['dni', 1], ['cedula', 1], ['documento', 1], ['numero de documento', 1],
+    ['nro documento', 1], ['n documento', 1], ['doc', 0.8], ['identificacion', 0.9],
+    ['ci', 0.8], ['nif', 0.9], ['nie', 0.9], ['rut', 0.9], ['curp', 0.9],
+    ['pasaporte', 0.8], ['passport', 0.8], ['id number', 0.9], ['id', 0.5]
+  ],
+  email: [
+    ['email', 1], ['e mail', 1], ['correo', 1], ['correo electronico', 1],
+    ['mail', 0.9], ['email address', 1]
+  ],
+  full_name: [
+    ['nombre completo', 1], ['apellidos y nombres', 1], ['nombres y apellidos', 1],
+    ['full name', 1], ['nombre', 0.9], ['nombres', 0.9], ['name', 0.9],
+    ['participante', 0.7], ['asistente', 0.7], ['colaborador', 0.6],
+    ['empleado', 0.6], ['apellidos', 0.4], ['apellido', 0.4], ['last name', 0.4]
+  ],
+  area: [
+    ['area', 1], ['departamento', 1], ['department', 1], ['dept', 0.9],
+    ['gerencia', 0.9], ['division', 0.8], ['unidad', 0.7], ['sector', 0.7],
+    ['equipo', 0.7], ['team', 0.7], ['seccion', 0.6]
+  ],
+  participant_type: [
+    ['tipo de participante', 1], ['tipo participante', 1], ['participant type', 1],
+    ['tipo', 0.6], ['type', 0.6], ['rol', 0.6], ['role', 0.6],
+    ['categoria', 0.6], ['category', 0.6], ['perfil', 0.5]
+  ]
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// 6-12 digits, optionally with a short letter prefix/suffix (DNI, NIE, passports)
+const DNI_PATTERN = /^[a-z]{0,2}\d{6,12}[a-z]?$/i;
+
+const NAME_PATTERN = /^[\p{L}'.-]+(\s+[\p{L}'.-]+)+$/u;
+
+const PHONE_PATTERN = /^\+?[\d\s().-]{6,20}$/;
+const DATE_PATTERN = /^(\d{4}-\d{1,2}-\d{1,2}|\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4})$/;
+const BOOLEAN_VALUES = ['yes', 'y', 'si', 's', 'true', '1', 'x', 'no', 'n', 'false', '0'];
+
+/**
+ * Lowercase, strip accents and collapse punctuation to spaces
+ * @param {*} value - Raw header or cell value
+ * @returns {string}
+ */
+function normalize(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9@.]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Score how strongly a header name suggests a field (0-1)
+ * @param {string} header - Column header
+ * @param {string} field - Participant field
+ * @returns {number}
+ */
+function scoreHeader(header, field) {
+  const normalized = normalize(header).replace(/\./g, ' ').replace(/\s+/g, ' ');
+  const words = normalized.split(' ');
+  let best = 0;
+
+  FIELD_SYNONYMS[field].forEach(([synonym, weight]) => {
+    if (normalized === synonym) {
+      best = Math.max(best, weight);
+    } else if (synonym.includes(' ') ? normalized.includes(synonym) : words.includes(synonym)) {
+      // Partial match ("Correo corporativo", "Nro. DNI") is slightly weaker
+      best = Math.max(best, weight * 0.8);
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Fraction of non-empty sample values that look like the field (0-1)
+ * @param {Array} values - Sample values from one column
+ * @param {string} field - Participant field
+ * @returns {number}
+ */
+function scoreValues(values, field) {
+  const filled = values
+    .map(value => String(value ?? '').trim())
+    .filter(Boolean);
+
+  if (filled.length === 0) return 0;
+
+  const ratio = (test) => filled.filter(test).length / filled.length;
+
+  switch (field) {
+    case 'email':
+      return ratio(value => EMAIL_PATTERN.test(value));
+    case 'dni':
+      return ratio(value => DNI_PATTERN.test(value.replace(/[\s.-]/g, '')));
+    case 'full_name':
+      return ratio(value => NAME_PATTERN.test(value));
+    case 'area': {
+      // Areas are short text labels that repeat across rows
+      const textRatio = ratio(value => !/\d/.test(value) && !value.includes('@') && value.length <= 40);
+      const distinct = new Set(filled.map(value => value.toLowerCase())).size;
+      const repeats = filled.length > 1 && distinct < filled.length ? 1 : 0.5;
+      return textRatio * repeats;
+    }
+    case 'participant_type':
+      return ratio(value => parseParticipantType(value) !== null);
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Combined header + value score for a column and field (0-1)
+ */
+function scoreColumn(header, values, field) {
+  const headerScore = scoreHeader(header, field);
+  const valueScore = scoreValues(values, field);
+
+  switch (field) {
+    case 'email':
+      // Values are decisive for emails, whatever the header says
+      return Math.max(0.5 * headerScore + 0.5 * valueScore, valueScore * 0.9);
+    case 'dni':
+      // Phone numbers and codes also look numeric, so the header matters more
+      return 0.6 * headerScore + 0.4 * valueScore;
+    case 'full_name':
+      return headerScore > 0 ? 0.7 * headerScore + 0.3 * valueScore : 0.4 * valueScore;
+    case 'area':
+      return headerScore > 0 ? 0.8 * headerScore + 0.2 * valueScore : 0.2 * valueScore;
+    case 'participant_type':
+      // "Lead"/"Asistente" values are distinctive, but "Tipo" alone is a common header
+      return headerScore > 0 ? 0.5 * headerScore + 0.5 * valueScore : 0.5 * valueScore;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Score how strongly a header matches a custom field's label or key (0-1)
+ * @param {string} header - Column header
+ * @param {Object} field - Event field ({ field_key, label })
+ * @returns {number}
+ */
+function scoreCustomHeader(header, field) {
+  const normalized = normalize(header).replace(/\./g, ' ').replace(/\s+/g, ' ');
+  const words = normalized.split(' ');
+  const targets = [normalize(field.label), normalize(field.field_key.replace(/_/g, ' '))].filter(Boolean);
+  let best = 0;
+
+  targets.forEach(target => {
+    const targetWords = target.split(' ');
+    const shared = targetWords.filter(word => words.includes(word)).length;
+
+    if (normalized === target) {
+      best = Math.max(best, 1);
+    } else if (shared === targetWords.length) {
+      // Every word of the label appears in the header ("Telefono movil" for "Telefono")
+      best = Math.max(best, 0.8);
+    } else if (shared > 0) {
+      best = Math.max(best, 0.7 * shared / Math.max(targetWords.length, words.length));
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Fraction of non-empty sample values that fit a custom field's type (0-1)
+ */
+function scoreCustomValues(values, field) {
+  const filled = values
+    .map(value => String(value ?? '').trim())
+    .filter(Boolean);
+
+  if (filled.length === 0) return 0;
+
+  const ratio = (test) => filled.filter(test).length / filled.length;
+
+  switch (field.field_type) {
+    case 'email':
+      return ratio(value => EMAIL_PATTERN.test(value));
+    case 'phone':
+      return ratio(value => PHONE_PATTERN.test(value) && value.replace(/\D/g, '').length >= 6);
+    case 'date':
+      return ratio(value => DATE_PATTERN.test(value));
+    case 'number':
+      return ratio(value => !isNaN(Number(value)));
+    case 'checkbox':
+      return ratio(value => BOOLEAN_VALUES.includes(normalize(value)));
+    case 'select': {
+      const options = (field.options || []).map(normalize);
+      return ratio(value => options.includes(normalize(value)));
+    }
+    default:
+      // Free text fits anything, so it neither helps nor hurts
+      return 0.5;
+  }
+}
+
+/**
+ * Combined header + value score for a column and custom field (0-1).
+ * A header match is required: a type alone ("some numbers") is not enough.
+ */
+function scoreCustomColumn(header, values, field) {
+  const headerScore = scoreCustomHeader(header, field);
+  const valueScore = scoreCustomValues(values, field);
+  return headerScore > 0 ? 0.8 * headerScore + 0.2 * valueScore : 0.3 * valueScore;
+}
+
+/**
+ * Scorer for built-in fields and the event's custom fields, keyed by field
+ * @param {Array<Object>} customFields - Event fields ({ field_key, label, field_type, options })
+ * @returns {Function} - (header, values, field) => score
+ */
+function fieldScorer(customFields) {
+  const customByKey = new Map(customFields.map(field => [field.field_key, field]));
+  return (header, values, field) => (customByKey.has(field)
+    ? scoreCustomColumn(header, values, customByKey.get(field))
+    : scoreColumn(header, values, field));
+}
+
+function columnValues(rows, column) {
+  return rows.map(row => row[column]);
+}
+
+function round(score) {
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Pick the identifier following the same priority as the AI prompt: DNI > email > name
+ */
+function chooseIdentifier(mappings, confidence, columns) {
+  if (mappings.dni && confidence.dni >= 0.5) {
+    return { identifier_type: 'dni', identifier_column: mappings.dni };
+  }
+  if (mappings.email) {
+    return { identifier_type: 'email', identifier_column: mappings.email };
+  }
+  if (mappings.full_name) {
+    return { identifier_type: 'name', identifier_column: mappings.full_name };
+  }
+  if (mappings.dni) {
+    return { identifier_type: 'dni', identifier_column: mappings.dni };
+  }
+  return { identifier_type: 'name', identifier_column: columns[0] || null };
+}
+
+/**
+ * Map columns to participant fields without AI
+ * @param {Array<string>} columns - Column headers
+ * @param {Array<Object>} rows - Sample rows keyed by header
+ * @param {Array<Object>} customFields - Event fields, mapped by field_key alongside the built-in fields
+ * @returns {Object} - Analysis in the same shape as the AI answer, plus confidence per field
+ */
+function detectColumns(columns, rows, customFields = []) {
+  const fields = [...Object.keys(FIELD_SYNONYMS), ...customFields.map(field => field.field_key)];
+  const scoreField = fieldScorer(customFields);
+  const candidates = [];
+
+  columns.forEach(column => {
+    const values = columnValues(rows, column);
+    fields.forEach(field => {
+      const score = scoreField(column, values, field);
+      if (score >= MIN_SCORE) {
+        candidates.push({ field, column, score });
+      }
+    });
+  });
+
+  // Greedy assignment: best scores first, one column per field and field per column
+  candidates.sort((a, b) => b.score - a.score);
+
+  const mappings = Object.fromEntries(fields.map(field => [field, null]));
+  const confidence = Object.fromEntries(fields.map(field => [field, 0]));
+  const usedColumns = new Set();
+
+  candidates.forEach(({ field, column, score }) => {
+    if (mappings[field] || usedColumns.has(column)) return;
+    mappings[field] = column;
+    confidence[field] = round(score);
+    usedColumns.add(column);
+  });
+
+  return {
+    ...chooseIdentifier(mappings, confidence, columns),
+    mappings,
+    confidence
+  };
+}
+
+/**
+ * Cross-check an AI mapping against the heuristics.
+ * Columns that do not exist are replaced with the heuristic choice; obvious
+ * mismatches (an "email" column without addresses, a surname-only name
+ * column...) are reported as warnings for the admin to review.
+ * @param {Object} analysis - Mapping returned by the AI
+ * @param {Array<string>} columns - Column headers
+ * @param {Array<Object>} rows - Sample rows keyed by header
+ * @param {Array<Object>} customFields - Event fields the AI was asked to map
+ * @returns {Object} - { analysis, warnings }
+ */
+function crossCheckMapping(analysis, columns, rows, customFields = []) {
+  const heuristic = detectColumns(columns, rows, customFields);
+  const scoreField = fieldScorer(customFields);
+  const warnings = [];
+  const mappings = { ...heuristic.mappings };
+  const confidence = {};
+
+  // Keys the AI invented are ignored
+  Object.entries(analysis.mappings || {}).forEach(([field, column]) => {
+    if (field in mappings) mappings[field] = column;
+  });
+
+  Object.keys(mappings).forEach(field => {
+    let column = mappings[field];
+
+    if (column && !columns.includes(column)) {
+      warnings.push({
+        field,
+        message: `AI mapped ${field} to "${column}", which is not a column in this file`
+      });
+      column = heuristic.mappings[field];
+      mappings[field] = column;
+    }
+
+    if (!column) {
+      confidence[field] = 0;
+      if (heuristic.mappings[field] && heuristic.confidence[field] >= STRONG_SCORE) {
+        warnings.push({
+          field,
+          message: `${field} is not mapped, but "${heuristic.mappings[field]}" looks like a match`
+        });
+      }
+      return;
+    }
+
+    const values = columnValues(rows, column);
+    confidence[field] = round(scoreField(column, values, field));
+
+    if (field === 'email' && scoreValues(values, 'email') < 0.5) {
+      warnings.push({ field, message: `Most values in "${column}" are not email addresses` });
+    } else if (field === 'dni' && scoreValues(values, 'dni') < 0.5) {
+      warnings.push({ field, message: `Most values in "${column}" do not look like document numbers` });
+    } else if (field === 'participant_type' && scoreValues(values, 'participant_type') < 0.5) {
+      warnings.push({ field, message: `Most values in "${column}" are not participant types (lead, participant, attendee)` });
+    } else if (field === 'full_name' && scoreHeader(column, 'full_name') > 0 && scoreHeader(column, 'full_name') <= 0.4) {
+      warnings.push({ field, message: `"${column}" looks like a surname-only column` });
+    } else if (
+      heuristic.mappings[field] &&
+      heuristic.mappings[field] !== column &&
+      heuristic.confidence[field] >= STRONG_SCORE &&
+      confidence[field] < MIN_SCORE
+    ) {
+      warnings.push({
+        field,
+        message: `"${heuristic.mappings[field]}" looks like a better match than "${column}"`
+      });
+    }
+  });
+
+  let { identifier_type: identifierType, identifier_column: identifierColumn } = analysis;
+
+  if (!identifierColumn || !columns.includes(identifierColumn)) {
+    warnings.push({
+      field: 'identifier',
+      message: `AI identifier column "${identifierColumn}" is not in this file; using "${heuristic.identifier_column}"`
+    });
+    identifierType = heuristic.identifier_type;
+    identifierColumn = heuristic.identifier_column;
+  }
+
+  if (!['dni', 'email', 'name'].includes(identifierType)) {
+    identifierType = heuristic.identifier_type;
+  }
+
+  return {
+    analysis: {
+      identifier_type: identifierType,
+      identifier_column: identifierColumn,
+      mappings,
+      confidence
+    },
+    warnings
+  };
+}
+
+module.exports = {
+  detectColumns,
+  crossCheckMapping,
+  normalize
+};
@@ -0,0 +1,98 @@
+/**
+ * HTTP helpers for Netlify Functions
+ * JSON responses, CORS limited to the site's own origins, and an error type
+ * that carries the status code and a machine-readable code for the client.
+ */
+
+/**
+ * Error returned to the client as { error, code, ...details }
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status
+   * @param {string} code - Machine-readable error code (e.g. 'rate_limited')
+   * @param {string} message - Message shown to the user
+   * @param {Object} [details] - Extra fields for the body (e.g. { retryAfter })
+   * @param {Object} [headers] - Extra response headers (e.g. Retry-After)
+   */
+  constructor(statusCode, code, message, details = {}, headers = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Origins allowed to call the functions from a browser.
+ * ALLOWED_ORIGINS (comma-separated) overrides the site URLs Netlify provides.
+ * @returns {Array<string>}
+ */
+function allowedOrigins() {
+  if (process.env.ALLOWED_ORIGINS) {
+    return process.env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean);
+  }
+  return [process.env.URL, process.env.DEPLOY_PRIME_URL, process.env.DEPLOY_URL].filter(Boolean);
+}
+
+/**
+ * CORS headers for the request's origin (none for origins that are not allowed)
+ * @param {Object} event - Netlify function event
+ * @param {string} methods - Allowed methods
+ * @returns {Object}
+ */
+function corsHeaders(event, methods) {
+  const origin = event.headers.origin || event.headers.Origin;
+
+  if (!origin || !allowedOrigins().includes(origin)) {
+    return {};
+  }
+
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': methods,
+    'Vary': 'Origin'
+  };
+}
+
+/**
+ * JSON response
+ * @param {number} statusCode - HTTP status
+ * @param {Object} body - Response body
+ * @param {Object} [headers] - Extra headers
+ * @returns {Object} - Netlify function response
+ */
+function jsonResponse(statusCode, body, headers = {}) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    body: JSON.stringify(body)
+  };
+}
+
+/**
+ * Structured error response
+ * @param {HttpError} error - Error to report
+ * @param {Object} [headers] - Extra headers (CORS)
+ * @returns {Object} - Netlify function response
+ */
+function errorResponse(error, headers = {}) {
+  return jsonResponse(
+    error.statusCode,
+    { error: error.message, code: error.code, ...error.details },
+    { ...headers, ...error.headers }
+  );
+}
+
+module.exports = {
+  HttpError,
+  corsHeaders,
+  jsonResponse,
+  errorResponse
+};
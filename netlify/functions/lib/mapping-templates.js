@@ -0,0 +1,92 @@
+/**
+ * Saved column-mapping templates
+ * A template is a confirmed mapping stored on the organization and keyed by a
+ * fingerprint of the header set, so the same export format maps the same way
+ * every time without asking the AI again.
+ */
+
+const crypto = require('crypto');
+const { normalize } = require('./column-detector');
+const { SHEET_COLUMN } = require('../../../shared/import-fields');
+
+const FIELDS = ['full_name', 'email', 'dni', 'area', 'participant_type'];
+
+/**
+ * Fingerprint of a header set: order, case, accents and punctuation do not matter
+ * @param {Array<string>} columns - Column headers (the synthetic sheet column is ignored)
+ * @returns {string} - SHA-256 hex digest
+ */
+function headerFingerprint(columns) {
+  const headers = columns
+    .filter(column => column !== SHEET_COLUMN)
+    .map(normalize)
+    .filter(Boolean)
+    .sort();
+
+  return crypto.createHash('sha256').update(JSON.stringify(headers)).digest('hex');
+}
+
+/**
+ * Look up the caller's organization template for a fingerprint
+ * @param {Object|null} supabase - Client acting as the caller (RLS scopes it to their organization)
+ * @param {string} fingerprint - Header fingerprint
+ * @returns {Object|null} - Template row, or null when none matches or lookup is unavailable
+ */
+async function findTemplate(supabase, fingerprint) {
+  if (!supabase) return null;
+
+  try {
+    const { data, error } = await supabase
+      .from('mapping_templates')
+      .select('id, name, mapping')
+      .eq('header_fingerprint', fingerprint)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Mapping template lookup failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Resolve a template mapping against this file's exact column names
+ * @param {Object} template - Template row ({ mapping })
+ * @param {Array<string>} columns - Column headers of the uploaded file
+ * @param {Array<Object>} customFields - Event fields; only these custom keys are carried over
+ * @returns {Object|null} - Analysis with full confidence, or null if the identifier column is missing
+ */
+function applyTemplate(template, columns, customFields = []) {
+  const byKey = new Map(columns.map(column => [normalize(column), column]));
+  const resolve = (column) => {
+    if (!column) return null;
+    if (column === SHEET_COLUMN) return columns.includes(SHEET_COLUMN) ? SHEET_COLUMN : null;
+    return byKey.get(normalize(column)) || null;
+  };
+
+  const mapping = template.mapping || {};
+  const identifierColumn = resolve(mapping.identifier_column);
+
+  if (!identifierColumn) return null;
+
+  const mappings = {};
+  const confidence = {};
+  [...FIELDS, ...customFields.map(field => field.field_key)].forEach(field => {
+    mappings[field] = resolve(mapping.mappings && mapping.mappings[field]);
+    confidence[field] = mappings[field] ? 1 : 0;
+  });
+
+  return {
+    identifier_type: mapping.identifier_type,
+    identifier_column: identifierColumn,
+    mappings,
+    confidence
+  };
+}
+
+module.exports = {
+  headerFingerprint,
+  findTemplate,
+  applyTemplate
+};
@@ -0,0 +1,58 @@
+/**
+ * Supabase access for Netlify Functions
+ * Queries run with the caller's access token so Row Level Security
+ * scopes them to the caller's organization, exactly as in the browser.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+/**
+ * Supabase URL and anon key (same variables the config function serves)
+ * @returns {Object} - { url, anonKey }
+ */
+function getSupabaseConfig() {
+  return {
+    url: process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL,
+    anonKey: process.env.SUPABASE_ANON_KEY || process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
+  };
+}
+
+/**
+ * Read the bearer token from the Authorization header
+ * @param {Object} event - Netlify function event
+ * @returns {string|null}
+ */
+function getAccessToken(event) {
+  const header = event.headers.authorization || event.headers.Authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Create a Supabase client acting as the caller
+ * @param {string} accessToken - Caller's Supabase access token
+ * @returns {Object|null} - Supabase client, or null when Supabase is not configured
+ */
+function createUserClient(accessToken) {
+  const { url, anonKey } = getSupabaseConfig();
+
+  if (!url || !anonKey || !accessToken) {
+    return null;
+  }
+
+  return createClient(url, anonKey, {
+    global: {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    },
+    auth: {
+      persistSession: false,
+      autoRefreshToken: false
+    }
+  });
+}
+
+module.exports = {
+  getSupabaseConfig,
+  getAccessToken,
+  createUserClient
+};
@@ -0,0 +1,96 @@
+/**
+ * Signed ticket tokens for QR codes
+ * A token names one pre-registered row and is signed with TICKET_SECRET for
+ * its event, so a ticket cannot be forged or reused at another event:
+ *   RT1.<pre-registered id>.<signature>
+ */
+
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+const { UUID_PATTERN } = require('./auth');
+
+const TOKEN_PREFIX = 'RT1';
+
+// Signature bytes kept in the token (shorter tokens give smaller, easier-to-scan QR codes)
+const SIGNATURE_BYTES = 16;
+
+// Most row ids accepted in one issue request (the ids travel in the query URL)
+const MAX_TICKET_IDS = 100;
+
+/**
+ * Ticket signing secret
+ * @returns {string|null}
+ */
+function getTicketSecret() {
+  return process.env.TICKET_SECRET || null;
+}
+
+function signature(secret, eventId, preRegisteredId) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${eventId}:${preRegisteredId}`)
+    .digest()
+    .subarray(0, SIGNATURE_BYTES)
+    .toString('base64url');
+}
+
+/**
+ * Create the ticket token for a pre-registered participant
+ * @param {string} secret - TICKET_SECRET
+ * @param {string} eventId - Event the ticket is valid for
+ * @param {string} preRegisteredId - pre_registered_participants.id
+ * @returns {string}
+ */
+function signTicket(secret, eventId, preRegisteredId) {
+  return `${TOKEN_PREFIX}.${preRegisteredId}.${signature(secret, eventId, preRegisteredId)}`;
+}
+
+/**
+ * Check a scanned token against an event
+ * @param {string} secret - TICKET_SECRET
+ * @param {string} eventId - Event being checked in
+ * @param {string} token - Scanned QR text
+ * @returns {string|null} - pre_registered_participants.id, or null if the ticket is not valid for the event
+ */
+function verifyTicket(secret, eventId, token) {
+  const parts = String(token || '').trim().split('.');
+  if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) return null;
+
+  const [, preRegisteredId, given] = parts;
+  const expected = Buffer.from(signature(secret, eventId, preRegisteredId));
+  const received = Buffer.from(given);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  return preRegisteredId;
+}
+
+/**
+ * Validate the row ids of an issue request
+ * @param {*} ids - payload.ids; missing means every row of the event
+ * @returns {Array<string>}
+ * @throws {HttpError} 400 when ids is not a short array of UUIDs
+ */
+function parseTicketIds(ids) {
+  if (ids === undefined || ids === null) return [];
+
+  if (!Array.isArray(ids) || !ids.every(id => typeof id === 'string' && UUID_PATTERN.test(id))) {
+    throw new HttpError(400, 'invalid_payload', 'ids must be an array of participant ids');
+  }
+
+  if (ids.length > MAX_TICKET_IDS) {
+    throw new HttpError(400, 'invalid_payload', `At most ${MAX_TICKET_IDS} tickets can be requested at once`, { maxIds: MAX_TICKET_IDS });
+  }
+
+  return ids;
+}
+
+module.exports = {
+  MAX_TICKET_IDS,
+  getTicketSecret,
+  parseTicketIds,
+  signTicket,
+  verifyTicket
+};
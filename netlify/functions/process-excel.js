@@ -1,43 +1,90 @@
 /**
  * Netlify Function: Process Excel file with AI
- * Accepts Excel/CSV upload, analyzes columns with Claude AI
- * Returns column mappings for pre-registration
+ * The browser parses the spreadsheet and sends only its headers and a sample
+ * of rows; columns are analyzed with Claude AI (or the offline heuristic
+ * detector when the API is unavailable).
+ * Files whose header set matches a saved organization template reuse that
+ * mapping directly and skip the AI call.
+ * Returns the proposed column mapping for review.
+ * Nothing is written here: the client imports rows once the admin confirms.
+ * Callers must be signed in and belong to the event's organization; AI calls
+ * are rate-limited per user and per organization (template matches and the
+ * heuristic detector are not counted).
  */
 
 const Anthropic = require('@anthropic-ai/sdk');
-const XLSX = require('xlsx');
-const multipart = require('parse-multipart-data');
+const { detectColumns, crossCheckMapping } = require('./lib/column-detector');
+const { SHEET_COLUMN } = require('../../shared/import-fields');
+const { headerFingerprint, findTemplate, applyTemplate } = require('./lib/mapping-templates');
+const { authorizeEventRequest, enforceRateLimit } = require('./lib/auth');
+const { HttpError, corsHeaders, jsonResponse, errorResponse } = require('./lib/http');
 
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+// Rows used by the heuristic detector to sniff values (larger samples are truncated)
+const DETECTION_ROW_COUNT = 50;
+
+// Rows shown to the AI
+const AI_SAMPLE_ROW_COUNT = 5;
+
+// Custom event field rules (mirrors the event_fields table constraints)
+const CUSTOM_FIELD_KEY = /^[a-z][a-z0-9_]*$/;
+const RESERVED_FIELD_KEYS = ['full_name', 'email', 'dni', 'area', 'participant_type', 'identifier_value'];
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'email', 'phone', 'date', 'select', 'checkbox'];
+const MAX_CUSTOM_FIELDS = 30;
+
+// Largest accepted request body; only headers and sample rows are sent, never the file
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Anthropic client, created on first use so a missing key does not crash the module
+let anthropic = null;
+
+function getAnthropicClient() {
+  if (!anthropic) {
+    anthropic = new Anthropic({
+      apiKey: process.env.ANTHROPIC_API_KEY,
+    });
+  }
+  return anthropic;
+}
 
 /**
- * Process Excel file with AI to identify columns
- * @param {Buffer} fileBuffer - Excel file buffer
- * @returns {Object} - Analysis result with column mappings and data
+ * Extract the JSON object from the model answer.
+ * Tolerates markdown fences and text around the object.
+ * @param {string} text - Raw model output
+ * @returns {Object}
  */
-async function processExcelWithAI(fileBuffer) {
+function parseAIResponse(text) {
+  const cleaned = text.replace(/```(?:json)?/gi, '').trim();
+
   try {
-    // Parse Excel file from buffer
-    const workbook = XLSX.read(fileBuffer, { type: 'buffer' });
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const jsonData = XLSX.utils.sheet_to_json(worksheet);
-
-    if (jsonData.length === 0) {
-      throw new Error('Excel file is empty');
+    return JSON.parse(cleaned);
+  } catch (error) {
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw new Error('AI response did not contain JSON');
     }
+    return JSON.parse(cleaned.slice(start, end + 1));
+  }
+}
 
-    // Get column names
-    const columns = Object.keys(jsonData[0]);
-
-    // Take first 5 rows as sample
-    const sampleData = jsonData.slice(0, 5);
+/**
+ * Ask Claude to map the columns
+ * @param {Array<string>} columns - Column headers
+ * @param {Array<Object>} sampleData - First rows of the sheet
+ * @param {Array<Object>} customFields - Event-specific fields to map as well
+ * @returns {Object} - { identifier_type, identifier_column, mappings }
+ */
+async function analyzeColumnsWithAI(columns, sampleData, customFields = []) {
+  const customMappings = customFields
+    .map(field => `,\n    "${field.field_key}": "exact_column_name_or_null"`)
+    .join('');
+  const customInstructions = customFields.length > 0
+    ? `\nThis event also collects these custom fields (key: label, type). Map each one to the column that holds it, or null:
+${customFields.map(field => `- ${field.field_key}: ${field.label} (${field.field_type}${field.options && field.options.length ? `, one of ${field.options.join(' / ')}` : ''})`).join('\n')}
+`
+    : '';
 
-    // Ask AI to identify columns and best identifier
-    const prompt = `You are analyzing an Excel file for event participant pre-registration.
+  const prompt = `You are analyzing an Excel file for event participant pre-registration.
 
 Here are the columns: ${columns.join(', ')}
 
@@ -52,28 +99,96 @@ Please analyze this data and respond with ONLY a JSON object (no markdown, no ex
     "full_name": "exact_column_name_or_null",
     "email": "exact_column_name_or_null",
     "dni": "exact_column_name_or_null",
-    "area": "exact_column_name_or_null"
+    "area": "exact_column_name_or_null",
+    "participant_type": "exact_column_name_or_null"${customMappings}
   }
 }
-
+${customInstructions}
 Priority for identifier: DNI (cedula, documento, identification) > email > name
+participant_type is a column saying whether the person is a lead (speaker, organizer), a participant or an attendee (guest); null if there is none.
 Use the exact column names from the data.`;
 
-    const message = await anthropic.messages.create({
-      model: 'claude-3-5-sonnet-20241022',
-      max_tokens: 1024,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
-    });
+  const message = await getAnthropicClient().messages.create({
+    model: 'claude-3-5-sonnet-20241022',
+    max_tokens: 1024,
+    messages: [{
+      role: 'user',
+      content: prompt
+    }]
+  });
+
+  return parseAIResponse(message.content[0].text.trim());
+}
 
-    const aiResponse = message.content[0].text.trim();
-    const analysis = JSON.parse(aiResponse);
+/**
+ * Map columns with the AI when available, falling back to the heuristic detector.
+ * The AI answer is always cross-checked so obvious mistakes are flagged.
+ * @param {Array<string>} columns - Column headers
+ * @param {Array<Object>} sampleData - First rows of the sheet (sent to the AI)
+ * @param {Array<Object>} detectionRows - Larger slice used for value sniffing
+ * @param {Array<Object>} customFields - Event-specific fields mapped alongside the built-in ones
+ * @param {Function} chargeAICall - Counts the AI call against the rate limit; throws when over it
+ * @returns {Object} - { analysis, source, warnings }
+ */
+async function analyzeColumns(columns, sampleData, detectionRows, customFields = [], chargeAICall = async () => {}) {
+  if (!process.env.ANTHROPIC_API_KEY) {
+    return {
+      analysis: detectColumns(columns, detectionRows, customFields),
+      source: 'heuristic',
+      warnings: [{ field: null, message: 'AI is not configured; columns were detected automatically' }]
+    };
+  }
+
+  await chargeAICall();
+
+  try {
+    const aiAnalysis = await analyzeColumnsWithAI(columns, sampleData, customFields);
+    const { analysis, warnings } = crossCheckMapping(aiAnalysis, columns, detectionRows, customFields);
+    return { analysis, source: 'ai', warnings };
+  } catch (error) {
+    console.error('AI column analysis failed, using heuristic detector:', error);
+    return {
+      analysis: detectColumns(columns, detectionRows, customFields),
+      source: 'heuristic',
+      warnings: [{ field: null, message: 'AI analysis failed; columns were detected automatically' }]
+    };
+  }
+}
+
+/**
+ * Propose a column mapping for a parsed spreadsheet
+ * @param {Object} sheet - { columns, sample, sheetColumn, areaFromSheet, fields } as sent by the browser
+ * @param {Object} options - { supabase, chargeAICall }: caller's Supabase client for template
+ *   lookup, and the rate-limit charge run only when the AI is about to be called
+ * @returns {Object} - Proposed mapping, its source, matched template, header fingerprint and warnings
+ */
+async function processExcelWithAI(sheet, options = {}) {
+  try {
+    const { columns, sample, sheetColumn, areaFromSheet, fields } = sheet;
+    const fingerprint = headerFingerprint(columns);
+
+    // A saved template for this header set wins over detection
+    const template = await findTemplate(options.supabase, fingerprint);
+    const templateAnalysis = template
+      ? applyTemplate(template, sheetColumn ? [...columns, SHEET_COLUMN] : columns, fields)
+      : null;
+
+    // Map columns (AI with heuristic fallback and cross-check)
+    const { analysis, source, warnings } = templateAnalysis
+      ? { analysis: templateAnalysis, source: 'template', warnings: [] }
+      : await analyzeColumns(columns, sample.slice(0, AI_SAMPLE_ROW_COUNT), sample, fields, options.chargeAICall);
+
+    if (areaFromSheet && sheetColumn) {
+      analysis.mappings.area = SHEET_COLUMN;
+      analysis.confidence.area = 1;
+    }
 
     return {
       analysis,
-      data: jsonData
+      source,
+      template: templateAnalysis ? { id: template.id, name: template.name } : null,
+      fingerprint,
+      warnings
     };
   } catch (error) {
     console.error('Error processing Excel with AI:', error);
@@ -81,100 +196,129 @@ Use the exact column names from the data.`;
   }
 }
 
+/**
+ * Validate the JSON body sent by the setup panel
+ * @param {string} body - Raw request body
+ * @returns {Object} - { eventId, sheet } or { error }
+ */
+function parseSheetPayload(body) {
+  let payload;
+  try {
+    payload = JSON.parse(body || '{}');
+  } catch (error) {
+    return { error: 'Request body must be valid JSON' };
+  }
+
+  const columns = Array.isArray(payload.columns)
+    ? payload.columns.map(String).filter(column => column !== SHEET_COLUMN)
+    : [];
+
+  if (columns.length === 0) {
+    return { error: 'No columns found. Is the file empty?' };
+  }
+
+  const sample = Array.isArray(payload.sample)
+    ? payload.sample.filter(row => row && typeof row === 'object').slice(0, DETECTION_ROW_COUNT)
+    : [];
+
+  if (sample.length === 0) {
+    return { error: 'Excel file is empty' };
+  }
+
+  return {
+    eventId: typeof payload.eventId === 'string' ? payload.eventId : null,
+    sheet: {
+      columns,
+      sample,
+      sheetColumn: payload.sheetColumn === SHEET_COLUMN ? SHEET_COLUMN : null,
+      areaFromSheet: payload.areaFromSheet === true,
+      fields: parseCustomFields(payload.fields)
+    }
+  };
+}
+
+/**
+ * Keep only well-formed custom field definitions (same key rules as event_fields)
+ * @param {Array<Object>} fields - Event fields sent by the browser
+ * @returns {Array<Object>} - { field_key, label, field_type, options }
+ */
+function parseCustomFields(fields) {
+  if (!Array.isArray(fields)) return [];
+
+  return fields
+    .filter(field => field && CUSTOM_FIELD_KEY.test(field.field_key) && !RESERVED_FIELD_KEYS.includes(field.field_key))
+    .slice(0, MAX_CUSTOM_FIELDS)
+    .map(field => ({
+      field_key: field.field_key,
+      label: String(field.label || field.field_key).slice(0, 100),
+      field_type: CUSTOM_FIELD_TYPES.includes(field.field_type) ? field.field_type : 'text',
+      options: Array.isArray(field.options) ? field.options.map(String).slice(0, 50) : []
+    }));
+}
+
 /**
  * Netlify Function Handler
  */
 exports.handler = async (event, context) => {
-  // Only allow POST requests
-  if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
+  const cors = corsHeaders(event, 'POST, OPTIONS');
+
+  // CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: cors, body: '' };
   }
 
-  // Check for API key
-  if (!process.env.ANTHROPIC_API_KEY) {
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: 'Anthropic API key not configured' })
-    };
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    return errorResponse(new HttpError(405, 'method_not_allowed', 'Method not allowed'), cors);
   }
 
   try {
-    // Parse multipart form data
     const contentType = event.headers['content-type'] || event.headers['Content-Type'];
 
-    if (!contentType || !contentType.includes('multipart/form-data')) {
-      return {
-        statusCode: 400,
-        body: JSON.stringify({ error: 'Content-Type must be multipart/form-data' })
-      };
+    if (!contentType || !contentType.includes('application/json')) {
+      throw new HttpError(400, 'invalid_content_type', 'Content-Type must be application/json');
     }
 
-    // Extract boundary from content-type
-    const boundary = contentType.split('boundary=')[1];
+    const body = event.isBase64Encoded
+      ? Buffer.from(event.body || '', 'base64').toString('utf8')
+      : event.body;
 
-    if (!boundary) {
-      return {
-        statusCode: 400,
-        body: JSON.stringify({ error: 'Invalid multipart boundary' })
-      };
+    if (Buffer.byteLength(body || '', 'utf8') > MAX_BODY_BYTES) {
+      throw new HttpError(
+        413,
+        'payload_too_large',
+        'The file sample is too large to analyze. Remove unused columns or very long cells and try again.',
+        { maxBytes: MAX_BODY_BYTES }
+      );
     }
 
-    // Parse body (convert base64 if needed)
-    const bodyBuffer = event.isBase64Encoded
-      ? Buffer.from(event.body, 'base64')
-      : Buffer.from(event.body);
-
-    // Parse multipart data
-    const parts = multipart.parse(bodyBuffer, boundary);
+    const { eventId, sheet, error } = parseSheetPayload(body);
 
-    // Find file part
-    const filePart = parts.find(part => part.name === 'file' || part.filename);
-
-    if (!filePart || !filePart.data) {
-      return {
-        statusCode: 400,
-        body: JSON.stringify({ error: 'No file uploaded' })
-      };
+    if (error) {
+      throw new HttpError(400, 'invalid_payload', error);
     }
 
-    // Validate file type
-    const filename = filePart.filename || '';
-    const validExtensions = ['.xlsx', '.xls', '.csv'];
-    const isValidFile = validExtensions.some(ext => filename.toLowerCase().endsWith(ext));
-
-    if (!isValidFile) {
-      return {
-        statusCode: 400,
-        body: JSON.stringify({ error: 'Invalid file type. Only Excel and CSV files are allowed.' })
-      };
-    }
+    const { supabase } = await authorizeEventRequest(event, eventId);
 
-    // Process Excel file with AI
-    const result = await processExcelWithAI(filePart.data);
+    // Analyze the headers and sample rows; only an actual AI call uses up the quota
+    const result = await processExcelWithAI(sheet, {
+      supabase,
+      chargeAICall: () => enforceRateLimit(supabase, 'process-excel')
+    });
 
-    return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*', // Configure CORS appropriately
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'POST, OPTIONS'
-      },
-      body: JSON.stringify(result)
-    };
+    return jsonResponse(200, result, cors);
 
   } catch (error) {
+    if (error instanceof HttpError) {
+      return errorResponse(error, cors);
+    }
+
+    // The details stay in the function log; clients only get the code
     console.error('Function error:', error);
 
-    return {
-      statusCode: 500,
-      body: JSON.stringify({
-        error: 'Failed to process Excel file',
-        details: error.message
-      })
-    };
+    return jsonResponse(500, {
+      error: 'Failed to process Excel file',
+      code: 'internal_error'
+    }, cors);
   }
 };
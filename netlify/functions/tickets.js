@@ -0,0 +1,125 @@
+/**
+ * Netlify Function: QR tickets
+ * Issues signed ticket tokens for an event's pre-registered participants and
+ * verifies tokens scanned at the door. Tokens are signed with TICKET_SECRET,
+ * which never leaves the server; the browser renders the QR codes and, after
+ * a successful verify, checks the person in with register_preregistered.
+ * Callers must be signed in and belong to the event's organization.
+ *
+ * POST { action: 'issue', eventId, ids? }  -> { tickets: [{ id, full_name, identifier_value, email, dni, area, token }] }
+ * POST { action: 'verify', eventId, token } -> { preRegisteredId }
+ */
+
+const { authorizeEventRequest } = require('./lib/auth');
+const { HttpError, corsHeaders, jsonResponse, errorResponse } = require('./lib/http');
+const { getTicketSecret, parseTicketIds, signTicket, verifyTicket } = require('./lib/tickets');
+
+// Rows read per page when issuing tickets for a whole list
+const FETCH_PAGE_SIZE = 1000;
+
+// Largest accepted request body
+const MAX_BODY_BYTES = 256 * 1024;
+
+/**
+ * Pre-registered rows to issue tickets for (all of the event's rows when ids is empty)
+ * @param {Object} supabase - Client acting as the caller
+ * @param {string} eventId - Event id
+ * @param {Array<string>} ids - Optional row ids
+ * @returns {Array<Object>}
+ */
+async function fetchTicketRows(supabase, eventId, ids) {
+  const rows = [];
+
+  for (let from = 0; ; from += FETCH_PAGE_SIZE) {
+    let query = supabase
+      .from('pre_registered_participants')
+      .select('id, full_name, identifier_value, email, dni, area')
+      .eq('event_id', eventId)
+      .order('full_name', { ascending: true })
+      .order('id', { ascending: true })
+      .range(from, from + FETCH_PAGE_SIZE - 1);
+
+    if (ids.length > 0) query = query.in('id', ids);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    rows.push(...data);
+    if (data.length < FETCH_PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Netlify Function Handler
+ */
+exports.handler = async (event, context) => {
+  const cors = corsHeaders(event, 'POST, OPTIONS');
+
+  // CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: cors, body: '' };
+  }
+
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    return errorResponse(new HttpError(405, 'method_not_allowed', 'Method not allowed'), cors);
+  }
+
+  try {
+    const body = event.isBase64Encoded
+      ? Buffer.from(event.body || '', 'base64').toString('utf8')
+      : event.body;
+
+    if (Buffer.byteLength(body || '', 'utf8') > MAX_BODY_BYTES) {
+      throw new HttpError(413, 'payload_too_large', 'Too many tickets requested at once', { maxBytes: MAX_BODY_BYTES });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body || '{}');
+    } catch (error) {
+      throw new HttpError(400, 'invalid_payload', 'Request body must be valid JSON');
+    }
+
+    const secret = getTicketSecret();
+    if (!secret) {
+      throw new HttpError(500, 'not_configured', 'Tickets are not configured (TICKET_SECRET is missing)');
+    }
+
+    const { supabase, event: eventRow } = await authorizeEventRequest(event, payload.eventId);
+
+    if (payload.action === 'issue') {
+      const ids = parseTicketIds(payload.ids);
+      const rows = await fetchTicketRows(supabase, eventRow.id, ids);
+
+      return jsonResponse(200, {
+        tickets: rows.map(row => ({ ...row, token: signTicket(secret, eventRow.id, row.id) }))
+      }, cors);
+    }
+
+    if (payload.action === 'verify') {
+      const preRegisteredId = verifyTicket(secret, eventRow.id, payload.token);
+
+      if (!preRegisteredId) {
+        throw new HttpError(422, 'invalid_ticket', 'This QR code is not a valid ticket for this event');
+      }
+
+      return jsonResponse(200, { preRegisteredId }, cors);
+    }
+
+    throw new HttpError(400, 'invalid_action', 'action must be "issue" or "verify"');
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return errorResponse(error, cors);
+    }
+
+    // The details stay in the function log; clients only get the code
+    console.error('Function error:', error);
+
+    return jsonResponse(500, {
+      error: 'Failed to process tickets',
+      code: 'internal_error'
+    }, cors);
+  }
+};
@@ -1,6 +1,4 @@
 // Global state
-let participants = [];
-let preregisteredParticipants = [];
 let realtimeChannel = null;
 let currentTab = 'search';
 let currentEventId = null;
@@ -16,6 +14,53 @@ let registeredSortState = {
   direction: 'desc' // Default: newest first
 };
 
+// Rows currently shown in each tab: one page of the list, or the search results
+let visiblePreregistered = [];
+let visibleRegistered = [];
+
+// Page of each list shown while no search is typed, and the size of the whole list
+let preregPage = { index: 0, total: 0 };
+let registeredPage = { index: 0, total: 0 };
+
+// Registered participants of the event, from the count behind the header stats
+let registeredTotal = 0;
+
+// Query the search tab results were loaded for ('' while the full list is shown)
+let preregResultsQuery = '';
+
+// Participant type shown in the registered tab ('' for all)
+let registeredTypeFilter = '';
+
+// Windowed renderers of the two tables (see virtual-table.js)
+let preregTable = null;
+let registeredTable = null;
+
+// Pending refreshes of each tab after realtime changes (one per burst of changes)
+let preregViewsTimer = null;
+let registeredViewsTimer = null;
+
+// Latest page or search request of each tab; slower answers to older ones are dropped
+let preregRequest = 0;
+let registeredRequest = 0;
+
+// Rows per page of the tables. Filtering, sorting and paging happen in the query,
+// so the page never holds more than this many rows of a list.
+const PAGE_SIZE = 500;
+
+// Supabase returns at most 1000 rows per request, so whole lists (exports, the
+// report, badge sheets) load in batches
+const LOAD_PAGE_SIZE = 1000;
+
+// How long the Undo button stays on the registration toast
+const UNDO_WINDOW_MS = 8000;
+
+// Values of the participant_type enum, in the order the selects list them
+const PARTICIPANT_TYPE_LABELS = {
+  participant: 'Participant',
+  attendee: 'Attendee',
+  lead: 'Lead'
+};
+
 // Initialize app
 document.addEventListener('DOMContentLoaded', async () => {
   // Check authentication
@@ -37,8 +82,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     return;
   }
 
+  // Tables first: loading the sessions already renders the registered list
+  setupResultTables();
+
   // Load event details first
   await loadEventDetails();
+  await loadEventFields();
+  await loadEventSessions();
 
   // Initialize realtime subscriptions
   initializeRealtime();
@@ -49,13 +99,22 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Setup UI
   setupFileUpload();
+  setupEventFields();
+  setupSessions();
   setupPreregSearch();
   setupQuickAdd();
+  setupParticipantEditor();
+  setupTickets();
+  setupScannerMode();
+  setupBadges();
+  setupExport();
+  setupAttendanceReport();
   setupUIHandlers();
   setupSortHandlers();
   setupTabNavigation();
   setupRegisteredSearch();
   setupRegisteredSortHandlers();
+  setupKeyboardShortcuts();
 });
 
 // Load event details
@@ -110,9 +169,21 @@ function initializeRealtime() {
       },
       (payload) => {
         console.log('New participant:', payload);
-        participants.unshift(payload.new);
-        renderRegisteredParticipants();
-        updateStats();
+        // Where the row lands depends on the sort and the page, so reload
+        scheduleRegisteredRefresh();
+      }
+    )
+    .on(
+      'postgres_changes',
+      {
+        event: 'UPDATE',
+        schema: 'public',
+        table: 'participants',
+        filter: `event_id=eq.${currentEventId}`
+      },
+      (payload) => {
+        patchVisibleParticipant(payload.new);
+        scheduleRegisteredRefresh();
       }
     )
     .on(
@@ -125,9 +196,9 @@ function initializeRealtime() {
       },
       (payload) => {
         console.log('Participant deleted:', payload);
-        participants = participants.filter(p => p.id !== payload.old.id);
+        visibleRegistered = visibleRegistered.filter(p => p.id !== payload.old.id);
         renderRegisteredParticipants();
-        updateStats();
+        scheduleRegisteredRefresh();
       }
     )
     .on(
@@ -139,8 +210,19 @@ function initializeRealtime() {
         filter: `event_id=eq.${currentEventId}`
       },
       (payload) => {
-        console.log('Pre-registered change:', payload);
-        loadPreregisteredParticipants();
+        applyPreregisteredChange(payload);
+      }
+    )
+    .on(
+      'postgres_changes',
+      {
+        event: '*',
+        schema: 'public',
+        table: 'session_checkins',
+        filter: `event_id=eq.${currentEventId}`
+      },
+      (payload) => {
+        applySessionCheckinChange(payload);
       }
     )
     .subscribe((status) => {
@@ -153,29 +235,129 @@ function initializeRealtime() {
     });
 }
 
-// Load all participants from Supabase for current event
-async function loadParticipants() {
-  try {
+// Every row of a query, LOAD_PAGE_SIZE at a time, for whole-list jobs such as
+// exports. buildQuery() returns a fresh, ordered query; onPage(rows) gets the rows
+// loaded so far after each page.
+async function loadAllPages(buildQuery, onPage = () => {}) {
+  let rows = [];
+
+  for (let from = 0; ; from += LOAD_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + LOAD_PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    rows = rows.concat(data || []);
+    if (!data || data.length < LOAD_PAGE_SIZE) break;
+    onPage(rows);
+  }
+
+  // Rows added while paging shift the later pages, which can repeat a row
+  const byId = new Map(rows.map(row => [row.id, row]));
+  return byId.size === rows.length ? rows : [...byId.values()];
+}
+
+// Rows of table whose column is one of values, a batch of ids per request so
+// the URL stays short
+async function loadRowsByIds(table, column, values) {
+  const ids = [...new Set(values.filter(Boolean))];
+  let rows = [];
+
+  for (let i = 0; i < ids.length; i += 200) {
     const { data, error } = await window.supabase
-      .from('participants')
+      .from(table)
       .select('*')
-      .eq('event_id', currentEventId)
-      .order('registered_at', { ascending: false });
+      .in(column, ids.slice(i, i + 200));
 
     if (error) throw error;
+    rows = rows.concat(data || []);
+  }
 
-    participants = data || [];
-    renderRegisteredParticipants();
-    updateStats();
+  return rows;
+}
+
+// One registered participant by id, or null
+async function fetchParticipant(participantId) {
+  const { data, error } = await window.supabase
+    .from('participants')
+    .select('*')
+    .eq('id', participantId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// One pre-registered row by id, or null
+async function fetchPreregistered(preRegId) {
+  const { data, error } = await window.supabase
+    .from('pre_registered_participants')
+    .select('*')
+    .eq('id', preRegId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Apply the sort columns to a list query. The id comes last so rows with equal
+// values keep their place from one page to the next.
+function orderQuery(query, columns, direction) {
+  columns.forEach(column => {
+    query = query.order(column, { ascending: direction === 'asc' });
+  });
+  return query.order('id');
+}
+
+// Reload the registered tab (page or search results) and the header stats
+async function loadParticipants() {
+  await Promise.all([loadRegisteredView(), updateStats()]);
+}
+
+// Header stats. The lists are only loaded a page at a time, so the totals come
+// from count queries.
+async function updateStats() {
+  const count = (filter = query => query) => filter(
+    window.supabase
+      .from('participants')
+      .select('*', { count: 'exact', head: true })
+      .eq('event_id', currentEventId)
+  );
+
+  try {
+    const types = Object.keys(PARTICIPANT_TYPE_LABELS);
+    const [total, inside, ...byType] = await Promise.all([
+      count(),
+      count(query => query.is('checked_out_at', null)),
+      ...types.map(type => count(query => query.eq('participant_type', type)))
+    ]);
+
+    const failed = [total, inside, ...byType].find(result => result.error);
+    if (failed) throw failed.error;
+
+    registeredTotal = total.count || 0;
+    document.getElementById('totalCount').textContent = registeredTotal;
+    updateTypeStats(Object.fromEntries(types.map((type, i) => [type, byType[i].count || 0])));
+    updateOccupancy(inside.count || 0, registeredTotal);
+    renderSessionAttendance();
   } catch (error) {
-    console.error('Error loading participants:', error);
-    window.NotificationManager.error('Failed to load participants');
+    console.error('Error loading stats:', error);
   }
+
+  if (currentTab === 'report') renderAttendanceReport();
 }
 
-// Update statistics
-function updateStats() {
-  document.getElementById('totalCount').textContent = participants.length;
+function participantTypeLabel(type) {
+  return type ? PARTICIPANT_TYPE_LABELS[type] || type : '';
+}
+
+// "Participants: 120 · Leads: 4" for the types present among registered people
+function updateTypeStats(counts) {
+  const stat = document.getElementById('typeStats');
+  stat.style.display = registeredTotal > 0 ? '' : 'none';
+  stat.innerHTML = Object.keys(PARTICIPANT_TYPE_LABELS)
+    .filter(type => counts[type] > 0)
+    .map(type => `${PARTICIPANT_TYPE_LABELS[type]}s: <strong>${counts[type]}</strong>`)
+    .join(' · ');
 }
 
 // Format date and time
@@ -252,10 +434,7 @@ function setupUIHandlers() {
   const fabBtn = document.getElementById('fabBtn');
   const modal = document.getElementById('quickAddModal');
 
-  fabBtn.addEventListener('click', () => {
-    modal.style.display = 'flex';
-    document.getElementById('quickName').focus();
-  });
+  fabBtn.addEventListener('click', openQuickAdd);
 
   // Modal close button
   const modalClose = document.getElementById('modalClose');
@@ -278,59 +457,174 @@ function setupUIHandlers() {
   });
 }
 
-// Load pre-registered participants for current event
+// Reload the search tab (page or search results) and the pre-registration stats
 async function loadPreregisteredParticipants() {
+  await Promise.all([refreshPreregResults(), updatePreregStats()]);
+  if (currentTab === 'report') renderAttendanceReport();
+}
+
+// Sort columns of the pre-registration list, by sortState.column
+const PREREG_SORT_COLUMNS = {
+  name: ['full_name', 'identifier_value'],
+  email: ['email', 'dni'],
+  area: ['area']
+};
+
+// The pre-registered people still to register (or to check into the selected
+// session), in the chosen order, newest first by default
+// (see supabase/migrations/016_paged_lists.sql)
+function preregListQuery(options) {
+  const query = window.supabase.rpc('preregistered_awaiting_checkin', {
+    p_event_id: currentEventId,
+    p_session_id: currentSessionId
+  }, options);
+
+  return sortState.column
+    ? orderQuery(query, PREREG_SORT_COLUMNS[sortState.column], sortState.direction)
+    : orderQuery(query, ['uploaded_at'], 'desc');
+}
+
+// Show one page of the list (while no search is typed)
+async function loadPreregisteredPage(index = preregPage.index) {
+  const request = ++preregRequest;
+
   try {
-    const { data, error } = await window.supabase
-      .from('pre_registered_participants')
-      .select('*')
-      .eq('event_id', currentEventId)
-      .order('uploaded_at', { ascending: false });
+    const from = index * PAGE_SIZE;
+    const { data, count, error } = await preregListQuery({ count: 'exact' })
+      .range(from, from + PAGE_SIZE - 1);
 
     if (error) throw error;
 
-    preregisteredParticipants = data || [];
-    renderPreregistered();
-    updatePreregStats();
+    // A search or a later page load took over meanwhile
+    if (request !== preregRequest || preregSearchQuery()) return;
+
+    // People registered meanwhile can leave the page past the end of the list
+    if ((data || []).length === 0 && index > 0 && count > 0) {
+      return loadPreregisteredPage(Math.floor((count - 1) / PAGE_SIZE));
+    }
+
+    preregPage = { index, total: count || 0 };
+    renderPreregistered(data || []);
   } catch (error) {
     console.error('Error loading pre-registered participants:', error);
+    window.NotificationManager.error('Failed to load pre-registered participants');
   }
 }
 
-// Render pre-registered participants (optimized for speed)
-function renderPreregistered(filteredList = null) {
-  const tbody = document.getElementById('preregisterBody');
-  let list = filteredList !== null ? filteredList : preregisteredParticipants.filter(p => !p.is_registered);
+function showPreregisteredPage(index) {
+  document.getElementById('preregisterBody').closest('.results-container').scrollTop = 0;
+  loadPreregisteredPage(index);
+}
 
-  if (list.length === 0) {
-    tbody.innerHTML = '<tr class="no-results"><td colspan="4">No participants found</td></tr>';
-    updateSortArrows();
+// Both tables render only the rows in view, so a full page stays fast
+function setupResultTables() {
+  preregTable = createVirtualTable(document.getElementById('preregisterBody'), {
+    renderRow: preregisteredRow,
+    emptyRow: () => `<tr class="no-results"><td colspan="${tableColumnCount(4)}">No participants found</td></tr>`,
+    onRender: paintResultHighlight
+  });
+
+  registeredTable = createVirtualTable(document.getElementById('registeredBody'), {
+    renderRow: registeredRow,
+    emptyRow: () => {
+      const message = registeredTotal > 0 ? 'No participants found' : 'No registered participants yet';
+      return `<tr class="no-results"><td colspan="${tableColumnCount(6)}">${message}</td></tr>`;
+    }
+  });
+}
+
+// "501–1000 of 12,345" with Previous / Next below a table; hidden for search
+// results and for lists that fit on one page. goTo: name of the page function.
+function renderPager(pagerId, page, goTo, show) {
+  const pager = document.getElementById(pagerId);
+
+  if (!show || page.total <= PAGE_SIZE) {
+    pager.style.display = 'none';
     return;
   }
 
-  // Apply sorting if active
-  if (sortState.column) {
+  const first = page.index * PAGE_SIZE + 1;
+  const last = Math.min(first + PAGE_SIZE - 1, page.total);
+  const lastIndex = Math.ceil(page.total / PAGE_SIZE) - 1;
+
+  pager.style.display = '';
+  pager.innerHTML = `
+    <button class="btn-secondary btn-small" onclick="${goTo}(${page.index - 1})" ${page.index === 0 ? 'disabled' : ''}>← Previous</button>
+    <span class="text-muted">${first.toLocaleString()}–${last.toLocaleString()} of ${page.total.toLocaleString()}</span>
+    <button class="btn-secondary btn-small" onclick="${goTo}(${page.index + 1})" ${page.index >= lastIndex ? 'disabled' : ''}>Next →</button>
+  `;
+}
+
+// Render pre-registered participants: a page of the list (already sorted by the
+// query) or the results of query, which are sorted here when a column is chosen
+function renderPreregistered(list, query = '') {
+  preregResultsQuery = query;
+
+  if (query && sortState.column) {
     list = sortParticipants(list, sortState.column, sortState.direction);
   }
+  visiblePreregistered = list;
 
-  tbody.innerHTML = list.map(p => {
-    const emailDni = [p.email, p.dni].filter(Boolean).join(' • ') || '-';
-    return `
+  preregTable.setRows(list);
+  updateSortArrows();
+  renderPager('preregPager', preregPage, 'showPreregisteredPage', !query);
+  resetResultHighlight();
+}
+
+function preregisteredRow(p) {
+  const emailDni = [p.email, p.dni].filter(Boolean).join(' • ') || '-';
+  return `
     <tr data-id="${p.id}" class="${p.is_registered ? 'registered' : ''}">
       <td>${escapeHtml(p.full_name || p.identifier_value)}</td>
       <td>${escapeHtml(emailDni)}</td>
       <td>${escapeHtml(p.area || '-')}</td>
+      ${customFieldCells(p)}
       <td>
-        ${p.is_registered ?
-          '<span class="text-muted">✓ Registered</span>' :
-          `<button class="btn-register" onclick="registerPreregistered('${p.id}')">Register</button>`
+        ${awaitingCheckIn(p) ?
+          `<button class="btn-register" onclick="registerPreregistered('${p.id}')">${p.is_registered ? 'Check in' : 'Register'}</button>` :
+          `<span class="text-muted">✓ ${currentSessionId ? 'Checked in' : 'Registered'}</span>`
         }
       </td>
     </tr>
   `;
-  }).join('');
+}
 
-  updateSortArrows();
+// Replace a shown pre-registration row with its changed version
+function patchVisiblePreregistered(row) {
+  visiblePreregistered = visiblePreregistered.map(p => p.id === row.id ? row : p);
+}
+
+// Realtime change on pre_registered_participants. An import delivers one change
+// per row, so shown rows are patched right away and the views refresh once per burst.
+function applyPreregisteredChange(payload) {
+  if (payload.eventType === 'DELETE') {
+    visiblePreregistered = visiblePreregistered.filter(p => p.id !== payload.old.id);
+  } else {
+    patchVisiblePreregistered(payload.new);
+  }
+
+  if (!preregViewsTimer) {
+    preregViewsTimer = setTimeout(refreshPreregViews, 300);
+  }
+}
+
+// Refresh the search tab after changes: reload the page, or re-render the search
+// results with changed rows updated and registered ones dropped. New rows join
+// the results at the next search.
+function refreshPreregViews() {
+  clearTimeout(preregViewsTimer);
+  preregViewsTimer = null;
+
+  // (While a newer search is pending, its results will render instead)
+  const query = preregSearchQuery();
+  if (!query) {
+    loadPreregisteredPage();
+  } else if (query === preregResultsQuery) {
+    renderPreregistered(visiblePreregistered.filter(awaitingCheckIn), query);
+  }
+
+  updatePreregStats();
+  if (currentTab === 'report') renderAttendanceReport();
 }
 
 // Update pre-registration stats
@@ -365,193 +659,195 @@ async function updatePreregStats() {
   }
 }
 
-// Setup file upload
-function setupFileUpload() {
-  const fileInput = document.getElementById('excelFile');
-  const uploadBtn = document.getElementById('uploadBtn');
-  const fileName = document.getElementById('fileName');
+// Setup pre-registration search
+function setupPreregSearch() {
+  const searchInput = document.getElementById('preregSearchInput');
+  let searchTimeout;
+
+  searchInput.addEventListener('input', (e) => {
+    const query = e.target.value.toLowerCase().trim();
+
+    clearTimeout(searchTimeout);
 
-  fileInput.addEventListener('change', (e) => {
-    if (e.target.files.length > 0) {
-      fileName.textContent = e.target.files[0].name;
-      uploadBtn.style.display = 'inline-block';
-    } else {
-      fileName.textContent = '';
-      uploadBtn.style.display = 'none';
+    if (!query) {
+      loadPreregisteredPage();
+      return;
     }
+
+    // Debounce search
+    searchTimeout = setTimeout(() => searchPreregistered(query), 300);
   });
+}
 
-  uploadBtn.addEventListener('click', uploadExcelFile);
+// The search typed in the search tab, normalized the way searches are sent
+function preregSearchQuery() {
+  return document.getElementById('preregSearchInput').value.toLowerCase().trim();
 }
 
-// Upload Excel file
-async function uploadExcelFile() {
-  const fileInput = document.getElementById('excelFile');
-  const file = fileInput.files[0];
+async function searchPreregistered(query) {
+  const request = ++preregRequest;
 
-  if (!file) {
-    window.NotificationManager.error('Please select a file');
-    return;
-  }
-
-  const formData = new FormData();
-  formData.append('file', file);
+  try {
+    // Accent-insensitive and typo-tolerant, closest matches first
+    // (see supabase/migrations/014_fuzzy_search.sql)
+    const { data, error } = await window.supabase
+      .rpc('search_preregistered', {
+        p_event_id: currentEventId,
+        p_query: query,
+        // With a session selected, people registered earlier still need a session check-in
+        p_include_registered: Boolean(currentSessionId),
+        p_limit: 50
+      });
 
-  const progressDiv = document.getElementById('uploadProgress');
-  progressDiv.style.display = 'block';
-  document.getElementById('uploadBtn').disabled = true;
+    if (error) throw error;
 
-  try {
-    // Step 1: Call Netlify Function to process Excel with AI
-    const response = await fetch('/.netlify/functions/process-excel', {
-      method: 'POST',
-      body: formData
-    });
+    // A slower answer to an earlier query must not replace newer results
+    if (request !== preregRequest || query !== preregSearchQuery()) return;
 
-    const result = await response.json();
+    renderPreregistered((data || []).filter(awaitingCheckIn), query);
+  } catch (error) {
+    console.error('Error searching:', error);
+  }
+}
 
-    if (!response.ok) {
-      throw new Error(result.error || 'Upload failed');
-    }
+// Reload the search tab after the list changed: the current page, or the
+// results of the search being typed
+function refreshPreregResults() {
+  const query = preregSearchQuery();
+  return query ? searchPreregistered(query) : loadPreregisteredPage();
+}
 
-    const { analysis, data: excelData } = result;
+// Register a pre-registered participant (and check them into the selected session)
+// Returns the RPC result ({ status, ... }), or null when the call failed
+async function registerPreregistered(preRegId, override = false) {
+  try {
+    // Creates the participant and marks the row registered in one transaction
+    // (see supabase/migrations/008_register_preregistered.sql, 011_event_sessions.sql,
+    // 012_venue_capacity.sql and 013_participant_type.sql)
+    const { data: result, error } = await window.supabase
+      .rpc('register_preregistered', {
+        p_pre_registered_id: preRegId,
+        p_session_id: currentSessionId,
+        p_override: override,
+        // Empty keeps the type from the imported list
+        p_participant_type: document.getElementById('registerAsType').value || null
+      });
 
-    // Step 2: Clear existing pre-registered participants for this event
-    const { error: deleteError } = await window.supabase
-      .from('pre_registered_participants')
-      .delete()
-      .eq('event_id', currentEventId);
+    if (error) throw error;
 
-    if (deleteError) throw deleteError;
-
-    // Step 3: Insert new pre-registered records into Supabase
-    const records = excelData.map(row => ({
-      event_id: currentEventId,
-      identifier_type: analysis.identifier_type,
-      identifier_value: row[analysis.identifier_column] || 'Unknown',
-      full_name: row[analysis.mappings.full_name] || null,
-      email: row[analysis.mappings.email] || null,
-      dni: row[analysis.mappings.dni] || null,
-      area: row[analysis.mappings.area] || null,
-      raw_data: row
-    }));
-
-    const { error: insertError } = await window.supabase
-      .from('pre_registered_participants')
-      .insert(records);
+    if (result.status === 'event_full') {
+      if (confirmCapacityOverride(result)) {
+        return await registerPreregistered(preRegId, true);
+      }
+      return result;
+    }
 
-    if (insertError) throw insertError;
+    recordSessionCheckin(result.checkin);
 
-    window.NotificationManager.success(`✓ Success! ${records.length} participants loaded. AI identified: ${analysis.identifier_type}`, 5000);
+    if (wasAlreadyCheckedIn(result)) {
+      window.NotificationManager.warning(alreadyRegisteredMessage(result));
+    } else if (result.status === 'checked_in') {
+      showSessionCheckinToast(result);
+    } else if (result.status === 'returned') {
+      replaceParticipant(result.participant);
+      window.NotificationManager.success(`${result.participant.full_name} is back inside`);
+    } else {
+      showRegisteredToast(result.participant);
+      autoPrintBadge(result.participant, preRegId);
+    }
 
-    // Clear file input
-    fileInput.value = '';
-    document.getElementById('fileName').textContent = '';
-    document.getElementById('uploadBtn').style.display = 'none';
+    // Realtime delivers the registered row too; patch it now so this desk is current right away
+    if (result.status === 'registered') {
+      const preReg = visiblePreregistered.find(p => p.id === preRegId);
+      if (preReg) {
+        patchVisiblePreregistered({ ...preReg, is_registered: true, registered_participant_id: result.participant.id });
+      }
+    }
 
-    // Load the pre-registered list
-    await loadPreregisteredParticipants();
+    // Clear the search for the next person
+    readyForNextPerson();
+    refreshPreregViews();
 
-    // Close setup panel and focus on search
-    document.getElementById('setupPanel').style.display = 'none';
-    document.getElementById('preregSearchInput').focus();
+    return result;
   } catch (error) {
-    console.error('Error uploading file:', error);
-    window.NotificationManager.error(error.message);
-  } finally {
-    progressDiv.style.display = 'none';
-    document.getElementById('uploadBtn').disabled = false;
+    console.error('Error registering participant:', error);
+    window.NotificationManager.error(error.message || 'Registration failed');
+    return null;
   }
 }
 
-// Setup pre-registration search
-function setupPreregSearch() {
-  const searchInput = document.getElementById('preregSearchInput');
-  let searchTimeout;
+// Registration results for someone already registered (or already in the selected session)
+function wasAlreadyCheckedIn(result) {
+  return result.status === 'already_registered' || result.status === 'already_checked_in';
+}
 
-  searchInput.addEventListener('input', async (e) => {
-    const query = e.target.value.toLowerCase().trim();
+// "Already registered by Ana at 09:42" for a row someone else checked in first,
+// "Already checked in to Day 2 by Ana at 09:42" for a session check-in
+function alreadyRegisteredMessage(result) {
+  const sessionCheckin = result.status === 'already_checked_in';
+  const by = sessionCheckin ? result.checked_in_by_name : result.registered_by_name;
+  const at = sessionCheckin ? result.checked_in_at : result.registered_at;
 
-    clearTimeout(searchTimeout);
+  const time = new Date(at).toLocaleTimeString('en-US', {
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  const sameDay = new Date(at).toDateString() === new Date().toDateString();
+  const when = sameDay ? `at ${time}` : `on ${formatDateTime(at)}`;
+  const what = sessionCheckin ? `Already checked in to ${result.session_name}` : 'Already registered';
 
-    if (!query) {
-      renderPreregistered();
-      return;
-    }
+  return `${what} by ${by || 'another user'} ${when}`;
+}
 
-    // Debounce search
-    searchTimeout = setTimeout(async () => {
-      try {
-        const { data, error } = await window.supabase
-          .from('pre_registered_participants')
-          .select('*')
-          .eq('event_id', currentEventId)
-          .eq('is_registered', false)
-          .or(`full_name.ilike.%${query}%,email.ilike.%${query}%,dni.ilike.%${query}%,identifier_value.ilike.%${query}%`)
-          .limit(50);
-
-        if (error) throw error;
-
-        renderPreregistered(data);
-      } catch (error) {
-        console.error('Error searching:', error);
-      }
-    }, 300);
+// Success toast with an Undo button for a few seconds
+function showRegisteredToast(participant) {
+  window.NotificationManager.success('Participant registered successfully!', UNDO_WINDOW_MS, {
+    action: {
+      label: 'Undo',
+      onClick: () => unregisterParticipant(participant.id, 'undo')
+    }
   });
 }
 
-// Register a pre-registered participant
-async function registerPreregistered(preRegId) {
-  try {
-    // Get the pre-registered participant
-    const { data: preReg, error: preRegError } = await window.supabase
-      .from('pre_registered_participants')
-      .select('*')
-      .eq('id', preRegId)
-      .single();
-
-    if (preRegError) throw preRegError;
+// Unregister from the registered tab, after confirmation
+async function confirmUnregister(participantId) {
+  const participant = visibleRegistered.find(p => p.id === participantId);
+  if (!participant) return;
 
-    // Create new participant record
-    const participantData = {
-      event_id: currentEventId,
-      registered_by: currentUser.id,
-      participant_type: 'participant',
-      full_name: preReg.full_name || preReg.identifier_value || 'Unknown',
-      email: preReg.email || `${preReg.identifier_value}@temp.com`,
-      dni: preReg.dni || null,
-      area: preReg.area || 'Not specified'
-    };
+  if (!confirm(`Unregister ${participant.full_name}? They will be removed from the registered list and, if pre-registered, shown as pending again.`)) {
+    return;
+  }
 
-    const { data: newParticipant, error: participantError } = await window.supabase
-      .from('participants')
-      .insert([participantData])
-      .select()
-      .single();
+  await unregisterParticipant(participantId, 'unregister');
+}
 
-    if (participantError) throw participantError;
+// Delete the participant and return its pre-registration row to pending
+// (logged with the current user, see supabase/migrations/009_unregister.sql)
+async function unregisterParticipant(participantId, action) {
+  try {
+    const { data: result, error } = await window.supabase
+      .rpc('unregister_participant', { p_participant_id: participantId, p_action: action });
 
-    // Update pre-registered record
-    const { error: updateError } = await window.supabase
-      .from('pre_registered_participants')
-      .update({
-        is_registered: true,
-        registered_participant_id: newParticipant.id
-      })
-      .eq('id', preRegId);
+    if (error) throw error;
 
-    if (updateError) throw updateError;
+    window.NotificationManager.info(action === 'undo' ? 'Registration undone' : 'Participant unregistered');
 
-    window.NotificationManager.success('Participant registered successfully!');
+    // Realtime also delivers these changes; reload now so this desk is current right away
+    visibleRegistered = visibleRegistered.filter(p => p.id !== participantId);
+    renderRegisteredParticipants();
+    loadParticipants();
 
-    // Reload pre-registered list
-    await loadPreregisteredParticipants();
+    const preReg = visiblePreregistered.find(p => p.id === result.pre_registered_id);
+    if (preReg) {
+      patchVisiblePreregistered({ ...preReg, is_registered: false, registered_participant_id: null });
+    }
 
-    // Focus back on search
-    document.getElementById('preregSearchInput').focus();
+    // Pending again: the current page or search may now show them
+    refreshPreregResults();
+    updatePreregStats();
   } catch (error) {
-    console.error('Error registering participant:', error);
-    window.NotificationManager.error(error.message || 'Registration failed');
+    console.error('Error unregistering participant:', error);
+    window.NotificationManager.error(error.message || 'Failed to unregister participant');
   }
 }
 
@@ -559,39 +855,212 @@ async function registerPreregistered(preRegId) {
 function setupQuickAdd() {
   const form = document.getElementById('quickAddForm');
   const modal = document.getElementById('quickAddModal');
+  let matchTimeout;
+
+  // Look for the person among registered and pre-registered people while typing
+  ['quickName', 'quickEmail', 'quickDni'].forEach(id => {
+    document.getElementById(id).addEventListener('input', () => {
+      clearTimeout(matchTimeout);
+      matchTimeout = setTimeout(renderQuickAddMatches, 200);
+    });
+  });
 
   form.addEventListener('submit', async (e) => {
     e.preventDefault();
 
-    const participantData = {
-      event_id: currentEventId,
-      registered_by: currentUser.id,
-      participant_type: 'participant',
+    const matches = await findQuickAddMatches();
+    if (matches.length > 0 &&
+        !confirm(`${matches.length} possible match${matches.length > 1 ? 'es' : ''} found for this person. Add them as a new participant anyway?`)) {
+      return;
+    }
+
+    await registerWalkIn({
+      participant_type: document.getElementById('quickParticipantType').value,
       full_name: document.getElementById('quickName').value,
       email: document.getElementById('quickEmail').value,
-      area: document.getElementById('quickArea').value
-    };
+      dni: document.getElementById('quickDni').value.trim() || null,
+      area: document.getElementById('quickArea').value,
+      custom_data: collectQuickAddCustomData()
+    });
+  });
+}
 
-    try {
-      const { data, error } = await window.supabase
-        .from('participants')
-        .insert([participantData])
-        .select()
-        .single();
+// Insert the quick-add participant; register_walk_in counts it against the event capacity
+async function registerWalkIn(participantData, override = false) {
+  try {
+    const { data: result, error } = await window.supabase
+      .rpc('register_walk_in', {
+        p_event_id: currentEventId,
+        p_participant: participantData,
+        p_override: override
+      });
 
-      if (error) throw error;
+    if (error) throw error;
 
-      // Clear form and close modal
-      form.reset();
-      modal.style.display = 'none';
-      document.getElementById('preregSearchInput').focus();
+    if (result.status === 'event_full') {
+      if (confirmCapacityOverride(result)) {
+        await registerWalkIn(participantData, true);
+      }
+      return;
+    }
+
+    closeQuickAdd();
+    showRegisteredToast(result.participant);
+    autoPrintBadge(result.participant);
 
-      window.NotificationManager.success('Participant registered successfully!');
-    } catch (error) {
-      console.error('Error registering participant:', error);
-      window.NotificationManager.error(error.message || 'Registration failed');
+    if (currentSessionId) {
+      await checkInToSession(result.participant.id, { notify: false });
     }
-  });
+  } catch (error) {
+    console.error('Error registering participant:', error);
+    window.NotificationManager.error(error.message || 'Registration failed');
+  }
+}
+
+function openQuickAdd() {
+  // A search that found nobody is usually the walk-in's name, email or DNI
+  const query = document.getElementById('preregSearchInput').value.trim();
+  const empty = ['quickName', 'quickEmail', 'quickDni'].every(id => !document.getElementById(id).value);
+
+  if (query && empty) {
+    const field = query.includes('@') ? 'quickEmail' : /^\d[\d.\s-]*$/.test(query) ? 'quickDni' : 'quickName';
+    document.getElementById(field).value = query;
+    renderQuickAddMatches();
+  }
+
+  document.getElementById('quickAddModal').style.display = 'flex';
+  document.getElementById('quickName').focus();
+}
+
+// Clear the quick-add form and close the modal
+function closeQuickAdd() {
+  document.getElementById('quickAddForm').reset();
+  quickAddMatchRequest++;
+  document.getElementById('quickAddMatches').innerHTML = '';
+  document.getElementById('quickAddModal').style.display = 'none';
+  readyForNextPerson();
+}
+
+// Registered and pending pre-registered people resembling the quick-add entry.
+// The fuzzy search finds the candidates (one search per filled-in field, see
+// supabase/migrations/014_fuzzy_search.sql); the matcher decides which match.
+async function findQuickAddMatches() {
+  const entry = {
+    full_name: document.getElementById('quickName').value,
+    email: document.getElementById('quickEmail').value,
+    dni: document.getElementById('quickDni').value
+  };
+
+  const queries = [...new Set(Object.values(entry).map(value => value.toLowerCase().trim()))]
+    .filter(query => query.length >= 3);
+  if (queries.length === 0) return [];
+
+  try {
+    const searches = await Promise.all(queries.flatMap(query => [
+      window.supabase.rpc('search_participants', { p_event_id: currentEventId, p_query: query, p_limit: 20 }),
+      window.supabase.rpc('search_preregistered', { p_event_id: currentEventId, p_query: query, p_limit: 20 })
+    ]));
+
+    const failed = searches.find(result => result.error);
+    if (failed) throw failed.error;
+
+    // Even searches are registered people, odd ones pre-registrations; a person can turn up in several
+    const candidates = (parity) => [...new Map(searches
+      .filter((result, i) => i % 2 === parity)
+      .flatMap(result => result.data || [])
+      .map(record => [record.id, record])).values()];
+
+    return window.ParticipantMatcher.findMatches(entry, {
+      participants: candidates(0),
+      preregistered: candidates(1)
+    });
+  } catch (error) {
+    console.error('Error looking for quick-add matches:', error);
+    return [];
+  }
+}
+
+// Registrar names by user id, loaded when a match needs them
+const registrarNames = new Map();
+
+async function loadRegistrarNames(userIds) {
+  const missing = [...new Set(userIds)].filter(id => id && !registrarNames.has(id));
+  if (missing.length === 0) return;
+
+  try {
+    const { data, error } = await window.supabase
+      .from('users')
+      .select('id, full_name')
+      .in('id', missing);
+
+    if (error) throw error;
+
+    (data || []).forEach(user => registrarNames.set(user.id, user.full_name));
+  } catch (error) {
+    console.error('Error loading registrar names:', error);
+  }
+}
+
+// Latest match lookup; a slower answer to earlier typing is dropped
+let quickAddMatchRequest = 0;
+
+async function renderQuickAddMatches() {
+  const container = document.getElementById('quickAddMatches');
+  const request = ++quickAddMatchRequest;
+  const matches = await findQuickAddMatches();
+  if (request !== quickAddMatchRequest) return;
+
+  if (matches.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  await loadRegistrarNames(matches.filter(m => m.kind === 'registered').map(m => m.record.registered_by));
+
+  const reasonLabels = { email: 'same email', dni: 'same DNI', name: 'similar name' };
+
+  container.innerHTML = `
+    <div class="quick-add-matches-title">Is this one of these people?</div>
+    ${matches.map(({ kind, record, reasons }) => {
+      const name = record.full_name || record.identifier_value || 'Unknown';
+      const details = [record.email, record.dni].filter(Boolean).join(' • ');
+      const why = reasons.map(reason => reasonLabels[reason]).join(', ');
+
+      // Registered earlier (another day or session): offer the session check-in
+      const sessionAction = kind === 'registered' && currentSessionId && !isCheckedInToSession(record.id)
+        ? `<button type="button" class="btn-register btn-small" onclick="checkInQuickAddMatch('${record.id}')">Check in to ${escapeHtml(currentSession().name)} instead</button>`
+        : '';
+
+      const action = kind === 'registered'
+        ? `<span class="quick-add-match-status">${escapeHtml(alreadyRegisteredMessage({
+            registered_by_name: registrarNames.get(record.registered_by),
+            registered_at: record.registered_at
+          }))}</span>${sessionAction}`
+        : `<button type="button" class="btn-register btn-small" onclick="registerQuickAddMatch('${record.id}')">Register pre-registered record instead</button>`;
+
+      return `
+        <div class="quick-add-match quick-add-match-${kind}">
+          <div>
+            <strong>${escapeHtml(name)}</strong>
+            <div class="text-muted">${escapeHtml(details)}${details ? ' • ' : ''}${why}</div>
+          </div>
+          ${action}
+        </div>
+      `;
+    }).join('')}
+  `;
+}
+
+// Check in the matching pre-registered person instead of creating a walk-in
+async function registerQuickAddMatch(preRegId) {
+  closeQuickAdd();
+  await registerPreregistered(preRegId);
+}
+
+// Check the matching registered participant into the selected session
+async function checkInQuickAddMatch(participantId) {
+  closeQuickAdd();
+  await checkInToSession(participantId);
 }
 
 // ====== SORTING FUNCTIONS ======
@@ -612,42 +1081,36 @@ function setupSortHandlers() {
         sortState.direction = 'asc';
       }
 
-      // Re-render with new sort
-      renderPreregistered();
+      // Reload sorted, from the first page
+      preregPage.index = 0;
+      refreshPreregResults();
     });
   });
 }
 
-// Sort participants by column
+// Sort search results by column (pages of the list come sorted by the query)
 function sortParticipants(list, column, direction) {
-  const sorted = [...list].sort((a, b) => {
-    let aVal, bVal;
-
-    switch(column) {
-      case 'name':
-        aVal = (a.full_name || a.identifier_value || '').toLowerCase();
-        bVal = (b.full_name || b.identifier_value || '').toLowerCase();
-        break;
-      case 'email':
-        const aEmail = [a.email, a.dni].filter(Boolean).join(' ') || '';
-        const bEmail = [b.email, b.dni].filter(Boolean).join(' ') || '';
-        aVal = aEmail.toLowerCase();
-        bVal = bEmail.toLowerCase();
-        break;
-      case 'area':
-        aVal = (a.area || '').toLowerCase();
-        bVal = (b.area || '').toLowerCase();
-        break;
-      default:
-        return 0;
-    }
+  const keyOf = {
+    name: p => (p.full_name || p.identifier_value || '').toLowerCase(),
+    email: p => [p.email, p.dni].filter(Boolean).join(' ').toLowerCase(),
+    area: p => (p.area || '').toLowerCase()
+  }[column];
 
-    if (aVal < bVal) return direction === 'asc' ? -1 : 1;
-    if (aVal > bVal) return direction === 'asc' ? 1 : -1;
-    return 0;
-  });
+  return keyOf ? sortByKey(list, keyOf, direction) : [...list];
+}
 
-  return sorted;
+// Stable sort on a key computed once per row (not once per comparison)
+function sortByKey(list, keyOf, direction) {
+  const sign = direction === 'asc' ? 1 : -1;
+
+  return list
+    .map(record => ({ record, key: keyOf(record) }))
+    .sort((a, b) => {
+      if (a.key < b.key) return -sign;
+      if (a.key > b.key) return sign;
+      return 0;
+    })
+    .map(entry => entry.record);
 }
 
 // Update sort arrow indicators
@@ -701,40 +1164,216 @@ function switchTab(tabName) {
   } else if (tabName === 'registered') {
     document.getElementById('registeredTab').classList.add('active');
     renderRegisteredParticipants();
+  } else if (tabName === 'report') {
+    document.getElementById('reportTab').classList.add('active');
+    renderAttendanceReport();
   }
 }
 
 // ====== REGISTERED PARTICIPANTS VIEW ======
 
-function renderRegisteredParticipants(filteredList = null) {
-  const tbody = document.getElementById('registeredBody');
-  let list = filteredList !== null ? filteredList : [...participants];
+// Sort columns of the registered list, by registeredSortState.column
+const REGISTERED_SORT_COLUMNS = {
+  name: ['full_name'],
+  email: ['email'],
+  area: ['area'],
+  type: ['participant_type'],
+  time: ['registered_at']
+};
+
+// participant_type values in the order of the enum, which is how the query sorts them
+const PARTICIPANT_TYPE_ORDER = ['lead', 'participant', 'attendee'];
 
-  if (list.length === 0) {
-    tbody.innerHTML = '<tr class="no-results"><td colspan="4">No registered participants yet</td></tr>';
-    updateRegisteredSortArrows();
-    return;
+// The event's registered participants of the chosen type, in the chosen order
+function registeredListQuery(options) {
+  let query = window.supabase
+    .from('participants')
+    .select('*', options)
+    .eq('event_id', currentEventId);
+
+  if (registeredTypeFilter) {
+    query = query.eq('participant_type', registeredTypeFilter);
   }
 
-  // Apply sorting
-  if (registeredSortState.column) {
-    list = sortRegisteredParticipants(list, registeredSortState.column, registeredSortState.direction);
+  return orderQuery(query, REGISTERED_SORT_COLUMNS[registeredSortState.column], registeredSortState.direction);
+}
+
+// Show one page of the list (while no search is typed)
+async function loadRegisteredPage(index = registeredPage.index) {
+  const request = ++registeredRequest;
+
+  try {
+    const from = index * PAGE_SIZE;
+    const { data, count, error } = await registeredListQuery({ count: 'exact' })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    // A search or a later page load took over meanwhile
+    if (request !== registeredRequest || registeredSearchQuery()) return;
+
+    // Removed participants can leave the page past the end of the list
+    if ((data || []).length === 0 && index > 0 && count > 0) {
+      return loadRegisteredPage(Math.floor((count - 1) / PAGE_SIZE));
+    }
+
+    registeredPage = { index, total: count || 0 };
+    visibleRegistered = data || [];
+    renderRegisteredParticipants();
+  } catch (error) {
+    console.error('Error loading participants:', error);
+    window.NotificationManager.error('Failed to load participants');
   }
+}
+
+function showRegisteredPage(index) {
+  document.getElementById('registeredBody').closest('.results-container').scrollTop = 0;
+  loadRegisteredPage(index);
+}
+
+// Reload the registered tab: the current page, or the results of the search being typed
+function loadRegisteredView() {
+  const query = registeredSearchQuery();
+  return query ? searchRegistered(query) : loadRegisteredPage();
+}
+
+// Reload the registered tab and the stats once per burst of realtime changes
+function scheduleRegisteredRefresh() {
+  if (registeredViewsTimer) return;
 
-  tbody.innerHTML = list.map(p => `
-    <tr data-id="${p.id}">
-      <td>${escapeHtml(p.full_name)}</td>
+  registeredViewsTimer = setTimeout(() => {
+    registeredViewsTimer = null;
+    loadParticipants();
+  }, 300);
+}
+
+// Replace a shown registered row with its changed version
+function patchVisibleParticipant(row) {
+  visibleRegistered = visibleRegistered.map(p => p.id === row.id ? row : p);
+  renderRegisteredParticipants();
+}
+
+// Render the rows loaded for the registered tab (a page or search results)
+function renderRegisteredParticipants() {
+  registeredTable.setRows(visibleRegistered);
+  updateRegisteredSortArrows();
+  renderPager('registeredPager', registeredPage, 'showRegisteredPage', !registeredSearchQuery());
+}
+
+function registeredRow(p) {
+  return `
+    <tr data-id="${p.id}" class="${p.checked_out_at ? 'checked-out' : ''}">
+      <td>
+        ${escapeHtml(p.full_name)}
+        ${currentSessionId && isCheckedInToSession(p.id) ? '<span class="session-badge">✓ In session</span>' : ''}
+      </td>
       <td>${escapeHtml(p.email)}</td>
       <td>${escapeHtml(p.area)}</td>
-      <td class="time">${formatDateTime(p.registered_at)}</td>
+      <td><span class="type-badge type-${p.participant_type}">${escapeHtml(participantTypeLabel(p.participant_type))}</span></td>
+      ${customFieldCells(p)}
+      <td class="time">
+        ${formatDateTime(p.registered_at)}
+        ${wasEdited(p) ? `<div class="edited-note">Edited ${formatDateTime(p.updated_at)}</div>` : ''}
+        ${p.checked_out_at ? `<div class="edited-note">Left ${formatDateTime(p.checked_out_at)}</div>` : ''}
+      </td>
+      <td class="row-actions">
+        ${currentSessionId && !isCheckedInToSession(p.id) ? `<button class="btn-register btn-small" onclick="checkInToSession('${p.id}')">Check in</button>` : ''}
+        ${p.checked_out_at
+          ? `<button class="btn-secondary btn-small" onclick="readmitParticipant('${p.id}')">Re-enter</button>`
+          : `<button class="btn-secondary btn-small" onclick="checkOutParticipant('${p.id}')">Check out</button>`}
+        <button class="btn-secondary btn-small" onclick="openParticipantEditor('${p.id}')">Edit</button>
+        <button class="btn-secondary btn-small" onclick="printBadgeById('${p.id}')">Badge</button>
+        <button class="btn-secondary btn-small" onclick="confirmUnregister('${p.id}')">Unregister</button>
+      </td>
     </tr>
-  `).join('');
+  `;
+}
 
-  updateRegisteredSortArrows();
+// updated_at is set by the update_participants_updated_at trigger; on insert it matches registered_at
+function wasEdited(participant) {
+  if (!participant.updated_at) return false;
+  return new Date(participant.updated_at) - new Date(participant.registered_at) > 1000;
+}
+
+// ====== EDIT PARTICIPANT ======
+
+function setupParticipantEditor() {
+  const form = document.getElementById('editParticipantForm');
+  const modal = document.getElementById('editParticipantModal');
+
+  document.getElementById('editModalClose').addEventListener('click', () => {
+    modal.style.display = 'none';
+  });
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      modal.style.display = 'none';
+    }
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && modal.style.display === 'flex') {
+      modal.style.display = 'none';
+    }
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await saveParticipantEdits();
+  });
+}
+
+// Open the edit modal filled with the participant's current values
+function openParticipantEditor(participantId) {
+  const participant = visibleRegistered.find(p => p.id === participantId);
+  if (!participant) return;
+
+  document.getElementById('editParticipantId').value = participant.id;
+  document.getElementById('editName').value = participant.full_name || '';
+  document.getElementById('editEmail').value = participant.email || '';
+  document.getElementById('editDni').value = participant.dni || '';
+  document.getElementById('editArea').value = participant.area || '';
+  document.getElementById('editParticipantType').value = participant.participant_type || 'participant';
+
+  document.getElementById('editParticipantModal').style.display = 'flex';
+  document.getElementById('editName').focus();
+}
+
+async function saveParticipantEdits() {
+  const participantId = document.getElementById('editParticipantId').value;
+
+  const changes = {
+    full_name: document.getElementById('editName').value.trim(),
+    email: document.getElementById('editEmail').value.trim(),
+    dni: document.getElementById('editDni').value.trim() || null,
+    area: document.getElementById('editArea').value.trim(),
+    participant_type: document.getElementById('editParticipantType').value
+  };
+
+  try {
+    const { data, error } = await window.supabase
+      .from('participants')
+      .update(changes)
+      .eq('id', participantId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    // Realtime delivers the same row to other clients
+    patchVisibleParticipant(data);
+
+    document.getElementById('editParticipantModal').style.display = 'none';
+    window.NotificationManager.success('Participant updated');
+  } catch (error) {
+    console.error('Error updating participant:', error);
+    window.NotificationManager.error(error.message || 'Failed to update participant');
+  }
 }
 
 function setupRegisteredSearch() {
   const searchInput = document.getElementById('registeredSearchInput');
+  const typeFilter = document.getElementById('registeredTypeFilter');
   let searchTimeout;
 
   searchInput.addEventListener('input', (e) => {
@@ -743,20 +1382,49 @@ function setupRegisteredSearch() {
     clearTimeout(searchTimeout);
 
     if (!query) {
-      renderRegisteredParticipants();
+      loadRegisteredPage();
       return;
     }
 
     // Debounce search
-    searchTimeout = setTimeout(() => {
-      const filtered = participants.filter(p => {
-        return p.full_name.toLowerCase().includes(query) ||
-               p.email.toLowerCase().includes(query) ||
-               p.area.toLowerCase().includes(query);
-      });
-      renderRegisteredParticipants(filtered);
-    }, 300);
+    searchTimeout = setTimeout(() => searchRegistered(query), 300);
   });
+
+  typeFilter.addEventListener('change', () => {
+    registeredTypeFilter = typeFilter.value;
+    registeredPage.index = 0;
+    loadRegisteredView();
+  });
+}
+
+// The search typed in the registered tab, normalized the way searches are sent
+function registeredSearchQuery() {
+  return document.getElementById('registeredSearchInput').value.toLowerCase().trim();
+}
+
+// Name, email and DNI go through the same fuzzy matcher as the search tab, then
+// area and custom field values (see supabase/migrations/016_paged_lists.sql)
+async function searchRegistered(query) {
+  const request = ++registeredRequest;
+
+  try {
+    const { data, error } = await window.supabase
+      .rpc('search_participants', { p_event_id: currentEventId, p_query: query });
+
+    if (error) throw error;
+
+    if (request !== registeredRequest || query !== registeredSearchQuery()) return;
+
+    let results = data || [];
+    if (registeredTypeFilter) {
+      results = results.filter(p => p.participant_type === registeredTypeFilter);
+    }
+
+    visibleRegistered = sortRegisteredParticipants(results, registeredSortState.column, registeredSortState.direction);
+    renderRegisteredParticipants();
+  } catch (error) {
+    console.error('Error searching registered participants:', error);
+  }
 }
 
 function setupRegisteredSortHandlers() {
@@ -774,43 +1442,23 @@ function setupRegisteredSortHandlers() {
         registeredSortState.direction = 'asc';
       }
 
-      // Re-render with new sort
-      renderRegisteredParticipants();
+      // Reload sorted, from the first page
+      registeredPage.index = 0;
+      loadRegisteredView();
     });
   });
 }
 
 function sortRegisteredParticipants(list, column, direction) {
-  const sorted = [...list].sort((a, b) => {
-    let aVal, bVal;
-
-    switch(column) {
-      case 'name':
-        aVal = a.full_name.toLowerCase();
-        bVal = b.full_name.toLowerCase();
-        break;
-      case 'email':
-        aVal = a.email.toLowerCase();
-        bVal = b.email.toLowerCase();
-        break;
-      case 'area':
-        aVal = a.area.toLowerCase();
-        bVal = b.area.toLowerCase();
-        break;
-      case 'time':
-        aVal = new Date(a.registered_at).getTime();
-        bVal = new Date(b.registered_at).getTime();
-        break;
-      default:
-        return 0;
-    }
-
-    if (aVal < bVal) return direction === 'asc' ? -1 : 1;
-    if (aVal > bVal) return direction === 'asc' ? 1 : -1;
-    return 0;
-  });
-
-  return sorted;
+  const keyOf = {
+    name: p => (p.full_name || '').toLowerCase(),
+    email: p => (p.email || '').toLowerCase(),
+    area: p => (p.area || '').toLowerCase(),
+    type: p => PARTICIPANT_TYPE_ORDER.indexOf(p.participant_type),
+    time: p => new Date(p.registered_at).getTime()
+  }[column];
+
+  return keyOf ? sortByKey(list, keyOf, direction) : [...list];
 }
 
 function updateRegisteredSortArrows() {
@@ -0,0 +1,267 @@
+// Name badges: per-event template (events.badge_template), printed through the
+// print stylesheet in styles.css. Single badges can print automatically after
+// registration; the bulk action lays out every pre-registered person on label sheets.
+// Relies on the page state declared in app.js (currentEventId, currentEvent, userProfile,
+// visibleRegistered), its loadAllPages, and callTicketsFunction from tickets.js.
+
+const DEFAULT_BADGE_TEMPLATE = {
+  size: '4x3',
+  show_area: true,
+  show_participant_type: true,
+  show_qr: true,
+  show_logo: true,
+  accent_color: '#2563eb',
+  auto_print: false
+};
+
+// @page rules per print job; label sheets are A4 with 2 x 4 labels of 99.1 x 67.7 mm (L7165 / 8 per sheet)
+const BADGE_PAGE_STYLES = {
+  '4x3': '@page { size: 4in 3in; margin: 0; }',
+  a6: '@page { size: 148mm 105mm; margin: 0; }',
+  sheet: '@page { size: A4; margin: 15.1mm 4.65mm; }'
+};
+
+// Organization shown on badges ({ name, logo_url })
+let badgeOrganization = null;
+
+function badgeTemplate() {
+  return { ...DEFAULT_BADGE_TEMPLATE, ...(currentEvent?.badge_template || {}) };
+}
+
+async function setupBadges() {
+  document.getElementById('printAllBadgesBtn').addEventListener('click', printAllBadges);
+  document.getElementById('badgeTemplateForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await saveBadgeTemplate();
+  });
+
+  window.addEventListener('afterprint', () => {
+    document.body.classList.remove('printing-badges');
+    document.getElementById('badgePrintArea').innerHTML = '';
+    document.getElementById('preregSearchInput').focus();
+  });
+
+  await loadBadgeOrganization();
+  renderBadgeTemplateForm();
+}
+
+async function loadBadgeOrganization() {
+  try {
+    const { data, error } = await window.supabase
+      .from('organizations')
+      .select('name, logo_url')
+      .eq('id', userProfile.organization_id)
+      .single();
+
+    if (error) throw error;
+
+    badgeOrganization = data;
+  } catch (error) {
+    console.error('Error loading organization:', error);
+    badgeOrganization = null;
+  }
+}
+
+// ====== TEMPLATE EDITOR (SETUP PANEL) ======
+
+// Template options are editable by admins; everyone can print
+function renderBadgeTemplateForm() {
+  const template = badgeTemplate();
+  const form = document.getElementById('badgeTemplateForm');
+
+  form.style.display = userProfile?.role === 'admin' ? '' : 'none';
+
+  document.getElementById('badgeSize').value = template.size;
+  document.getElementById('badgeShowArea').checked = template.show_area;
+  document.getElementById('badgeShowType').checked = template.show_participant_type;
+  document.getElementById('badgeShowQr').checked = template.show_qr;
+  document.getElementById('badgeShowLogo').checked = template.show_logo;
+  document.getElementById('badgeAccentColor').value = template.accent_color;
+  document.getElementById('badgeAutoPrint').checked = template.auto_print;
+  document.getElementById('badgeLogoUrl').value = badgeOrganization?.logo_url || '';
+}
+
+async function saveBadgeTemplate() {
+  const template = {
+    size: document.getElementById('badgeSize').value,
+    show_area: document.getElementById('badgeShowArea').checked,
+    show_participant_type: document.getElementById('badgeShowType').checked,
+    show_qr: document.getElementById('badgeShowQr').checked,
+    show_logo: document.getElementById('badgeShowLogo').checked,
+    accent_color: document.getElementById('badgeAccentColor').value,
+    auto_print: document.getElementById('badgeAutoPrint').checked
+  };
+  const logoUrl = document.getElementById('badgeLogoUrl').value.trim() || null;
+
+  try {
+    const { error } = await window.supabase
+      .from('events')
+      .update({ badge_template: template })
+      .eq('id', currentEventId);
+
+    if (error) throw error;
+
+    currentEvent.badge_template = template;
+
+    // The logo belongs to the organization, so it is shared by all its events
+    if (logoUrl !== (badgeOrganization?.logo_url || null)) {
+      const { error: logoError } = await window.supabase
+        .from('organizations')
+        .update({ logo_url: logoUrl })
+        .eq('id', userProfile.organization_id);
+
+      if (logoError) throw logoError;
+
+      badgeOrganization = { ...badgeOrganization, logo_url: logoUrl };
+    }
+
+    window.NotificationManager.success('Badge template saved');
+  } catch (error) {
+    console.error('Error saving badge template:', error);
+    window.NotificationManager.error(error.message || 'Failed to save badge template');
+  }
+}
+
+// ====== RENDERING ======
+
+// QR code as inline SVG (crisp on any printer)
+function badgeQrSvg(token) {
+  const qr = qrcode(0, 'M');
+  qr.addData(token);
+  qr.make();
+  return qr.createSvgTag({ cellSize: 4, margin: 0, scalable: true });
+}
+
+// person: { full_name, area, participant_type, token }
+function badgeHtml(person, template) {
+  const logo = template.show_logo && badgeOrganization?.logo_url
+    ? `<img class="badge-logo" src="${escapeHtml(badgeOrganization.logo_url)}" alt="">`
+    : '';
+  const type = template.show_participant_type && person.participant_type
+    ? `<div class="badge-type">${escapeHtml(participantTypeLabel(person.participant_type))}</div>`
+    : '';
+  const area = template.show_area && person.area
+    ? `<div class="badge-area">${escapeHtml(person.area)}</div>`
+    : '';
+  const qr = template.show_qr && person.token
+    ? `<div class="badge-qr">${badgeQrSvg(person.token)}</div>`
+    : '';
+
+  return `
+    <div class="badge" style="--badge-accent: ${escapeHtml(template.accent_color)}">
+      <div class="badge-header">
+        ${logo}
+        <span class="badge-event">${escapeHtml(currentEvent?.name || '')}</span>
+      </div>
+      <div class="badge-body">
+        <div class="badge-text">
+          <div class="badge-name">${escapeHtml(person.full_name || '')}</div>
+          ${area}
+          ${type}
+        </div>
+        ${qr}
+      </div>
+    </div>
+  `;
+}
+
+// Put badges in the print area and open the print dialog
+function printBadges(people, layout) {
+  const template = badgeTemplate();
+  const area = document.getElementById('badgePrintArea');
+
+  document.getElementById('badgePageStyle').textContent = BADGE_PAGE_STYLES[layout] || BADGE_PAGE_STYLES[template.size];
+  area.className = `badge-print-area badge-layout-${layout}`;
+  area.innerHTML = people.map(person => badgeHtml(person, template)).join('');
+
+  document.body.classList.add('printing-badges');
+
+  // Let the logo load before printing
+  const images = Array.from(area.querySelectorAll('img'));
+  Promise.all(images.map(img => img.complete ? null : new Promise(resolve => {
+    img.onload = resolve;
+    img.onerror = resolve;
+  }))).then(() => window.print());
+}
+
+// Signed ticket tokens for pre-registered rows, keyed by row id (empty when tickets are unavailable)
+async function badgeTokens(ids = []) {
+  if (!badgeTemplate().show_qr) return new Map();
+
+  try {
+    const { tickets } = await callTicketsFunction({ action: 'issue', ids });
+    return new Map(tickets.map(ticket => [ticket.id, ticket.token]));
+  } catch (error) {
+    console.error('Error issuing badge QR codes:', error);
+    window.NotificationManager.warning(`Badges printed without QR codes: ${error.message}`);
+    return new Map();
+  }
+}
+
+// ====== PRINT ACTIONS ======
+
+// Badge for a registered participant (QR only when they came from the pre-registration list)
+async function printParticipantBadge(participant) {
+  const { data, error } = await window.supabase
+    .from('pre_registered_participants')
+    .select('id')
+    .eq('registered_participant_id', participant.id)
+    .limit(1);
+
+  if (error) console.error('Error looking up the pre-registration of a badge:', error);
+
+  const preReg = data?.[0];
+  const tokens = preReg ? await badgeTokens([preReg.id]) : new Map();
+
+  printBadges([{ ...participant, token: preReg ? tokens.get(preReg.id) : null }], badgeTemplate().size);
+}
+
+// Row action in the registered tab
+async function printBadgeById(participantId) {
+  const participant = visibleRegistered.find(p => p.id === participantId);
+  if (participant) await printParticipantBadge(participant);
+}
+
+// Called after registerPreregistered() and quick add succeed
+async function autoPrintBadge(participant, preRegId = null) {
+  if (!badgeTemplate().auto_print) return;
+
+  const tokens = preRegId ? await badgeTokens([preRegId]) : new Map();
+  printBadges([{ ...participant, token: tokens.get(preRegId) }], badgeTemplate().size);
+}
+
+// Every pre-registered person on label sheets
+async function printAllBadges() {
+  const button = document.getElementById('printAllBadgesBtn');
+  button.disabled = true;
+
+  try {
+    const preregistered = await loadAllPages(() => window.supabase
+      .from('pre_registered_participants')
+      .select('id, full_name, identifier_value, area, participant_type')
+      .eq('event_id', currentEventId)
+      .order('id'));
+
+    if (preregistered.length === 0) {
+      window.NotificationManager.warning('Upload a pre-registration list first');
+      return;
+    }
+
+    const tokens = await badgeTokens();
+    const people = preregistered
+      .sort((a, b) => (a.full_name || a.identifier_value).localeCompare(b.full_name || b.identifier_value))
+      .map(p => ({
+        full_name: p.full_name || p.identifier_value,
+        area: p.area,
+        participant_type: p.participant_type,
+        token: tokens.get(p.id)
+      }));
+
+    printBadges(people, 'sheet');
+  } catch (error) {
+    console.error('Error printing badges:', error);
+    window.NotificationManager.error(error.message || 'Failed to print badges');
+  } finally {
+    button.disabled = false;
+  }
+}
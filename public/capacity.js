@@ -0,0 +1,129 @@
+// Venue occupancy against the event capacity (events.capacity), check-out and
+// re-entry. When the event is full, new entries are refused unless an admin overrides
+// (see supabase/migrations/012_venue_capacity.sql).
+// Relies on the page state declared in app.js (currentEvent, userProfile) and its
+// updateStats and patchVisibleParticipant.
+
+// Occupancy level last shown ('ok', 'warning' or 'full'); null until the first update
+let occupancyLevel = null;
+
+const OCCUPANCY_LEVELS = ['ok', 'warning', 'full'];
+
+function occupancyLevelFor(count) {
+  const capacity = currentEvent?.capacity;
+  if (!capacity) return 'ok';
+  if (count >= capacity) return 'full';
+  if (count >= capacity * (currentEvent.capacity_warning_percent || 90) / 100) return 'warning';
+  return 'ok';
+}
+
+// Header stat; warns once each time occupancy climbs to a higher level
+// count: people inside (registered and not checked out); registered: all registered people
+function updateOccupancy(count, registered) {
+  const capacity = currentEvent?.capacity;
+  const stat = document.getElementById('occupancyStats');
+
+  // Without a capacity the stat only matters once people start leaving
+  const show = Boolean(capacity) || count !== registered;
+  stat.style.display = show ? '' : 'none';
+  document.getElementById('occupancyCount').textContent = capacity ? `${count} / ${capacity}` : count;
+
+  const level = occupancyLevelFor(count);
+  stat.classList.toggle('occupancy-warning', level === 'warning');
+  stat.classList.toggle('occupancy-full', level === 'full');
+
+  if (occupancyLevel !== null && OCCUPANCY_LEVELS.indexOf(level) > OCCUPANCY_LEVELS.indexOf(occupancyLevel)) {
+    if (level === 'full') {
+      window.NotificationManager.error(`The event is full: ${count} of ${capacity} people inside`);
+    } else {
+      window.NotificationManager.warning(`Occupancy at ${Math.round(count / capacity * 100)}%: ${count} of ${capacity} people inside`);
+    }
+  }
+
+  occupancyLevel = level;
+}
+
+// "Event is full (150 of 150 inside)"
+function eventFullMessage(result) {
+  return `Event is full (${result.occupancy} of ${result.capacity} inside)`;
+}
+
+// For an 'event_full' result: admins may let the person in anyway.
+// Returns true to retry with the override.
+function confirmCapacityOverride(result) {
+  if (!result.can_override) {
+    window.NotificationManager.error(`${eventFullMessage(result)}. An admin must approve extra entries.`);
+    return false;
+  }
+
+  return confirm(`${eventFullMessage(result)}. Let this person in anyway?`);
+}
+
+// Keep a participant row returned by an RPC (realtime delivers it to other clients)
+function replaceParticipant(participant) {
+  patchVisibleParticipant(participant);
+  updateStats();
+}
+
+// ====== CHECK-OUT AND RE-ENTRY ======
+
+// Returns the RPC result ({ status, ... }), or null when the call failed
+async function checkOutParticipant(participantId, { notify = true } = {}) {
+  try {
+    const { data: result, error } = await window.supabase
+      .rpc('check_out_participant', { p_participant_id: participantId });
+
+    if (error) throw error;
+
+    if (result.status === 'checked_out') {
+      replaceParticipant(result.participant);
+
+      if (notify) {
+        window.NotificationManager.success(`${result.participant.full_name} checked out`, UNDO_WINDOW_MS, {
+          action: {
+            label: 'Undo',
+            onClick: () => readmitParticipant(participantId)
+          }
+        });
+      }
+    } else if (notify) {
+      window.NotificationManager.warning(`Already checked out ${formatDateTime(result.checked_out_at)}`);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Error checking out participant:', error);
+    window.NotificationManager.error(error.message || 'Check-out failed');
+    return null;
+  }
+}
+
+// Back inside after checking out; subject to the capacity like a new entry
+async function readmitParticipant(participantId, override = false) {
+  try {
+    const { data: result, error } = await window.supabase
+      .rpc('readmit_participant', { p_participant_id: participantId, p_override: override });
+
+    if (error) throw error;
+
+    if (result.status === 'event_full') {
+      if (confirmCapacityOverride(result)) {
+        return await readmitParticipant(participantId, true);
+      }
+      return result;
+    }
+
+    if (result.status === 'returned') {
+      replaceParticipant(result.participant);
+      window.NotificationManager.success(`${result.participant.full_name} is back inside`);
+    } else {
+      window.NotificationManager.info('Already inside');
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Error readmitting participant:', error);
+    window.NotificationManager.error(error.message || 'Re-entry failed');
+    return null;
+  }
+}
@@ -0,0 +1,324 @@
+// Custom participant fields defined per event (phone, company, dietary needs...).
+// Values live in custom_data on participants and pre-registered rows, keyed by field_key.
+// Relies on the page state declared in app.js (currentEventId, userProfile).
+
+// Fields of the current event, in display order
+let eventFields = [];
+
+const CUSTOM_FIELD_TYPES = [
+  { value: 'text', label: 'Text', input: 'text' },
+  { value: 'number', label: 'Number', input: 'number' },
+  { value: 'email', label: 'Email', input: 'email' },
+  { value: 'phone', label: 'Phone', input: 'tel' },
+  { value: 'date', label: 'Date', input: 'date' },
+  { value: 'select', label: 'Choice list', input: null },
+  { value: 'checkbox', label: 'Yes / No', input: 'checkbox' }
+];
+
+// Built-in participant fields; custom keys cannot reuse them
+const RESERVED_FIELD_KEYS = ['full_name', 'email', 'dni', 'area', 'participant_type', 'identifier_value'];
+
+// Load the event's field definitions and refresh everything that renders them
+async function loadEventFields() {
+  try {
+    const { data, error } = await window.supabase
+      .from('event_fields')
+      .select('*')
+      .eq('event_id', currentEventId)
+      .order('position', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    eventFields = data || [];
+  } catch (error) {
+    console.error('Error loading event fields:', error);
+    eventFields = [];
+  }
+
+  renderCustomFieldHeaders();
+  renderQuickAddCustomFields();
+  renderEventFieldsManager();
+}
+
+// Fields shown as table columns
+function tableFields() {
+  return eventFields.filter(field => field.show_in_table);
+}
+
+// Column count of a table with the custom columns added
+function tableColumnCount(baseCount) {
+  return baseCount + tableFields().length;
+}
+
+// Display text for a stored custom value
+function formatCustomValue(field, value) {
+  if (value === undefined || value === null || value === '') return '';
+  if (field.field_type === 'checkbox') return value === true ? 'Yes' : value === false ? 'No' : String(value);
+  return String(value);
+}
+
+// Table cells for a participant's custom values
+function customFieldCells(record) {
+  const data = record.custom_data || {};
+  return tableFields().map(field =>
+    `<td>${escapeHtml(formatCustomValue(field, data[field.field_key])) || '-'}</td>`
+  ).join('');
+}
+
+// Custom column headers, placed before the .custom-fields-before header (Action / Registered) of both tables
+function renderCustomFieldHeaders() {
+  ['preregisterTable', 'registeredTable'].forEach(tableId => {
+    const headerRow = document.querySelector(`#${tableId} thead tr`);
+    if (!headerRow) return;
+
+    headerRow.querySelectorAll('.custom-field-header').forEach(th => th.remove());
+    const anchor = headerRow.querySelector('.custom-fields-before');
+
+    tableFields().forEach(field => {
+      const th = document.createElement('th');
+      th.className = 'custom-field-header';
+      th.textContent = field.label;
+      headerRow.insertBefore(th, anchor);
+    });
+  });
+}
+
+// ====== QUICK ADD ======
+
+// One input per custom field in the quick-add modal
+function renderQuickAddCustomFields() {
+  const container = document.getElementById('quickAddCustomFields');
+  if (!container) return;
+
+  container.innerHTML = eventFields.map(field => {
+    const id = `quickCustom-${field.field_key}`;
+    const label = `${escapeHtml(field.label)}${field.is_required ? ' *' : ''}`;
+    const required = field.is_required ? 'required' : '';
+
+    if (field.field_type === 'checkbox') {
+      return `
+        <div class="form-group">
+          <label class="option-inline"><input type="checkbox" id="${id}" data-field="${field.field_key}"> ${label}</label>
+        </div>
+      `;
+    }
+
+    if (field.field_type === 'select') {
+      return `
+        <div class="form-group">
+          <select id="${id}" data-field="${field.field_key}" ${required}>
+            <option value="">${label}</option>
+            ${(field.options || []).map(option => `<option value="${escapeHtml(option)}">${escapeHtml(option)}</option>`).join('')}
+          </select>
+        </div>
+      `;
+    }
+
+    const type = CUSTOM_FIELD_TYPES.find(t => t.value === field.field_type);
+    return `
+      <div class="form-group">
+        <input type="${type ? type.input : 'text'}" id="${id}" data-field="${field.field_key}" placeholder="${label}" title="${escapeHtml(field.label)}" ${field.field_type === 'number' ? 'step="any"' : ''} ${required}>
+      </div>
+    `;
+  }).join('');
+}
+
+// custom_data from the quick-add inputs (the browser enforces required fields)
+function collectQuickAddCustomData() {
+  const customData = {};
+
+  eventFields.forEach(field => {
+    const input = document.getElementById(`quickCustom-${field.field_key}`);
+    if (!input) return;
+
+    if (field.field_type === 'checkbox') {
+      customData[field.field_key] = input.checked;
+    } else if (input.value.trim() !== '') {
+      customData[field.field_key] = field.field_type === 'number' ? Number(input.value) : input.value.trim();
+    }
+  });
+
+  return customData;
+}
+
+// ====== FIELD MANAGER (SETUP PANEL) ======
+
+function setupEventFields() {
+  const form = document.getElementById('eventFieldForm');
+  const typeSelect = document.getElementById('eventFieldType');
+
+  typeSelect.innerHTML = CUSTOM_FIELD_TYPES.map(type =>
+    `<option value="${type.value}">${type.label}</option>`
+  ).join('');
+
+  // Choices are only asked for choice lists
+  typeSelect.addEventListener('change', () => {
+    document.getElementById('eventFieldOptions').style.display = typeSelect.value === 'select' ? '' : 'none';
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await addEventField();
+  });
+}
+
+// Field list with inline toggles; only admins can change it
+function renderEventFieldsManager() {
+  const section = document.getElementById('eventFieldsManager');
+  if (!section) return;
+
+  if (userProfile?.role !== 'admin') {
+    section.style.display = 'none';
+    return;
+  }
+
+  section.style.display = '';
+  const list = document.getElementById('eventFieldsList');
+
+  if (eventFields.length === 0) {
+    list.innerHTML = '<div class="text-muted">No custom fields yet. Participants have name, email, DNI and area.</div>';
+    return;
+  }
+
+  list.innerHTML = eventFields.map(field => {
+    const type = CUSTOM_FIELD_TYPES.find(t => t.value === field.field_type);
+    const options = field.field_type === 'select' && field.options ? ` (${field.options.join(', ')})` : '';
+
+    return `
+      <div class="event-field-item" data-id="${field.id}">
+        <div class="event-field-main">
+          <strong>${escapeHtml(field.label)}</strong>
+          <span class="text-muted">${type ? type.label : field.field_type}${escapeHtml(options)} • ${field.field_key}</span>
+        </div>
+        <label class="option-inline">
+          <input type="checkbox" data-toggle="is_required" ${field.is_required ? 'checked' : ''}> Required
+        </label>
+        <label class="option-inline">
+          <input type="checkbox" data-toggle="show_in_table" ${field.show_in_table ? 'checked' : ''}> Show in table
+        </label>
+        <button type="button" class="btn-secondary btn-small" onclick="deleteEventField('${field.id}')">Remove</button>
+      </div>
+    `;
+  }).join('');
+
+  list.querySelectorAll('input[data-toggle]').forEach(input => {
+    input.addEventListener('change', (e) => {
+      const id = e.target.closest('.event-field-item').dataset.id;
+      updateEventField(id, { [e.target.dataset.toggle]: e.target.checked });
+    });
+  });
+}
+
+// Key derived from the label: "Job title" -> job_title
+function fieldKeyFromLabel(label) {
+  let key = label
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+  if (!/^[a-z]/.test(key)) key = `field_${key}`;
+  if (RESERVED_FIELD_KEYS.includes(key)) key = `custom_${key}`;
+
+  // Keep keys unique within the event
+  let unique = key;
+  for (let n = 2; eventFields.some(field => field.field_key === unique); n++) {
+    unique = `${key}_${n}`;
+  }
+  return unique;
+}
+
+async function addEventField() {
+  const label = document.getElementById('eventFieldLabel').value.trim();
+  const fieldType = document.getElementById('eventFieldType').value;
+  const options = document.getElementById('eventFieldOptions').value
+    .split(',')
+    .map(option => option.trim())
+    .filter(Boolean);
+
+  if (!label) {
+    window.NotificationManager.error('Enter a field name');
+    return;
+  }
+
+  if (fieldType === 'select' && options.length === 0) {
+    window.NotificationManager.error('Enter the choices, separated by commas');
+    return;
+  }
+
+  try {
+    const { error } = await window.supabase
+      .from('event_fields')
+      .insert([{
+        event_id: currentEventId,
+        field_key: fieldKeyFromLabel(label),
+        label,
+        field_type: fieldType,
+        options: fieldType === 'select' ? options : null,
+        is_required: document.getElementById('eventFieldRequired').checked,
+        show_in_table: document.getElementById('eventFieldShowInTable').checked,
+        position: eventFields.length
+      }]);
+
+    if (error) throw error;
+
+    document.getElementById('eventFieldForm').reset();
+    document.getElementById('eventFieldOptions').style.display = 'none';
+    window.NotificationManager.success(`Field "${label}" added`);
+
+    await reloadEventFields();
+  } catch (error) {
+    console.error('Error adding event field:', error);
+    window.NotificationManager.error(error.message || 'Failed to add field');
+  }
+}
+
+async function updateEventField(fieldId, changes) {
+  try {
+    const { error } = await window.supabase
+      .from('event_fields')
+      .update(changes)
+      .eq('id', fieldId);
+
+    if (error) throw error;
+
+    await reloadEventFields();
+  } catch (error) {
+    console.error('Error updating event field:', error);
+    window.NotificationManager.error(error.message || 'Failed to update field');
+    renderEventFieldsManager();
+  }
+}
+
+// Removing a field hides it; values already stored in custom_data are kept
+async function deleteEventField(fieldId) {
+  const field = eventFields.find(f => f.id === fieldId);
+  if (!field) return;
+
+  if (!confirm(`Remove the "${field.label}" field? Values already collected are kept but no longer shown.`)) {
+    return;
+  }
+
+  try {
+    const { error } = await window.supabase
+      .from('event_fields')
+      .delete()
+      .eq('id', fieldId);
+
+    if (error) throw error;
+
+    await reloadEventFields();
+  } catch (error) {
+    console.error('Error removing event field:', error);
+    window.NotificationManager.error(error.message || 'Failed to remove field');
+  }
+}
+
+// Re-render the tables so custom columns appear or disappear immediately
+async function reloadEventFields() {
+  await loadEventFields();
+  refreshPreregResults();
+  renderRegisteredParticipants();
+}
@@ -6,6 +6,13 @@ let isEditing = false;
 let currentUser = null;
 let userProfile = null;
 
+// Values of the participant_type enum, as shown in the card breakdown
+const PARTICIPANT_TYPE_LABELS = {
+  participant: 'Participants',
+  attendee: 'Attendees',
+  lead: 'Leads'
+};
+
 // Initialize app
 document.addEventListener('DOMContentLoaded', async () => {
   // Check authentication
@@ -249,6 +256,35 @@ async function loadEventStats(eventId) {
 
     if (pendingError) throw pendingError;
 
+    // Registered people per participant type
+    const typeCounts = totalCount > 0
+      ? await Promise.all(Object.keys(PARTICIPANT_TYPE_LABELS).map(async (type) => {
+        const { count, error } = await window.supabase
+          .from('participants')
+          .select('*', { count: 'exact', head: true })
+          .eq('event_id', eventId)
+          .eq('participant_type', type);
+
+        if (error) throw error;
+        return [type, count || 0];
+      }))
+      : [];
+
+    // People inside against the venue capacity, for events that have one
+    const event = events.find(e => e.id === eventId);
+    let insideCount = null;
+
+    if (event?.capacity) {
+      const { count, error: insideError } = await window.supabase
+        .from('participants')
+        .select('*', { count: 'exact', head: true })
+        .eq('event_id', eventId)
+        .is('checked_out_at', null);
+
+      if (insideError) throw insideError;
+      insideCount = count || 0;
+    }
+
     const statsDiv = document.getElementById(`stats-${eventId}`);
 
     if (!statsDiv) return;
@@ -262,6 +298,17 @@ async function loadEventStats(eventId) {
         <strong>${pendingCount || 0}</strong>
         <span>Pending</span>
       </div>
+      ${insideCount !== null ? `
+        <div class="stat-item">
+          <strong>${insideCount} / ${event.capacity}</strong>
+          <span>Inside</span>
+        </div>
+      ` : ''}
+      ${typeCounts.length > 0 ? `
+        <div class="event-type-stats">
+          ${typeCounts.filter(([, count]) => count > 0).map(([type, count]) => `${PARTICIPANT_TYPE_LABELS[type]}: ${count}`).join(' · ')}
+        </div>
+      ` : ''}
     `;
   } catch (error) {
     console.error('Error loading event stats:', error);
@@ -388,6 +435,8 @@ async function editEvent(eventId) {
   document.getElementById('eventName').value = event.name;
   document.getElementById('eventDate').value = event.event_date || '';
   document.getElementById('eventDescription').value = event.description || '';
+  document.getElementById('eventCapacity').value = event.capacity || '';
+  document.getElementById('eventCapacityWarning').value = event.capacity_warning_percent || 90;
   document.getElementById('eventModal').style.display = 'flex';
   document.getElementById('eventName').focus();
 }
@@ -405,7 +454,9 @@ async function handleFormSubmit(e) {
   const eventData = {
     name: document.getElementById('eventName').value.trim(),
     event_date: document.getElementById('eventDate').value || null,
-    description: document.getElementById('eventDescription').value.trim() || null
+    description: document.getElementById('eventDescription').value.trim() || null,
+    capacity: Number(document.getElementById('eventCapacity').value) || null,
+    capacity_warning_percent: Number(document.getElementById('eventCapacityWarning').value) || 90
   };
 
   // Add created_by and organization_id for new events
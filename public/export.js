@@ -0,0 +1,130 @@
+// CSV/XLSX export of the search and registered tabs, in the current search
+// filter and sort order: the search results, or every page of the list.
+// Relies on the page state declared in app.js (currentEvent, preregResultsQuery,
+// visiblePreregistered, visibleRegistered), its list queries and loaders, and
+// loadRegistrarNames/registrarNames for the registering assistant.
+
+const EXPORT_STATUS_LABELS = {
+  registered: 'registered',
+  pending: 'pending',
+  walk_in: 'walk-in'
+};
+
+function setupExport() {
+  document.querySelectorAll('[data-export]').forEach(button => {
+    button.addEventListener('click', () => exportTab(button.dataset.export, button.dataset.format));
+  });
+}
+
+// The records of a tab ('search' or 'registered'): the search results shown, or
+// the whole list (all pages) while no search is typed
+function exportRecords(tab) {
+  if (tab === 'registered') {
+    return registeredSearchQuery() ? visibleRegistered : loadAllPages(() => registeredListQuery());
+  }
+  return preregResultsQuery ? visiblePreregistered : loadAllPages(() => preregListQuery());
+}
+
+// Export one row per record of a tab ('search' or 'registered')
+async function exportTab(tab, format) {
+  try {
+    const records = await exportRecords(tab);
+
+    if (records.length === 0) {
+      window.NotificationManager.warning('Nothing to export');
+      return;
+    }
+
+    const rows = tab === 'registered'
+      ? await exportRegisteredRows(records)
+      : await exportPreregisteredRows(records);
+
+    const worksheet = XLSX.utils.json_to_sheet(rows);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, tab === 'registered' ? 'Registered' : 'Pre-registered');
+
+    const eventName = (currentEvent?.name || 'event').replace(/[^\w-]+/g, '_');
+    const date = new Date().toISOString().slice(0, 10);
+    XLSX.writeFile(workbook, `${eventName}-${tab}-${date}.${format}`, { bookType: format === 'csv' ? 'csv' : 'xlsx' });
+
+    window.NotificationManager.success(`Exported ${rows.length} row${rows.length !== 1 ? 's' : ''}`);
+  } catch (error) {
+    console.error('Error exporting participants:', error);
+    window.NotificationManager.error(error.message || 'Export failed');
+  }
+}
+
+// Registered participants; pre-registered people also get their original import columns
+async function exportRegisteredRows(records) {
+  const linked = await loadRowsByIds('pre_registered_participants', 'registered_participant_id', records.map(p => p.id));
+  const preregByParticipant = new Map(linked.map(p => [p.registered_participant_id, p]));
+
+  await loadRegistrarNames(records.map(p => p.registered_by));
+
+  return buildExportRows(records.map(participant => {
+    const preReg = preregByParticipant.get(participant.id);
+    return {
+      status: preReg ? 'registered' : 'walk_in',
+      participant,
+      preReg
+    };
+  }));
+}
+
+// Pre-registered rows; registered ones take the registration details from their participant
+async function exportPreregisteredRows(records) {
+  const registered = await loadRowsByIds('participants', 'id', records.map(p => p.registered_participant_id));
+  const participantsById = new Map(registered.map(p => [p.id, p]));
+
+  const entries = records.map(preReg => {
+    const participant = preReg.is_registered ? participantsById.get(preReg.registered_participant_id) : null;
+    return {
+      status: preReg.is_registered ? 'registered' : 'pending',
+      participant,
+      preReg
+    };
+  });
+
+  await loadRegistrarNames(entries.filter(e => e.participant).map(e => e.participant.registered_by));
+
+  return buildExportRows(entries);
+}
+
+// Flat rows: status, core fields, custom fields, registration details, then the original import columns
+function buildExportRows(entries) {
+  const coreLabels = ['Status', 'Full name', 'Email', 'DNI', 'Area', 'Participant type',
+    'Identifier type', 'Identifier', 'Registered at', 'Registered by'];
+  const customLabels = eventFields.map(field => field.label);
+  const taken = new Set([...coreLabels, ...customLabels]);
+
+  return entries.map(({ status, participant, preReg }) => {
+    const person = participant || preReg;
+    const customData = { ...(preReg?.custom_data || {}), ...(participant?.custom_data || {}) };
+
+    const row = {
+      'Status': EXPORT_STATUS_LABELS[status],
+      'Full name': person.full_name || preReg?.identifier_value || '',
+      'Email': person.email || '',
+      'DNI': person.dni || '',
+      'Area': person.area || '',
+      'Participant type': participant?.participant_type || preReg?.participant_type || ''
+    };
+
+    eventFields.forEach(field => {
+      row[field.label] = formatCustomValue(field, customData[field.field_key]);
+    });
+
+    row['Identifier type'] = preReg?.identifier_type || '';
+    row['Identifier'] = preReg?.identifier_value || '';
+    row['Registered at'] = participant ? new Date(participant.registered_at).toLocaleString() : '';
+    row['Registered by'] = participant ? (registrarNames.get(participant.registered_by) || '') : '';
+
+    // Original spreadsheet columns; names that clash with the columns above get a suffix
+    Object.entries(preReg?.raw_data || {}).forEach(([column, value]) => {
+      const label = taken.has(column) ? `${column} (original)` : column;
+      row[label] = value;
+    });
+
+    return row;
+  });
+}
@@ -0,0 +1,251 @@
+// Row-level validation for pre-registration imports
+// Used by the setup panel (window.ImportValidation) and the unit tests (require)
+
+const ImportValidation = (() => {
+  // Shared import constants: loaded before this script in the browser, required in Node
+  const { PARTICIPANT_TYPES, normalizeKey, parseParticipantType } =
+    typeof ImportFields !== 'undefined' ? ImportFields : require('../shared/import-fields');
+
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  // Issue categories; rows with an "exclude" issue are left out unless the admin accepts them.
+  // A row with a "fixRequired" issue cannot be accepted until its value is fixed.
+  const CATEGORIES = {
+    missing_identifier: { label: 'Missing identifier', defaultAction: 'exclude', fixRequired: true },
+    duplicate_identifier: { label: 'Duplicate identifier', defaultAction: 'exclude' },
+    invalid_email: { label: 'Invalid email', defaultAction: 'accept' },
+    variant: { label: 'Whitespace/case variant', defaultAction: 'accept' },
+    missing_name: { label: 'Missing name', defaultAction: 'accept' },
+    missing_required: { label: 'Missing required field', defaultAction: 'accept' },
+    invalid_value: { label: 'Invalid custom value', defaultAction: 'accept' },
+    invalid_type: { label: 'Unknown participant type', defaultAction: 'accept' }
+  };
+
+  const PHONE_PATTERN = /^\+?[\d\s().-]{6,20}$/;
+  const TRUE_VALUES = ['yes', 'y', 'si', 's', 'true', '1', 'x'];
+  const FALSE_VALUES = ['no', 'n', 'false', '0'];
+
+  const FIELDS = ['full_name', 'email', 'dni', 'area'];
+
+  // Cell value as a trimmed string, or null when empty
+  function cellValue(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    return text === '' ? null : text;
+  }
+
+  // Excel stores dates as days since 1899-12-30
+  function excelSerialToDate(serial) {
+    return new Date(Math.round((serial - 25569) * 86400000)).toISOString().slice(0, 10);
+  }
+
+  // YYYY-MM-DD from an ISO or day-first (DD/MM/YYYY) date, or null
+  function parseDate(text) {
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    const [year, month, day] = iso
+      ? [iso[1], iso[2], iso[3]]
+      : dayFirst ? [dayFirst[3], dayFirst[2], dayFirst[1]] : [];
+
+    if (!year) return null;
+
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    return date.getUTCDate() === Number(day) ? date.toISOString().slice(0, 10) : null;
+  }
+
+  /**
+   * Convert a cell to the type of a custom event field
+   * @param {*} raw - Cell value
+   * @param {Object} field - Event field ({ field_type, options })
+   * @returns {Object} - { value, valid }; invalid values are kept as text
+   */
+  function coerceCustomValue(raw, field) {
+    const text = cellValue(raw);
+    if (text === null) return { value: null, valid: true };
+
+    switch (field.field_type) {
+      case 'number': {
+        const number = Number(/^-?\d+,\d+$/.test(text) ? text.replace(',', '.') : text);
+        return Number.isFinite(number) ? { value: number, valid: true } : { value: text, valid: false };
+      }
+      case 'email':
+        return { value: text, valid: EMAIL_PATTERN.test(text) };
+      case 'phone':
+        return { value: text, valid: PHONE_PATTERN.test(text) };
+      case 'date': {
+        const date = typeof raw === 'number' ? excelSerialToDate(raw) : parseDate(text);
+        return date ? { value: date, valid: true } : { value: text, valid: false };
+      }
+      case 'select': {
+        const option = (field.options || []).find(choice => normalizeKey(choice) === normalizeKey(text));
+        return option ? { value: option, valid: true } : { value: text, valid: false };
+      }
+      case 'checkbox': {
+        const key = normalizeKey(text);
+        if (TRUE_VALUES.includes(key)) return { value: true, valid: true };
+        if (FALSE_VALUES.includes(key)) return { value: false, valid: true };
+        return { value: text, valid: false };
+      }
+      default:
+        return { value: text, valid: true };
+    }
+  }
+
+  // Apply the column mapping to one spreadsheet row; custom field values go in custom_data
+  function mapRow(row, analysis, customFields = []) {
+    const mapped = {
+      identifier_value: cellValue(row[analysis.identifier_column])
+    };
+
+    FIELDS.forEach(field => {
+      const column = analysis.mappings[field];
+      mapped[field] = column ? cellValue(row[column]) : null;
+    });
+
+    const typeColumn = analysis.mappings.participant_type;
+    mapped.participant_type = typeColumn ? parseParticipantType(row[typeColumn]) : null;
+
+    mapped.custom_data = {};
+    customFields.forEach(field => {
+      const column = analysis.mappings[field.field_key];
+      const { value } = column ? coerceCustomValue(row[column], field) : { value: null };
+      if (value !== null) mapped.custom_data[field.field_key] = value;
+    });
+
+    return mapped;
+  }
+
+  // Raw cell text differs from its cleaned form only by whitespace or case
+  function isVariant(raw, field) {
+    if (raw === undefined || raw === null) return false;
+    const text = String(raw);
+    if (text.trim() !== text || /\s{2,}/.test(text)) return true;
+    return field === 'email' && text !== text.toLowerCase();
+  }
+
+  /**
+   * Validate every row with the given mapping
+   * @param {Array<Object>} rows - Spreadsheet rows keyed by column
+   * @param {Object} analysis - Column mapping ({ identifier_column, mappings })
+   * @param {Object} fixes - Manual corrections keyed by row index ({ field: value })
+   * @param {Array<Object>} customFields - Event fields mapped through analysis.mappings by field_key
+   * @returns {Object} - { totals, rows: [{ index, issues }] } listing flagged rows only
+   */
+  function validateRows(rows, analysis, fixes = {}, customFields = []) {
+    const totals = { rows: rows.length, flagged: 0 };
+    Object.keys(CATEGORIES).forEach(category => { totals[category] = 0; });
+
+    const seen = new Map();
+    const flagged = [];
+
+    rows.forEach((row, index) => {
+      const record = { ...mapRow(row, analysis), ...(fixes[index] || {}) };
+      const fixed = fixes[index] || {};
+      const issues = [];
+      const addIssue = (category, field, message) => {
+        issues.push({ category, field, message });
+        totals[category] += 1;
+      };
+
+      const rawIdentifier = row[analysis.identifier_column];
+      // Exact text as typed in the file (or as fixed), to tell duplicates from variants
+      const identifierText = 'identifier_value' in fixed ? fixed.identifier_value : String(rawIdentifier);
+
+      if (!record.identifier_value) {
+        addIssue('missing_identifier', 'identifier_value', 'No identifier value');
+      } else {
+        const key = normalizeKey(record.identifier_value);
+        const first = seen.get(key);
+
+        if (first === undefined) {
+          seen.set(key, { index, text: identifierText });
+        } else if (first.text === identifierText) {
+          addIssue('duplicate_identifier', 'identifier_value', `Same identifier as row ${first.index + 1}`);
+        } else {
+          addIssue('variant', 'identifier_value', `Identifier differs from row ${first.index + 1} only by case or spacing`);
+        }
+
+        if (!('identifier_value' in fixed) && isVariant(rawIdentifier, 'identifier_value')) {
+          addIssue('variant', 'identifier_value', 'Identifier has extra spaces');
+        }
+      }
+
+      if (record.email && !EMAIL_PATTERN.test(record.email)) {
+        addIssue('invalid_email', 'email', `"${record.email}" is not a valid email`);
+      } else if (record.email && !('email' in fixed) && isVariant(row[analysis.mappings.email], 'email')) {
+        addIssue('variant', 'email', 'Email has extra spaces or uppercase letters');
+      }
+
+      if (analysis.mappings.full_name && !record.full_name) {
+        addIssue('missing_name', 'full_name', 'Name is blank');
+      }
+
+      const typeColumn = analysis.mappings.participant_type;
+      const typeCell = typeColumn ? cellValue(row[typeColumn]) : null;
+      if (typeCell !== null && !parseParticipantType(typeCell)) {
+        addIssue('invalid_type', 'participant_type', `"${typeCell}" is not a participant type (lead, participant, attendee)`);
+      }
+
+      // Custom fields are only checked once they are mapped to a column
+      customFields.forEach(field => {
+        const column = analysis.mappings[field.field_key];
+        if (!column) return;
+
+        const raw = row[column];
+        if (cellValue(raw) === null) {
+          if (field.is_required) addIssue('missing_required', field.field_key, `${field.label} is required`);
+        } else if (!coerceCustomValue(raw, field).valid) {
+          addIssue('invalid_value', field.field_key, `"${cellValue(raw)}" is not a valid ${field.label}`);
+        }
+      });
+
+      if (issues.length > 0) {
+        totals.flagged += 1;
+        flagged.push({ index, issues });
+      }
+    });
+
+    return { totals, rows: flagged };
+  }
+
+  // Action applied to a flagged row when the admin has not chosen one
+  function defaultAction(issues) {
+    return issues.some(issue => CATEGORIES[issue.category].defaultAction === 'exclude')
+      ? 'exclude'
+      : 'accept';
+  }
+
+  // Whether the admin may accept a flagged row as it is
+  function canAccept(issues) {
+    return !issues.some(issue => CATEGORIES[issue.category].fixRequired);
+  }
+
+  // Whitespace/case clean-up offered as a one-click fix for variants
+  function cleanRecord(record) {
+    const cleaned = { ...record };
+    ['identifier_value', ...FIELDS].forEach(field => {
+      if (cleaned[field]) cleaned[field] = String(cleaned[field]).replace(/\s+/g, ' ').trim();
+    });
+    if (cleaned.email) cleaned.email = cleaned.email.toLowerCase();
+    return cleaned;
+  }
+
+  return {
+    CATEGORIES,
+    PARTICIPANT_TYPES,
+    mapRow,
+    parseParticipantType,
+    coerceCustomValue,
+    validateRows,
+    defaultAction,
+    canAccept,
+    cleanRecord,
+    normalizeKey
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImportValidation;
+} else if (typeof window !== 'undefined') {
+  window.ImportValidation = ImportValidation;
+}
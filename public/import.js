@@ -0,0 +1,1204 @@
+// Pre-registration import: parse the file locally, review the AI column mapping, then write rows in batches.
+// Relies on the page state declared in app.js (currentEventId, currentUser, userProfile).
+
+// Import waiting for the admin to confirm the column mapping
+let pendingImport = null;
+
+// Participant fields the column mapping can target
+const MAPPING_FIELDS = [
+  { key: 'full_name', label: 'Full name' },
+  { key: 'email', label: 'Email' },
+  { key: 'dni', label: 'DNI' },
+  { key: 'area', label: 'Area' },
+  { key: 'participant_type', label: 'Participant type' }
+];
+
+// Built-in fields followed by the event's custom fields (see event-fields.js)
+function mappingFields() {
+  return [
+    ...MAPPING_FIELDS,
+    ...eventFields.map(field => ({ key: field.field_key, label: field.label, custom: field }))
+  ];
+}
+
+const IDENTIFIER_TYPES = [
+  { value: 'dni', label: 'DNI' },
+  { value: 'email', label: 'Email' },
+  { value: 'name', label: 'Name' }
+];
+
+// Number of rows shown in the mapping preview
+const PREVIEW_ROW_COUNT = 5;
+
+// Flagged rows rendered in the validation report
+const VALIDATION_ROW_LIMIT = 200;
+
+// Rows sent to process-excel for column detection (the rest never leaves the browser)
+const ANALYSIS_SAMPLE_SIZE = 50;
+
+// Rows written per Supabase request, and rows read per page when fetching the current list
+const IMPORT_BATCH_SIZE = 500;
+const DELETE_BATCH_SIZE = 100;
+const FETCH_PAGE_SIZE = 1000;
+
+const VALID_EXTENSIONS = ['.xlsx', '.xls', '.csv'];
+
+// Largest spreadsheet parsed in the browser
+const MAX_FILE_SIZE_MB = 20;
+
+// Import whose writes stopped on a failed batch, kept so it can resume from that batch
+let interruptedImport = null;
+
+// Setup file upload
+function setupFileUpload() {
+  const fileInput = document.getElementById('excelFile');
+  const uploadBtn = document.getElementById('uploadBtn');
+  const fileName = document.getElementById('fileName');
+
+  fileInput.addEventListener('change', (e) => {
+    // A new file invalidates any mapping still waiting for confirmation
+    pendingImport = null;
+    document.getElementById('mappingEditor').style.display = 'none';
+
+    if (e.target.files.length > 0) {
+      fileName.textContent = e.target.files[0].name;
+      uploadBtn.style.display = 'inline-block';
+    } else {
+      fileName.textContent = '';
+      uploadBtn.style.display = 'none';
+    }
+  });
+
+  uploadBtn.addEventListener('click', uploadExcelFile);
+  document.getElementById('confirmImportBtn').addEventListener('click', confirmImport);
+  document.getElementById('cancelImportBtn').addEventListener('click', cancelImport);
+  document.getElementById('applySheetsBtn').addEventListener('click', applySheetSelection);
+  document.getElementById('refreshHistoryBtn').addEventListener('click', loadImportHistory);
+  document.getElementById('resumeImportBtn').addEventListener('click', resumeImport);
+
+  loadImportHistory();
+
+  // Template name is only asked for when saving one
+  const saveTemplate = document.getElementById('saveTemplate');
+  saveTemplate.addEventListener('change', () => {
+    document.getElementById('templateName').style.display = saveTemplate.checked ? '' : 'none';
+  });
+
+  // "Remove missing" only applies when merging
+  const removeMissingOption = document.getElementById('removeMissingOption');
+  document.querySelectorAll('input[name="importMode"]').forEach(radio => {
+    radio.addEventListener('change', () => {
+      const isMerge = document.querySelector('input[name="importMode"]:checked').value === 'merge';
+      removeMissingOption.style.display = isMerge ? '' : 'none';
+    });
+  });
+}
+
+// Step 1: upload the file and let the AI propose a column mapping
+async function uploadExcelFile() {
+  const fileInput = document.getElementById('excelFile');
+  const file = fileInput.files[0];
+
+  if (!file) {
+    window.NotificationManager.error('Please select a file');
+    return;
+  }
+
+  if (!VALID_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext))) {
+    window.NotificationManager.error('Invalid file type. Only Excel and CSV files are allowed.');
+    return;
+  }
+
+  if (file.size > MAX_FILE_SIZE_MB * 1024 * 1024) {
+    window.NotificationManager.error(`File is too large. The maximum size is ${MAX_FILE_SIZE_MB} MB.`);
+    return;
+  }
+
+  await analyzeExcelFile(file);
+}
+
+// Re-analyze the same file with the sheets picked in the mapping editor
+async function applySheetSelection() {
+  if (!pendingImport) return;
+
+  const sheets = Array.from(document.querySelectorAll('#sheetOptions input:checked'))
+    .map(input => input.value);
+
+  if (sheets.length === 0) {
+    window.NotificationManager.error('Select at least one sheet');
+    return;
+  }
+
+  await analyzeExcelFile(pendingImport.file, {
+    sheets,
+    areaFromSheet: document.getElementById('areaFromSheet').checked
+  });
+}
+
+// Message for a failed process-excel call ({ error, code, retryAfter } bodies)
+function describeAnalysisError(status, result) {
+  switch (status) {
+    case 401:
+      return result.error || 'Your session has expired. Please sign in again.';
+    case 403:
+      return result.error || 'You do not have access to this event';
+    case 413:
+      return result.error || 'The file is too large to analyze';
+    case 429: {
+      const minutes = Math.ceil((result.retryAfter || 60) / 60);
+      return result.error || `Too many uploads. Try again in ${minutes} minute${minutes !== 1 ? 's' : ''}.`;
+    }
+    default:
+      return result.error || 'Upload failed';
+  }
+}
+
+// Parse the workbook locally, send its headers and a sample to process-excel and open the mapping editor
+async function analyzeExcelFile(file, { sheets = [], areaFromSheet = false } = {}) {
+  showUploadProgress('Reading file...');
+
+  try {
+    const fileData = new Uint8Array(await file.arrayBuffer());
+    const workbook = window.WorkbookReader.readWorkbook(fileData, { sheets, areaFromSheet });
+    const { rows, columns, sheetColumn } = workbook;
+
+    if (rows.length === 0) {
+      throw new Error('Excel file is empty');
+    }
+
+    showUploadProgress('Analyzing columns...');
+
+    // The function only serves signed-in members of the event's organization
+    const session = await window.auth.getSession();
+
+    if (!session) {
+      throw new Error('Your session has expired. Please sign in again.');
+    }
+
+    const response = await fetch('/.netlify/functions/process-excel', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${session.access_token}`
+      },
+      body: JSON.stringify({
+        eventId: currentEventId,
+        columns,
+        sheetColumn,
+        areaFromSheet,
+        sample: rows.slice(0, ANALYSIS_SAMPLE_SIZE),
+        fields: eventFields.map(({ field_key, label, field_type, options }) => ({ field_key, label, field_type, options }))
+      })
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(describeAnalysisError(response.status, result));
+    }
+
+    pendingImport = {
+      file,
+      filename: file.name,
+      sheets: workbook.sheets,
+      selectedSheets: workbook.selectedSheets,
+      sheetColumn,
+      areaFromSheet,
+      columns: sheetColumn ? [...columns, sheetColumn] : columns,
+      sample: rows.slice(0, PREVIEW_ROW_COUNT),
+      data: rows,
+      source: result.source,
+      template: result.template,
+      fingerprint: result.fingerprint,
+      warnings: result.warnings || [],
+      confidence: result.analysis.confidence || {},
+      editedFields: new Set(),
+      validation: null,
+      flaggedByIndex: new Map(),
+      fixes: {},
+      decisions: {},
+      analysis: {
+        identifier_type: result.analysis.identifier_type,
+        identifier_column: result.analysis.identifier_column,
+        mappings: { ...result.analysis.mappings }
+      }
+    };
+
+    // Validation runs here, on every row, with the proposed mapping
+    setValidation(window.ImportValidation.validateRows(rows, pendingImport.analysis, {}, eventFields));
+
+    renderMappingEditor();
+  } catch (error) {
+    console.error('Error uploading file:', error);
+    window.NotificationManager.error(error.message);
+  } finally {
+    hideUploadProgress();
+  }
+}
+
+// Step 2: write the rows using the mapping the admin confirmed
+async function confirmImport() {
+  if (!pendingImport) return;
+
+  const { analysis } = pendingImport;
+
+  if (!analysis.identifier_column) {
+    window.NotificationManager.error('Choose the column that identifies each person');
+    return;
+  }
+
+  showUploadProgress('Importing participants...');
+
+  try {
+    const records = buildImportRecords();
+
+    if (records.length === 0) {
+      throw new Error('Every row is excluded; nothing to import');
+    }
+
+    const importMode = document.querySelector('input[name="importMode"]:checked').value;
+    const { validation, data, filename } = pendingImport;
+
+    const summary = await runImport(records, {
+      mode: importMode,
+      removeMissing: importMode === 'merge' && document.getElementById('removeMissing').checked,
+      filename,
+      mapping: analysis,
+      totalRows: data.length,
+      validationTotals: validation ? validation.totals : null
+    });
+
+    const templateNote = pendingImport.template ? ` Template: ${pendingImport.template.name}.` : '';
+
+    if (importMode === 'merge') {
+      window.NotificationManager.success(`✓ List merged: ${describeImportSummary(summary)}. Identifier: ${analysis.identifier_type}.${templateNote}`, 5000);
+    } else {
+      window.NotificationManager.success(`✓ Success! ${records.length} participants loaded. Identifier: ${analysis.identifier_type}.${templateNote}`, 5000);
+    }
+
+    if (document.getElementById('saveTemplate').checked) {
+      await saveMappingTemplate();
+    }
+
+    resetImportForm();
+
+    // Load the pre-registered list
+    await loadPreregisteredParticipants();
+    loadImportHistory();
+
+    // Close setup panel and focus on search
+    document.getElementById('setupPanel').style.display = 'none';
+    document.getElementById('preregSearchInput').focus();
+  } catch (error) {
+    console.error('Error importing participants:', error);
+    window.NotificationManager.error(error.message || 'Import failed');
+  } finally {
+    hideUploadProgress();
+  }
+}
+
+// Discard the analyzed file without importing anything
+function cancelImport() {
+  resetImportForm();
+}
+
+function resetImportForm() {
+  pendingImport = null;
+  document.getElementById('excelFile').value = '';
+  document.getElementById('fileName').textContent = '';
+  document.getElementById('uploadBtn').style.display = 'none';
+  document.getElementById('mappingEditor').style.display = 'none';
+  document.getElementById('saveTemplate').checked = false;
+  document.getElementById('templateName').value = '';
+  document.getElementById('templateName').style.display = 'none';
+}
+
+function showUploadProgress(message) {
+  document.getElementById('uploadProgressText').textContent = message;
+  document.getElementById('uploadProgressBar').style.display = 'none';
+  document.getElementById('uploadProgress').style.display = 'block';
+  document.getElementById('uploadBtn').disabled = true;
+  document.getElementById('confirmImportBtn').disabled = true;
+  document.getElementById('applySheetsBtn').disabled = true;
+  document.getElementById('resumeImportBtn').disabled = true;
+}
+
+// Progress message with a bar filled to done / total
+function setUploadProgress(message, done, total) {
+  const percent = total > 0 ? Math.round((done / total) * 100) : 100;
+  document.getElementById('uploadProgressText').textContent = message;
+  document.getElementById('uploadProgressFill').style.width = `${percent}%`;
+  document.getElementById('uploadProgressBar').style.display = 'block';
+}
+
+function hideUploadProgress() {
+  document.getElementById('uploadProgress').style.display = 'none';
+  document.getElementById('uploadBtn').disabled = false;
+  document.getElementById('confirmImportBtn').disabled = false;
+  document.getElementById('applySheetsBtn').disabled = false;
+  document.getElementById('resumeImportBtn').disabled = false;
+}
+
+// ====== MAPPING EDITOR ======
+
+// Render one dropdown per field, pre-selected with the AI proposal
+function renderMappingEditor() {
+  const { analysis, columns, data, sheetColumn } = pendingImport;
+  const container = document.getElementById('mappingFields');
+
+  const columnLabel = (col) => (col === sheetColumn ? '(Sheet name)' : col);
+  const columnOptions = (selected, allowEmpty) => [
+    allowEmpty ? `<option value="">— Not mapped —</option>` : '',
+    ...columns.map(col =>
+      `<option value="${escapeHtml(col)}" ${col === selected ? 'selected' : ''}>${escapeHtml(columnLabel(col))}</option>`
+    )
+  ].join('');
+
+  const typeOptions = IDENTIFIER_TYPES.map(type =>
+    `<option value="${type.value}" ${type.value === analysis.identifier_type ? 'selected' : ''}>${type.label}</option>`
+  ).join('');
+
+  container.innerHTML = `
+    <div class="mapping-field mapping-identifier">
+      <label for="mapIdentifierColumn">Identifier</label>
+      <div class="mapping-identifier-inputs">
+        <select id="mapIdentifierType">${typeOptions}</select>
+        <select id="mapIdentifierColumn">${columnOptions(analysis.identifier_column, false)}</select>
+      </div>
+    </div>
+    ${mappingFields().map(field => `
+      <div class="mapping-field">
+        <label for="map-${field.key}">${escapeHtml(field.label)}${field.custom && field.custom.is_required ? ' *' : ''} <span class="confidence-badge" id="confidence-${field.key}"></span></label>
+        <select id="map-${field.key}" data-field="${field.key}">
+          ${columnOptions(analysis.mappings[field.key], true)}
+        </select>
+      </div>
+    `).join('')}
+  `;
+
+  document.getElementById('mapIdentifierType').addEventListener('change', (e) => {
+    analysis.identifier_type = e.target.value;
+    renderMappingPreview();
+  });
+
+  document.getElementById('mapIdentifierColumn').addEventListener('change', (e) => {
+    analysis.identifier_column = e.target.value;
+    refreshValidation();
+    renderMappingPreview();
+  });
+
+  container.querySelectorAll('select[data-field]').forEach(select => {
+    select.addEventListener('change', (e) => {
+      analysis.mappings[e.target.dataset.field] = e.target.value || null;
+      pendingImport.editedFields.add(e.target.dataset.field);
+      renderConfidenceBadges();
+      refreshValidation();
+      renderMappingPreview();
+    });
+  });
+
+  const sourceLabels = {
+    heuristic: 'detected automatically',
+    template: `template "${pendingImport.template ? pendingImport.template.name : ''}"`,
+    ai: 'mapped by AI'
+  };
+  const sourceLabel = sourceLabels[pendingImport.source] || sourceLabels.ai;
+
+  // Saving again under the template's name updates it with any edits
+  const templateName = document.getElementById('templateName');
+  if (!templateName.value && pendingImport.template) {
+    templateName.value = pendingImport.template.name;
+  }
+  document.getElementById('mappingFileSummary').textContent =
+    `${pendingImport.filename} • ${pendingImport.selectedSheets.join(', ')} • ${data.length} row${data.length !== 1 ? 's' : ''} • ${sourceLabel}`;
+  document.getElementById('confirmImportBtn').textContent =
+    `Import ${data.length} participant${data.length !== 1 ? 's' : ''}`;
+  document.getElementById('mappingEditor').style.display = 'block';
+
+  renderSheetPicker();
+  renderMappingWarnings();
+  renderConfidenceBadges();
+  if (pendingImport.validation) {
+    renderValidationReport();
+  } else {
+    refreshValidation();
+  }
+  renderMappingPreview();
+}
+
+// Sheet list with row counts; only shown for workbooks with several sheets
+function renderSheetPicker() {
+  const { sheets, selectedSheets, areaFromSheet } = pendingImport;
+  const picker = document.getElementById('sheetPicker');
+
+  if (sheets.length <= 1) {
+    picker.style.display = 'none';
+    return;
+  }
+
+  document.getElementById('sheetOptions').innerHTML = sheets.map(sheet => `
+    <label class="option-inline">
+      <input type="checkbox" value="${escapeHtml(sheet.name)}" ${selectedSheets.includes(sheet.name) ? 'checked' : ''} ${sheet.rowCount === 0 ? 'disabled' : ''}>
+      ${escapeHtml(sheet.name)}
+      <span class="text-muted">(${sheet.rowCount} row${sheet.rowCount !== 1 ? 's' : ''}${sheet.headerRow > 1 ? `, header on row ${sheet.headerRow}` : ''})</span>
+    </label>
+  `).join('');
+
+  document.getElementById('areaFromSheet').checked = areaFromSheet;
+  picker.style.display = 'block';
+}
+
+// Confidence per field from the detector; fields the admin changed show "edited"
+function renderConfidenceBadges() {
+  const { analysis, confidence, editedFields } = pendingImport;
+
+  mappingFields().forEach(field => {
+    const badge = document.getElementById(`confidence-${field.key}`);
+    if (!badge) return;
+
+    if (editedFields.has(field.key)) {
+      badge.className = 'confidence-badge confidence-edited';
+      badge.textContent = 'edited';
+      return;
+    }
+
+    if (!analysis.mappings[field.key] || confidence[field.key] == null) {
+      badge.className = 'confidence-badge';
+      badge.textContent = '';
+      return;
+    }
+
+    const score = confidence[field.key];
+    const level = score >= 0.8 ? 'high' : score >= 0.5 ? 'medium' : 'low';
+    badge.className = `confidence-badge confidence-${level}`;
+    badge.textContent = `${Math.round(score * 100)}%`;
+  });
+}
+
+// Mismatches flagged by the cross-check between the AI and the heuristics
+function renderMappingWarnings() {
+  const container = document.getElementById('mappingWarnings');
+  const { warnings } = pendingImport;
+
+  if (warnings.length === 0) {
+    container.style.display = 'none';
+    container.innerHTML = '';
+    return;
+  }
+
+  container.innerHTML = warnings.map(warning => `<li>${escapeHtml(warning.message)}</li>`).join('');
+  container.style.display = 'block';
+}
+
+// Show the first rows as they will be stored with the current mapping
+function renderMappingPreview() {
+  const { analysis, sample } = pendingImport;
+  const table = document.getElementById('mappingPreviewTable');
+  const records = buildPreregRecords(sample.slice(0, PREVIEW_ROW_COUNT), analysis, pendingImport.fixes);
+  const fields = mappingFields();
+
+  const previewValue = (record, field) => (field.custom
+    ? formatCustomValue(field.custom, record.custom_data[field.key])
+    : field.key === 'participant_type' ? participantTypeLabel(record.participant_type)
+    : record[field.key] != null ? String(record[field.key]) : '');
+
+  table.querySelector('thead').innerHTML = `
+    <tr>
+      <th>Identifier</th>
+      ${fields.map(field => `<th>${escapeHtml(field.label)}</th>`).join('')}
+    </tr>
+  `;
+
+  table.querySelector('tbody').innerHTML = records.map(record => `
+    <tr>
+      <td>${escapeHtml(record.identifier_value || '') || '<span class="text-muted">-</span>'}</td>
+      ${fields.map(field => `<td>${escapeHtml(previewValue(record, field)) || '<span class="text-muted">-</span>'}</td>`).join('')}
+    </tr>
+  `).join('');
+}
+
+// ====== VALIDATION REPORT ======
+
+// Re-run validation after a mapping change or a manual fix
+function refreshValidation() {
+  const { data, analysis, fixes } = pendingImport;
+  setValidation(window.ImportValidation.validateRows(data, analysis, fixes, eventFields));
+  renderValidationReport();
+}
+
+function setValidation(report) {
+  pendingImport.validation = report;
+  pendingImport.flaggedByIndex = new Map(report.rows.map(row => [row.index, row]));
+}
+
+// What happens to a row on import: 'accept' or 'exclude'.
+// Rows without an identifier are always excluded until the value is filled in.
+function rowAction(index) {
+  const { decisions, flaggedByIndex } = pendingImport;
+  const flagged = flaggedByIndex.get(index);
+
+  if (flagged && !window.ImportValidation.canAccept(flagged.issues)) return 'exclude';
+  if (decisions[index]) return decisions[index];
+
+  return flagged ? window.ImportValidation.defaultAction(flagged.issues) : 'accept';
+}
+
+function renderValidationReport() {
+  const { validation, data, analysis, fixes } = pendingImport;
+  const { CATEGORIES } = window.ImportValidation;
+  const report = document.getElementById('validationReport');
+  const excludedCount = validation.rows.filter(row => rowAction(row.index) === 'exclude').length;
+
+  document.getElementById('confirmImportBtn').textContent =
+    `Import ${data.length - excludedCount} participant${data.length - excludedCount !== 1 ? 's' : ''}`;
+
+  if (validation.rows.length === 0) {
+    report.innerHTML = '<div class="validation-ok">✓ All rows passed validation</div>';
+    return;
+  }
+
+  const chips = Object.keys(CATEGORIES)
+    .filter(category => validation.totals[category] > 0)
+    .map(category => `<span class="validation-chip validation-${category}">${CATEGORIES[category].label}: ${validation.totals[category]}</span>`)
+    .join('');
+
+  const shown = validation.rows.slice(0, VALIDATION_ROW_LIMIT);
+  const editable = ['identifier_value', 'full_name', 'email'];
+
+  report.innerHTML = `
+    <div class="validation-summary">
+      <strong>${validation.totals.flagged} of ${validation.totals.rows} rows flagged</strong>
+      ${chips}
+      <span class="validation-excluded">${excludedCount} excluded</span>
+    </div>
+    <div class="validation-toolbar">
+      ${validation.totals.variant > 0 ? '<button type="button" class="btn-secondary btn-small" id="cleanVariantsBtn">Clean up spacing/case</button>' : ''}
+      <button type="button" class="btn-secondary btn-small" id="acceptAllBtn">Accept all</button>
+      <button type="button" class="btn-secondary btn-small" id="excludeAllBtn">Exclude all</button>
+      <button type="button" class="btn-secondary btn-small" id="downloadRejectsBtn" ${excludedCount === 0 ? 'disabled' : ''}>Download rejects</button>
+    </div>
+    <div class="mapping-preview validation-table">
+      <table>
+        <thead>
+          <tr>
+            <th>Row</th>
+            <th>Issues</th>
+            <th>Identifier</th>
+            <th>Name</th>
+            <th>Email</th>
+            <th>Action</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${shown.map(({ index, issues }) => {
+            const record = { ...window.ImportValidation.mapRow(data[index], analysis), ...(fixes[index] || {}) };
+            const action = rowAction(index);
+            const acceptable = window.ImportValidation.canAccept(issues);
+            return `
+              <tr data-index="${index}" class="${action === 'exclude' ? 'row-excluded' : ''}">
+                <td>${index + 1}</td>
+                <td>${issues.map(issue => `<div class="validation-issue">${escapeHtml(issue.message)}</div>`).join('')}</td>
+                ${editable.map(field => `
+                  <td><input type="text" class="validation-input" data-field="${field}" value="${escapeHtml(record[field] || '')}"></td>
+                `).join('')}
+                <td>
+                  <select class="validation-action">
+                    <option value="accept" ${action === 'accept' ? 'selected' : ''} ${acceptable ? '' : 'disabled title="Fill in the identifier to accept this row"'}>Accept</option>
+                    <option value="exclude" ${action === 'exclude' ? 'selected' : ''}>Exclude</option>
+                  </select>
+                </td>
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+    </div>
+    ${validation.rows.length > shown.length ? `<p class="text-muted">Showing the first ${shown.length} flagged rows.</p>` : ''}
+  `;
+
+  // Fix a value in place and re-validate
+  report.querySelectorAll('.validation-input').forEach(input => {
+    input.addEventListener('change', (e) => {
+      const index = Number(e.target.closest('tr').dataset.index);
+      pendingImport.fixes[index] = { ...(pendingImport.fixes[index] || {}), [e.target.dataset.field]: e.target.value.trim() || null };
+      refreshValidation();
+      renderMappingPreview();
+    });
+  });
+
+  report.querySelectorAll('.validation-action').forEach(select => {
+    select.addEventListener('change', (e) => {
+      pendingImport.decisions[Number(e.target.closest('tr').dataset.index)] = e.target.value;
+      renderValidationReport();
+    });
+  });
+
+  const cleanBtn = document.getElementById('cleanVariantsBtn');
+  if (cleanBtn) cleanBtn.addEventListener('click', cleanVariantRows);
+
+  document.getElementById('acceptAllBtn').addEventListener('click', () => setAllDecisions('accept'));
+  document.getElementById('excludeAllBtn').addEventListener('click', () => setAllDecisions('exclude'));
+  document.getElementById('downloadRejectsBtn').addEventListener('click', downloadRejects);
+}
+
+function setAllDecisions(action) {
+  pendingImport.validation.rows.forEach(row => {
+    pendingImport.decisions[row.index] = action;
+  });
+  renderValidationReport();
+}
+
+// Trim spaces and lowercase emails on every row flagged as a variant
+function cleanVariantRows() {
+  const { validation, data, analysis, fixes } = pendingImport;
+
+  validation.rows
+    .filter(row => row.issues.some(issue => issue.category === 'variant'))
+    .forEach(({ index }) => {
+      const record = { ...window.ImportValidation.mapRow(data[index], analysis), ...(fixes[index] || {}) };
+      const cleaned = window.ImportValidation.cleanRecord(record);
+      fixes[index] = { ...(fixes[index] || {}), identifier_value: cleaned.identifier_value, email: cleaned.email };
+    });
+
+  refreshValidation();
+  renderMappingPreview();
+}
+
+// Excluded rows as a spreadsheet, with the reasons, so they can be fixed at the source
+function downloadRejects() {
+  const { validation, data, filename } = pendingImport;
+
+  const rejects = validation.rows
+    .filter(row => rowAction(row.index) === 'exclude')
+    .map(({ index, issues }) => ({
+      Row: index + 1,
+      Issues: issues.map(issue => issue.message).join('; '),
+      ...data[index]
+    }));
+
+  const worksheet = XLSX.utils.json_to_sheet(rejects);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Rejects');
+  XLSX.writeFile(workbook, `${filename.replace(/\.[^.]+$/, '')}-rejects.xlsx`);
+}
+
+// ====== PERSISTENCE ======
+
+// Write records to the pre-registration list and log the upload in import history.
+// Rows go out in batches, followed by the restore snapshot in batches of the same size;
+// if a batch fails the import can resume from that batch.
+async function runImport(records, { mode, removeMissing = false, filename, mapping, totalRows, validationTotals = null, restoredFrom = null }) {
+  // A new import supersedes one that was left interrupted
+  setInterruptedImport(null);
+
+  const { data: importRow, error: importError } = await window.supabase
+    .from('imports')
+    .insert([{
+      event_id: currentEventId,
+      uploaded_by: currentUser.id,
+      filename,
+      import_mode: mode,
+      mapping,
+      total_rows: totalRows,
+      imported_rows: records.length,
+      excluded_rows: totalRows - records.length,
+      validation_totals: validationTotals,
+      restored_from: restoredFrom
+    }])
+    .select('id')
+    .single();
+
+  if (importError) throw importError;
+
+  const stamped = records.map(record => ({ ...record, import_id: importRow.id }));
+
+  let plan;
+  try {
+    plan = mode === 'replace'
+      ? planReplace(stamped)
+      : await planMerge(stamped, { removeMissing });
+  } catch (error) {
+    await setImportStatus(importRow.id, 'failed');
+    throw error;
+  }
+
+  plan.steps.push(...planSnapshot(importRow.id, records));
+
+  return executeImportPlan({ importId: importRow.id, filename, ...plan, nextStep: 0 });
+}
+
+// Run the remaining write steps of an import, updating the progress bar after each batch
+async function executeImportPlan(run) {
+  const total = run.steps.reduce((sum, step) => sum + step.size, 0);
+  let written = run.steps.slice(0, run.nextStep).reduce((sum, step) => sum + step.size, 0);
+
+  try {
+    while (run.nextStep < run.steps.length) {
+      setUploadProgress(`Writing participants... ${written} of ${total}`, written, total);
+
+      const step = run.steps[run.nextStep];
+      await runImportStep(step, run.summary);
+
+      written += step.size;
+      run.nextStep += 1;
+    }
+  } catch (error) {
+    console.error('Import batch failed:', error);
+    await setImportStatus(run.importId, 'failed');
+    setInterruptedImport({ ...run, written, total });
+    throw new Error(`Import stopped after ${written} of ${total} rows: ${error.message || 'batch failed'}. Use "Resume import" to continue from there.`);
+  }
+
+  setUploadProgress(`Writing participants... ${total} of ${total}`, total, total);
+
+  const completed = await setImportStatus(run.importId, 'completed', {
+    inserted_rows: run.summary.inserted,
+    updated_rows: run.summary.updated,
+    removed_rows: run.summary.removed
+  });
+
+  // Restore is only offered for completed imports; resuming retries just this update
+  if (!completed) {
+    setInterruptedImport({ ...run, written, total });
+    throw new Error(`All ${total} rows were written, but the import could not be marked completed. Use "Resume import" to try again.`);
+  }
+
+  return run.summary;
+}
+
+// One write request; each is a single statement, so a failed batch leaves nothing half-written
+async function runImportStep(step, summary) {
+  const table = window.supabase.from('pre_registered_participants');
+
+  if (step.action === 'snapshot') {
+    const { error } = await window.supabase
+      .from('import_snapshot_chunks')
+      .insert([{ import_id: step.importId, chunk_index: step.index, records: step.rows }]);
+
+    if (error) throw error;
+    return;
+  }
+
+  if (step.action === 'clear') {
+    const { count, error } = await table
+      .delete({ count: 'exact' })
+      .eq('event_id', currentEventId);
+
+    if (error) throw error;
+    summary.removed = count || 0;
+    return;
+  }
+
+  const { error } = step.action === 'insert'
+    ? await table.insert(step.rows)
+    : step.action === 'upsert'
+      ? await table.upsert(step.rows, { onConflict: 'id' })
+      : await table.delete().in('id', step.ids);
+
+  if (error) throw error;
+}
+
+// Returns false when the status could not be saved
+async function setImportStatus(importId, status, counts = {}) {
+  const { error } = await window.supabase
+    .from('imports')
+    .update({ status, ...counts })
+    .eq('id', importId);
+
+  if (error) {
+    console.error('Error updating import status:', error);
+    return false;
+  }
+  return true;
+}
+
+// Continue an interrupted import from the batch that failed
+async function resumeImport() {
+  if (!interruptedImport) return;
+
+  const run = interruptedImport;
+  showUploadProgress('Resuming import...');
+
+  try {
+    await setImportStatus(run.importId, 'in_progress');
+    const summary = await executeImportPlan(run);
+    setInterruptedImport(null);
+
+    window.NotificationManager.success(`✓ Import of ${run.filename} completed: ${describeImportSummary(summary)}`, 5000);
+
+    resetImportForm();
+    await loadPreregisteredParticipants();
+    loadImportHistory();
+  } catch (error) {
+    console.error('Error resuming import:', error);
+    window.NotificationManager.error(error.message || 'Resume failed');
+    loadImportHistory();
+  } finally {
+    hideUploadProgress();
+  }
+}
+
+function setInterruptedImport(run) {
+  interruptedImport = run;
+
+  const banner = document.getElementById('resumeImport');
+  if (!run) {
+    banner.style.display = 'none';
+    return;
+  }
+
+  document.getElementById('resumeImportText').textContent =
+    `Import of ${run.filename} stopped after ${run.written} of ${run.total} rows.`;
+  banner.style.display = '';
+}
+
+// Split a list into batches
+function chunk(items, size) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+  return batches;
+}
+
+// Row as stored in the import snapshot (event and import links are re-applied on restore)
+function snapshotRecord(record) {
+  const { event_id, import_id, ...snapshot } = record;
+  return snapshot;
+}
+
+// Write steps for the restore snapshot (import_snapshot_chunks). They don't count
+// towards the progress bar, which tracks participant rows.
+function planSnapshot(importId, records) {
+  return chunk(records.map(snapshotRecord), IMPORT_BATCH_SIZE)
+    .map((rows, index) => ({ action: 'snapshot', importId, index, rows, size: 0 }));
+}
+
+// Rows of a previous import: its snapshot chunks, or the single records value of
+// imports made before snapshots were chunked
+async function loadImportSnapshot(previous) {
+  const { data, error } = await window.supabase
+    .from('import_snapshot_chunks')
+    .select('records')
+    .eq('import_id', previous.id)
+    .order('chunk_index', { ascending: true });
+
+  if (error) throw error;
+
+  if (!data || data.length === 0) return previous.records || [];
+  return data.flatMap(snapshot => snapshot.records);
+}
+
+function describeImportSummary(summary) {
+  const parts = [`${summary.inserted} new`, `${summary.updated} updated`];
+  if (summary.removed > 0) parts.push(`${summary.removed} removed`);
+  if (summary.keptRegistered > 0) parts.push(`${summary.keptRegistered} kept (already registered)`);
+  return parts.join(', ');
+}
+
+// Wipe the event's list and load the records from scratch
+function planReplace(records) {
+  return {
+    steps: [
+      { action: 'clear', size: 0 },
+      ...chunk(records, IMPORT_BATCH_SIZE).map(rows => ({ action: 'insert', rows, size: rows.length }))
+    ],
+    summary: { inserted: records.length, updated: 0, removed: 0, keptRegistered: 0 }
+  };
+}
+
+// Build pre-registration records from Excel rows using the confirmed column mapping
+function buildPreregRecords(excelData, analysis, fixes = {}) {
+  return excelData.map((row, index) => {
+    const mapped = { ...window.ImportValidation.mapRow(row, analysis, eventFields), ...(fixes[index] || {}) };
+
+    return {
+      event_id: currentEventId,
+      identifier_type: analysis.identifier_type,
+      identifier_value: mapped.identifier_value,
+      full_name: mapped.full_name,
+      email: mapped.email,
+      dni: mapped.dni,
+      area: mapped.area,
+      participant_type: mapped.participant_type,
+      custom_data: mapped.custom_data,
+      raw_data: row
+    };
+  });
+}
+
+// Records for every row the admin did not exclude in the validation report.
+// A row is never stored without an identifier: the merge key is identifier_type:identifier_value.
+function buildImportRecords() {
+  const { data, analysis, fixes } = pendingImport;
+  const records = buildPreregRecords(data, analysis, fixes);
+  return records.filter((record, index) => record.identifier_value && rowAction(index) !== 'exclude');
+}
+
+// Key used to match the same person across uploads
+function preregKey(record) {
+  return `${record.identifier_type}:${String(record.identifier_value).trim().toLowerCase()}`;
+}
+
+// Keys used to find a person stored under another identifier type,
+// e.g. the previous file was keyed on email and this one on DNI
+function preregFallbackKeys(record) {
+  return ['dni', 'email']
+    .filter(field => record[field])
+    .map(field => `${field}:${String(record[field]).trim().toLowerCase()}`);
+}
+
+// Whether an uploaded record differs from the stored pre-registered row
+function preregRecordChanged(existing, record) {
+  return ['identifier_type', 'identifier_value', 'full_name', 'email', 'dni', 'area', 'participant_type'].some(field =>
+    (existing[field] ?? null) !== (record[field] ?? null)
+  ) || JSON.stringify(existing.raw_data) !== JSON.stringify(record.raw_data) ||
+    customDataChanged(existing.custom_data, record.custom_data);
+}
+
+// Key order is not preserved by jsonb, so compare custom values key by key
+function customDataChanged(existing = {}, uploaded = {}) {
+  const a = existing || {};
+  const b = uploaded || {};
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].some(key => a[key] !== b[key]);
+}
+
+// Every pre-registered row of the event, read page by page (large lists exceed one response)
+async function fetchPreregisteredRows() {
+  const rows = [];
+
+  for (let from = 0; ; from += FETCH_PAGE_SIZE) {
+    const { data, error } = await window.supabase
+      .from('pre_registered_participants')
+      .select('*')
+      .eq('event_id', currentEventId)
+      .order('id')
+      .range(from, from + FETCH_PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    rows.push(...data);
+    if (data.length < FETCH_PAGE_SIZE) return rows;
+  }
+}
+
+// Merge uploaded records into the current pre-registration list.
+// Rows are matched on identifier_type + identifier_value; rows stored under another
+// identifier type (the file now maps a different identifier column) are matched on
+// DNI or email instead, so they are updated rather than inserted again and removed.
+// is_registered and registered_participant_id are never touched, so check-ins survive re-uploads.
+async function planMerge(records, { removeMissing = false } = {}) {
+  const existing = await fetchPreregisteredRows();
+
+  // Group existing rows by key (a list may legitimately contain repeated identifiers)
+  const existingByKey = new Map();
+  const existingByFallback = new Map();
+  const addToGroup = (groups, key, row) => {
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  };
+  existing.forEach(row => {
+    addToGroup(existingByKey, preregKey(row), row);
+    preregFallbackKeys(row).forEach(key => addToGroup(existingByFallback, key, row));
+  });
+
+  const matchedIds = new Set();
+  const takeMatch = (candidates, accept = () => true) =>
+    (candidates || []).find(row => !matchedIds.has(row.id) && accept(row));
+  const matches = new Map();
+
+  // Exact identifier matches first, so a fallback never takes a row another record owns
+  records.forEach(record => {
+    const match = takeMatch(existingByKey.get(preregKey(record)));
+    if (match) {
+      matchedIds.add(match.id);
+      matches.set(record, match);
+    }
+  });
+
+  records.forEach(record => {
+    if (matches.has(record)) return;
+
+    const otherType = row => row.identifier_type !== record.identifier_type;
+    const match = preregFallbackKeys(record)
+      .map(key => takeMatch(existingByFallback.get(key), otherType))
+      .find(Boolean);
+
+    if (match) {
+      matchedIds.add(match.id);
+      matches.set(record, match);
+    }
+  });
+
+  const toInsert = [];
+  const toUpdate = [];
+
+  records.forEach(record => {
+    const match = matches.get(record);
+
+    if (!match) {
+      toInsert.push(record);
+    } else if (preregRecordChanged(match, record)) {
+      toUpdate.push({ ...record, id: match.id });
+    }
+  });
+
+  const missing = existing.filter(row => !matchedIds.has(row.id));
+  const toRemove = removeMissing ? missing.filter(row => !row.is_registered) : [];
+
+  return {
+    steps: [
+      ...chunk(toInsert, IMPORT_BATCH_SIZE).map(rows => ({ action: 'insert', rows, size: rows.length })),
+      ...chunk(toUpdate, IMPORT_BATCH_SIZE).map(rows => ({ action: 'upsert', rows, size: rows.length })),
+      // Ids travel in the request URL, so deletes use smaller batches
+      ...chunk(toRemove.map(row => row.id), DELETE_BATCH_SIZE).map(ids => ({ action: 'delete', ids, size: ids.length }))
+    ],
+    summary: {
+      inserted: toInsert.length,
+      updated: toUpdate.length,
+      removed: toRemove.length,
+      keptRegistered: removeMissing ? missing.length - toRemove.length : 0
+    }
+  };
+}
+
+// ====== IMPORT HISTORY ======
+
+async function loadImportHistory() {
+  const list = document.getElementById('importHistoryList');
+
+  try {
+    const { data, error } = await window.supabase
+      .from('imports')
+      .select('id, filename, import_mode, status, total_rows, imported_rows, excluded_rows, inserted_rows, updated_rows, removed_rows, validation_totals, created_at, uploader:users!uploaded_by(full_name)')
+      .eq('event_id', currentEventId)
+      .order('created_at', { ascending: false })
+      .limit(20);
+
+    if (error) throw error;
+
+    renderImportHistory(data || []);
+  } catch (error) {
+    console.error('Error loading import history:', error);
+    list.innerHTML = '<div class="text-muted">Could not load import history</div>';
+  }
+}
+
+function renderImportHistory(imports) {
+  const list = document.getElementById('importHistoryList');
+  const isAdmin = userProfile?.role === 'admin';
+
+  if (imports.length === 0) {
+    list.innerHTML = '<div class="text-muted">No imports yet</div>';
+    return;
+  }
+
+  list.innerHTML = imports.map(item => {
+    const flagged = item.validation_totals ? item.validation_totals.flagged : 0;
+    const counts = item.status === 'completed'
+      ? `${item.imported_rows} rows (${describeImportSummary({
+          inserted: item.inserted_rows,
+          updated: item.updated_rows,
+          removed: item.removed_rows
+        })})`
+      : item.status === 'failed' ? 'Failed' : 'In progress';
+
+    return `
+      <div class="import-history-item">
+        <div class="import-history-main">
+          <strong>${escapeHtml(item.filename)}</strong>
+          <span class="import-mode import-mode-${item.import_mode}">${item.import_mode}</span>
+          <div class="text-muted">
+            ${formatDateTime(item.created_at)} • by ${escapeHtml(item.uploader?.full_name || 'Unknown')} • ${counts}
+            ${item.excluded_rows > 0 ? ` • ${item.excluded_rows} excluded` : ''}
+            ${flagged > 0 ? ` • ${flagged} flagged` : ''}
+          </div>
+        </div>
+        ${isAdmin && item.status === 'completed' ? `<button type="button" class="btn-secondary btn-small" onclick="restoreImport('${item.id}')">Restore</button>` : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+// Re-apply a previous import's rows. Rows not in that import are removed unless
+// already registered, and check-ins made since then are kept.
+async function restoreImport(importId) {
+  if (userProfile?.role !== 'admin') {
+    window.NotificationManager.error('Only admins can restore imports');
+    return;
+  }
+
+  if (!confirm('Restore this import? The pre-registration list will match that file again. People already registered keep their check-in.')) {
+    return;
+  }
+
+  showUploadProgress('Restoring import...');
+
+  try {
+    const { data: previous, error } = await window.supabase
+      .from('imports')
+      .select('*')
+      .eq('id', importId)
+      .single();
+
+    if (error) throw error;
+
+    const snapshot = await loadImportSnapshot(previous);
+    const records = snapshot.map(record => ({ ...record, event_id: currentEventId }));
+
+    const summary = await runImport(records, {
+      mode: 'restore',
+      removeMissing: true,
+      filename: previous.filename,
+      mapping: previous.mapping,
+      totalRows: records.length,
+      validationTotals: previous.validation_totals,
+      restoredFrom: previous.id
+    });
+
+    window.NotificationManager.success(`✓ Import restored: ${describeImportSummary(summary)}`, 5000);
+
+    await loadPreregisteredParticipants();
+    loadImportHistory();
+  } catch (error) {
+    console.error('Error restoring import:', error);
+    window.NotificationManager.error(error.message || 'Restore failed');
+  } finally {
+    hideUploadProgress();
+  }
+}
+
+// ====== MAPPING TEMPLATES ======
+
+// Save the confirmed mapping for this header set; a later file with the same headers skips the AI
+async function saveMappingTemplate() {
+  const { analysis, columns, sheetColumn, fingerprint, filename } = pendingImport;
+  const name = document.getElementById('templateName').value.trim() || filename;
+
+  if (!fingerprint) return;
+
+  try {
+    const { error } = await window.supabase
+      .from('mapping_templates')
+      .upsert({
+        organization_id: userProfile.organization_id,
+        created_by: currentUser.id,
+        name,
+        header_fingerprint: fingerprint,
+        headers: columns.filter(column => column !== sheetColumn),
+        mapping: {
+          identifier_type: analysis.identifier_type,
+          identifier_column: analysis.identifier_column,
+          mappings: analysis.mappings
+        }
+      }, { onConflict: 'organization_id,header_fingerprint' });
+
+    if (error) throw error;
+
+    window.NotificationManager.info(`Mapping saved as template "${name}"`);
+  } catch (error) {
+    console.error('Error saving mapping template:', error);
+    window.NotificationManager.warning('Participants were imported, but the mapping template could not be saved');
+  }
+}
@@ -0,0 +1,244 @@
+// Keyboard-first desk workflow. Focus stays in the search box: arrow keys move the
+// highlight through the results and Enter registers the highlighted person, then
+// the search is cleared for the next one. Alt shortcuts open Quick Add, switch tabs
+// and undo the last action; "?" shows the cheat sheet.
+// Relies on the page state declared in app.js (preregResultsQuery, visiblePreregistered,
+// preregTable) and scannerMode from scanner-mode.js.
+
+const KEYBOARD_SHORTCUTS = [
+  { keys: ['↑', '↓'], action: 'Move through the search results' },
+  { keys: ['Enter'], action: 'Register (or check in) the highlighted person' },
+  { keys: ['Esc'], action: 'Clear the search' },
+  { keys: ['/'], action: 'Go to the search box' },
+  { keys: ['Alt', 'N'], action: 'Quick Add a walk-in' },
+  { keys: ['Alt', '1'], action: 'Pre-Registration Search tab' },
+  { keys: ['Alt', '2'], action: 'Registered Participants tab' },
+  { keys: ['Alt', '3'], action: 'Attendance Report tab' },
+  { keys: ['Alt', 'Z'], action: 'Undo the last registration, check-in or check-out' },
+  { keys: ['?'], action: 'Show or hide this list' },
+  { keys: ['Alt', '/'], action: 'Show or hide this list, also while typing in a box' }
+];
+
+// Alt + key (KeyboardEvent.code, so Option on macOS works too) => tab
+const TAB_SHORTCUTS = {
+  Digit1: 'search',
+  Digit2: 'registered',
+  Digit3: 'report'
+};
+
+const AUTO_CLEAR_KEY = 'registeraton.autoClearSearch';
+
+// Pre-registered id of the highlighted result row (null: none)
+let highlightedId = null;
+
+// Query the highlight was made for; a new query starts again at the first match
+let highlightedQuery = '';
+
+// Enter pressed while the search was still loading: register once the results arrive
+let enterPending = false;
+
+function setupKeyboardShortcuts() {
+  const searchInput = document.getElementById('preregSearchInput');
+  const autoClear = document.getElementById('autoClearSearch');
+
+  autoClear.checked = localStorage.getItem(AUTO_CLEAR_KEY) !== 'false';
+  autoClear.addEventListener('change', () => {
+    localStorage.setItem(AUTO_CLEAR_KEY, String(autoClear.checked));
+  });
+
+  renderShortcutList();
+
+  searchInput.addEventListener('input', () => { enterPending = false; });
+  searchInput.addEventListener('keydown', handleSearchKey);
+  document.addEventListener('keydown', handleShortcutKey);
+
+  document.getElementById('shortcutsBtn').addEventListener('click', toggleShortcutHelp);
+  document.getElementById('shortcutsModalClose').addEventListener('click', toggleShortcutHelp);
+
+  const modal = document.getElementById('shortcutsModal');
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) toggleShortcutHelp();
+  });
+}
+
+function renderShortcutList() {
+  document.getElementById('shortcutList').innerHTML = KEYBOARD_SHORTCUTS.map(shortcut => `
+    <tr>
+      <td class="shortcut-keys">${shortcut.keys.map(key => `<kbd>${escapeHtml(key)}</kbd>`).join(shortcut.keys[0] === 'Alt' ? ' + ' : ' ')}</td>
+      <td>${escapeHtml(shortcut.action)}</td>
+    </tr>
+  `).join('');
+}
+
+function toggleShortcutHelp() {
+  const modal = document.getElementById('shortcutsModal');
+  const open = modal.style.display !== 'flex';
+  modal.style.display = open ? 'flex' : 'none';
+
+  if (open) {
+    document.getElementById('shortcutsModalClose').focus();
+  } else {
+    focusSearch();
+  }
+}
+
+// The open modal, if any
+function openModal() {
+  return [...document.querySelectorAll('.modal')].find(modal => modal.style.display === 'flex') || null;
+}
+
+function isTypingTarget(target) {
+  return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+// Page-wide shortcuts; modals keep their own keys (Escape closes them)
+function handleShortcutKey(e) {
+  const modal = openModal();
+
+  if (modal && modal.id === 'shortcutsModal') {
+    if (e.key === 'Escape' || e.key === '?') {
+      e.preventDefault();
+      toggleShortcutHelp();
+    }
+    return;
+  }
+  if (modal || e.ctrlKey || e.metaKey) return;
+
+  if (e.altKey) {
+    if (e.code === 'KeyN') {
+      e.preventDefault();
+      openQuickAdd();
+    } else if (TAB_SHORTCUTS[e.code]) {
+      e.preventDefault();
+      switchTab(TAB_SHORTCUTS[e.code]);
+    } else if (e.code === 'KeyZ') {
+      e.preventDefault();
+      if (!window.NotificationManager.runLatestAction()) {
+        window.NotificationManager.info('Nothing to undo');
+      }
+    } else if (e.code === 'Slash') {
+      e.preventDefault();
+      toggleShortcutHelp();
+    }
+    return;
+  }
+
+  if (isTypingTarget(e.target)) return;
+
+  if (e.key === '?') {
+    e.preventDefault();
+    toggleShortcutHelp();
+  } else if (e.key === '/') {
+    e.preventDefault();
+    switchTab('search');
+  }
+}
+
+function handleSearchKey(e) {
+  if (e.altKey || e.ctrlKey || e.metaKey) return;
+
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    moveResultHighlight(e.key === 'ArrowDown' ? 1 : -1);
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    registerHighlighted();
+  } else if (e.key === 'Escape' && e.target.value) {
+    e.preventDefault();
+    e.target.value = '';
+    e.target.dispatchEvent(new Event('input'));
+  }
+}
+
+// Ids of the results that can be registered or checked in, in table order. Taken
+// from the list rather than the DOM: a long list only renders the rows in view.
+function actionableIds() {
+  return visiblePreregistered.filter(awaitingCheckIn).map(p => p.id);
+}
+
+function searchQuery() {
+  return document.getElementById('preregSearchInput').value.toLowerCase().trim();
+}
+
+// Called after every render of the results. A highlighted person stays highlighted
+// when the list refreshes; otherwise, with a query, the first match is highlighted
+// so typing and Enter is enough. The full list waits for an arrow key.
+function resetResultHighlight() {
+  const ids = actionableIds();
+  const current = preregResultsQuery === searchQuery();
+  const kept = highlightedQuery === preregResultsQuery && ids.includes(highlightedId);
+
+  if (!kept) {
+    highlightedId = current && preregResultsQuery && ids.length > 0 ? ids[0] : null;
+    highlightedQuery = preregResultsQuery;
+    scrollToHighlight();
+  }
+  paintResultHighlight();
+
+  if (enterPending && current) {
+    enterPending = false;
+    // Only a single match is registered without a second look
+    if (ids.length === 1) registerHighlighted();
+  }
+}
+
+function moveResultHighlight(step) {
+  const ids = actionableIds();
+  if (ids.length === 0) return;
+
+  const index = ids.indexOf(highlightedId);
+  const next = index < 0
+    ? (step > 0 ? 0 : ids.length - 1)
+    : Math.min(Math.max(index + step, 0), ids.length - 1);
+
+  highlightedId = ids[next];
+  highlightedQuery = preregResultsQuery;
+  scrollToHighlight();
+  paintResultHighlight();
+}
+
+function scrollToHighlight() {
+  if (highlightedId) {
+    preregTable.scrollToIndex(visiblePreregistered.findIndex(p => p.id === highlightedId));
+  }
+}
+
+// Marks the highlighted row among the rendered ones (also called by the table on every render)
+function paintResultHighlight() {
+  document.querySelectorAll('#preregisterBody tr[data-id]').forEach(row => {
+    const highlighted = row.dataset.id === highlightedId;
+    row.classList.toggle('highlighted', highlighted);
+    row.setAttribute('aria-selected', String(highlighted));
+  });
+}
+
+function registerHighlighted() {
+  // Results still belong to an earlier query (the search is debounced)
+  if (preregResultsQuery !== searchQuery()) {
+    enterPending = true;
+    return;
+  }
+
+  if (actionableIds().includes(highlightedId)) {
+    registerPreregistered(highlightedId);
+  }
+}
+
+// After a registration: clear the search (unless turned off) and put the cursor
+// back in it for the next person. Scanner mode keeps its own focus.
+function readyForNextPerson() {
+  const searchInput = document.getElementById('preregSearchInput');
+
+  if (document.getElementById('autoClearSearch').checked && searchInput.value) {
+    searchInput.value = '';
+    searchInput.dispatchEvent(new Event('input'));
+  }
+
+  if (!scannerMode.active) focusSearch();
+}
+
+function focusSearch() {
+  if (currentTab === 'search' && !scannerMode.active) {
+    document.getElementById('preregSearchInput').focus();
+  }
+}
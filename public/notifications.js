@@ -27,12 +27,13 @@ class NotificationManager {
     }
   }
 
-  show(message, type = 'info', duration = 3000) {
+  // options.action = { label, onClick } adds a button that runs onClick and closes the toast
+  show(message, type = 'info', duration = 3000, options = {}) {
     if (!this.container) {
       this.createContainer();
     }
 
-    const notification = this.createNotification(message, type, duration);
+    const notification = this.createNotification(message, type, duration, options);
     this.notifications.push(notification);
     this.container.appendChild(notification.element);
 
@@ -51,7 +52,7 @@ class NotificationManager {
     return notification;
   }
 
-  createNotification(message, type, duration) {
+  createNotification(message, type, duration, { action } = {}) {
     const element = document.createElement('div');
     element.className = `notification notification-${type}`;
 
@@ -62,6 +63,7 @@ class NotificationManager {
       <div class="notification-icon">${icon}</div>
       <div class="notification-content">
         <div class="notification-message">${this.escapeHtml(message)}</div>
+        ${action ? `<button class="notification-action">${this.escapeHtml(action.label)}</button>` : ''}
         ${duration > 0 ? `<div class="notification-progress"><div class="notification-progress-bar" style="animation-duration: ${duration}ms"></div></div>` : ''}
       </div>
       ${closeBtn}
@@ -70,7 +72,8 @@ class NotificationManager {
     const notification = {
       element,
       type,
-      timeout: null
+      timeout: null,
+      actionButton: null
     };
 
     // Close button handler
@@ -79,6 +82,17 @@ class NotificationManager {
       this.dismiss(notification);
     });
 
+    // Action button handler (runs once)
+    if (action) {
+      const actionBtn = element.querySelector('.notification-action');
+      notification.actionButton = actionBtn;
+      actionBtn.addEventListener('click', () => {
+        actionBtn.disabled = true;
+        this.dismiss(notification);
+        action.onClick();
+      });
+    }
+
     return notification;
   }
 
@@ -135,20 +149,33 @@ class NotificationManager {
   }
 
   // Convenience methods
-  success(message, duration = 3000) {
-    return this.show(message, 'success', duration);
+  success(message, duration = 3000, options = {}) {
+    return this.show(message, 'success', duration, options);
   }
 
-  error(message, duration = 4000) {
-    return this.show(message, 'error', duration);
+  error(message, duration = 4000, options = {}) {
+    return this.show(message, 'error', duration, options);
   }
 
-  warning(message, duration = 4000) {
-    return this.show(message, 'warning', duration);
+  warning(message, duration = 4000, options = {}) {
+    return this.show(message, 'warning', duration, options);
   }
 
-  info(message, duration = 3000) {
-    return this.show(message, 'info', duration);
+  info(message, duration = 3000, options = {}) {
+    return this.show(message, 'info', duration, options);
+  }
+
+  // Run the action of the newest toast still offering one (keyboard Undo).
+  // Returns false when there is none.
+  runLatestAction() {
+    const notification = [...this.notifications].reverse().find(n =>
+      n.actionButton && !n.actionButton.disabled && !n.element.classList.contains('hide')
+    );
+
+    if (!notification) return false;
+
+    notification.actionButton.click();
+    return true;
   }
 
   // Clear all notifications
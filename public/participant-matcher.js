@@ -0,0 +1,123 @@
+// Duplicate lookup for walk-ins: finds registered and pending pre-registered people
+// matching a Quick Add entry by email, DNI or a similar name.
+// Usable from Node (require) and the register page (window.ParticipantMatcher)
+
+const ParticipantMatcher = (() => {
+  const { normalizeKey } = typeof ImportValidation !== 'undefined'
+    ? ImportValidation
+    : require('./import-validation');
+
+  // Names at least this similar (0-1) count as the same person
+  const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+  // Shortest typed name worth comparing
+  const MIN_NAME_LENGTH = 3;
+
+  const MAX_MATCHES = 5;
+
+  // Edit distance between two strings
+  function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  // 1 for the same name; word order, accents and extra middle names do not matter much
+  function nameSimilarity(a, b) {
+    const left = normalizeKey(a);
+    const right = normalizeKey(b);
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+
+    const leftWords = left.split(' ');
+    const rightWords = right.split(' ');
+    const [shorter, longer] = leftWords.length <= rightWords.length
+      ? [leftWords, rightWords]
+      : [rightWords, leftWords];
+
+    // "Ana Torres" vs "Ana María Torres Díaz": every word of the shorter name is in the longer one
+    if (shorter.length >= 2 && shorter.every(word => longer.includes(word))) {
+      return 0.9;
+    }
+
+    const sortedLeft = [...leftWords].sort().join(' ');
+    const sortedRight = [...rightWords].sort().join(' ');
+    const distance = levenshtein(sortedLeft, sortedRight);
+
+    return 1 - distance / Math.max(sortedLeft.length, sortedRight.length);
+  }
+
+  // Match reasons between a Quick Add entry and an existing record
+  function matchReasons(entry, record, { identifierValue = null } = {}) {
+    const reasons = [];
+    const email = normalizeKey(entry.email);
+    const dni = normalizeKey(entry.dni).replace(/[\s.-]/g, '');
+    const recordDni = normalizeKey(record.dni).replace(/[\s.-]/g, '');
+    const identifier = normalizeKey(identifierValue);
+
+    if (email && (email === normalizeKey(record.email) || email === identifier)) {
+      reasons.push('email');
+    }
+
+    if (dni && (dni === recordDni || dni === identifier.replace(/[\s.-]/g, ''))) {
+      reasons.push('dni');
+    }
+
+    if (normalizeKey(entry.full_name).length >= MIN_NAME_LENGTH &&
+        nameSimilarity(entry.full_name, record.full_name || identifierValue) >= NAME_SIMILARITY_THRESHOLD) {
+      reasons.push('name');
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Registered participants and pending pre-registrations that look like the entry
+   * @param {Object} entry - { full_name, email, dni } typed in Quick Add
+   * @param {Object} lists - { participants, preregistered }
+   * @returns {Array<Object>} - { kind: 'registered'|'preregistered', record, reasons }, strongest first
+   */
+  function findMatches(entry, { participants = [], preregistered = [] }) {
+    const matches = [];
+
+    participants.forEach(record => {
+      const reasons = matchReasons(entry, record);
+      if (reasons.length > 0) matches.push({ kind: 'registered', record, reasons });
+    });
+
+    // Registered pre-registrations are already covered by their participant row
+    preregistered
+      .filter(record => !record.is_registered)
+      .forEach(record => {
+        const reasons = matchReasons(entry, record, { identifierValue: record.identifier_value });
+        if (reasons.length > 0) matches.push({ kind: 'preregistered', record, reasons });
+      });
+
+    // Email/DNI matches before name-only matches
+    const strength = match => match.reasons.filter(reason => reason !== 'name').length * 2 + match.reasons.length;
+
+    return matches
+      .sort((a, b) => strength(b) - strength(a))
+      .slice(0, MAX_MATCHES);
+  }
+
+  return {
+    nameSimilarity,
+    findMatches
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ParticipantMatcher;
+} else if (typeof window !== 'undefined') {
+  window.ParticipantMatcher = ParticipantMatcher;
+}
@@ -0,0 +1,191 @@
+// Attendance reconciliation: pre-registered people who attended, no-shows and
+// walk-ins (participants not linked from any pre-registration row), by area.
+// The report needs every row of the event, so it loads them when it is shown or
+// exported rather than keeping them on the page.
+// Relies on the page state declared in app.js (currentEventId, currentEvent) and its loadAllPages.
+
+const NO_AREA_LABEL = 'Not specified';
+
+// Latest report load; a slower answer to an earlier one is dropped
+let reportRequest = 0;
+
+function setupAttendanceReport() {
+  document.querySelectorAll('[data-report-export]').forEach(button => {
+    button.addEventListener('click', () => exportAttendanceReport(button.dataset.reportExport));
+  });
+}
+
+// Percentage of part in whole, one decimal ('-' when whole is 0)
+function reportPercent(part, whole) {
+  return whole > 0 ? `${(part / whole * 100).toFixed(1)}%` : '-';
+}
+
+// The columns the report uses of every participant and pre-registration row
+async function loadAttendanceData() {
+  const [participants, preregistered] = await Promise.all([
+    loadAllPages(() => window.supabase
+      .from('participants')
+      .select('id, full_name, email, dni, area, registered_at')
+      .eq('event_id', currentEventId)
+      .order('id')),
+    loadAllPages(() => window.supabase
+      .from('pre_registered_participants')
+      .select('id, full_name, identifier_value, email, dni, area, is_registered, registered_participant_id')
+      .eq('event_id', currentEventId)
+      .order('id'))
+  ]);
+
+  return { participants, preregistered };
+}
+
+// { attended, noShows, walkIns, areas, totals }
+// attended: [{ preReg, participant }], noShows: [preReg], walkIns: [participant]
+function buildAttendanceReport({ participants, preregistered }) {
+  const participantsById = new Map(participants.map(p => [p.id, p]));
+  const linkedIds = new Set(preregistered.map(p => p.registered_participant_id).filter(Boolean));
+
+  const attended = preregistered
+    .filter(p => p.is_registered)
+    .map(preReg => ({ preReg, participant: participantsById.get(preReg.registered_participant_id) || null }));
+  const noShows = preregistered.filter(p => !p.is_registered);
+  const walkIns = participants.filter(p => !linkedIds.has(p.id));
+
+  const areas = new Map();
+  const areaRow = (area) => {
+    const key = (area || '').trim() || NO_AREA_LABEL;
+    if (!areas.has(key)) areas.set(key, { area: key, attended: 0, noShows: 0, walkIns: 0 });
+    return areas.get(key);
+  };
+
+  // Attendees are counted under their current area (it may have been corrected at the desk)
+  attended.forEach(({ preReg, participant }) => { areaRow(participant?.area || preReg.area).attended++; });
+  noShows.forEach(preReg => { areaRow(preReg.area).noShows++; });
+  walkIns.forEach(participant => { areaRow(participant.area).walkIns++; });
+
+  const totals = { area: 'Total', attended: attended.length, noShows: noShows.length, walkIns: walkIns.length };
+
+  return {
+    attended,
+    noShows,
+    walkIns,
+    areas: [...areas.values()].sort((a, b) => a.area.localeCompare(b.area)),
+    totals
+  };
+}
+
+// Table columns of an area row
+function areaReportColumns(row) {
+  const preRegistered = row.attended + row.noShows;
+  const present = row.attended + row.walkIns;
+
+  return {
+    'Area': row.area,
+    'Pre-registered': preRegistered,
+    'Attended': row.attended,
+    'Attendance %': reportPercent(row.attended, preRegistered),
+    'No-shows': row.noShows,
+    'No-show %': reportPercent(row.noShows, preRegistered),
+    'Walk-ins': row.walkIns,
+    'Total present': present,
+    'Walk-in % of present': reportPercent(row.walkIns, present)
+  };
+}
+
+async function renderAttendanceReport() {
+  const request = ++reportRequest;
+  let report;
+
+  try {
+    report = buildAttendanceReport(await loadAttendanceData());
+  } catch (error) {
+    console.error('Error loading attendance report:', error);
+    window.NotificationManager.error('Failed to load the attendance report');
+    return;
+  }
+
+  if (request !== reportRequest) return;
+
+  const { totals } = report;
+  const preRegistered = totals.attended + totals.noShows;
+  const present = totals.attended + totals.walkIns;
+
+  document.getElementById('reportSummary').innerHTML = `
+    <div class="report-card report-attended">
+      <div class="report-card-value">${totals.attended}</div>
+      <div class="report-card-label">Pre-registered and attended</div>
+      <div class="text-muted">${reportPercent(totals.attended, preRegistered)} of ${preRegistered} pre-registered</div>
+    </div>
+    <div class="report-card report-no-shows">
+      <div class="report-card-value">${totals.noShows}</div>
+      <div class="report-card-label">No-shows</div>
+      <div class="text-muted">${reportPercent(totals.noShows, preRegistered)} of ${preRegistered} pre-registered</div>
+    </div>
+    <div class="report-card report-walk-ins">
+      <div class="report-card-value">${totals.walkIns}</div>
+      <div class="report-card-label">Walk-ins</div>
+      <div class="text-muted">${reportPercent(totals.walkIns, present)} of ${present} present</div>
+    </div>
+  `;
+
+  const rows = [...report.areas, totals].map(areaReportColumns);
+  const headers = Object.keys(areaReportColumns(totals));
+
+  document.getElementById('reportAreaTable').innerHTML = `
+    <thead>
+      <tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr>
+    </thead>
+    <tbody>
+      ${rows.map((row, index) => `
+        <tr class="${index === rows.length - 1 ? 'report-total' : ''}">
+          ${headers.map(header => `<td>${escapeHtml(String(row[header]))}</td>`).join('')}
+        </tr>
+      `).join('')}
+    </tbody>
+  `;
+}
+
+// XLSX: summary by area plus one sheet per group. CSV: the by-area table.
+async function exportAttendanceReport(format) {
+  let report;
+
+  try {
+    report = buildAttendanceReport(await loadAttendanceData());
+  } catch (error) {
+    console.error('Error exporting attendance report:', error);
+    window.NotificationManager.error('Failed to export the attendance report');
+    return;
+  }
+
+  const byArea = [...report.areas, report.totals].map(areaReportColumns);
+  const workbook = XLSX.utils.book_new();
+
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(byArea), 'By area');
+
+  if (format === 'xlsx') {
+    const person = (record) => ({
+      'Full name': record.full_name || record.identifier_value || '',
+      'Email': record.email || '',
+      'DNI': record.dni || '',
+      'Area': record.area || ''
+    });
+
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(report.attended.map(({ preReg, participant }) => ({
+      ...person(participant || preReg),
+      'Identifier': preReg.identifier_value,
+      'Registered at': participant ? new Date(participant.registered_at).toLocaleString() : ''
+    }))), 'Attended');
+
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(report.noShows.map(preReg => ({
+      ...person(preReg),
+      'Identifier': preReg.identifier_value
+    }))), 'No-shows');
+
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(report.walkIns.map(participant => ({
+      ...person(participant),
+      'Registered at': new Date(participant.registered_at).toLocaleString()
+    }))), 'Walk-ins');
+  }
+
+  const eventName = (currentEvent?.name || 'event').replace(/[^\w-]+/g, '_');
+  XLSX.writeFile(workbook, `${eventName}-attendance.${format}`, { bookType: format === 'csv' ? 'csv' : 'xlsx' });
+}
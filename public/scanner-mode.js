@@ -0,0 +1,286 @@
+// Scanner mode for USB barcode/DNI scanners that type the code followed by Enter.
+// Fast keystroke bursts are captured anywhere on the page, matched exactly on
+// dni / identifier_value and registered automatically when the match is unique.
+// In check-out mode the same scans mark people as leaving the venue.
+// Codes are looked up on the server (see supabase/migrations/016_paged_lists.sql).
+// Relies on the page state declared in app.js (currentEventId), its fetchParticipant
+// and fetchPreregistered, and the selected session from sessions.js.
+
+// Scanners type much faster than people: keys further apart than this start a new code
+const BURST_KEY_INTERVAL_MS = 50;
+
+// Shortest code accepted as a scan
+const MIN_SCAN_LENGTH = 4;
+
+const scannerMode = {
+  active: false,
+  checkOut: false,
+  buffer: '',
+  lastKeyAt: 0,
+  queue: Promise.resolve(),
+  audio: null
+};
+
+function setupScannerMode() {
+  document.getElementById('scannerModeBtn').addEventListener('click', toggleScannerMode);
+
+  document.getElementById('scannerCheckOut').addEventListener('change', (e) => {
+    scannerMode.checkOut = e.target.checked;
+    setScannerStatus(scannerReadyMessage(), 'info');
+    lockScannerFocus();
+  });
+
+  // Capture phase: scanned keys never reach the search box or other inputs
+  document.addEventListener('keydown', captureScannerKey, true);
+
+  // Focus lock: anything outside an open modal hands focus back to the scanner panel
+  document.addEventListener('focusin', (e) => {
+    if (scannerMode.active && !e.target.closest('.modal')) {
+      lockScannerFocus();
+    }
+  });
+}
+
+function toggleScannerMode() {
+  scannerMode.active = !scannerMode.active;
+  scannerMode.buffer = '';
+
+  const button = document.getElementById('scannerModeBtn');
+  const panel = document.getElementById('scannerModePanel');
+
+  button.classList.toggle('active', scannerMode.active);
+  button.setAttribute('aria-pressed', String(scannerMode.active));
+  panel.style.display = scannerMode.active ? '' : 'none';
+  document.body.classList.toggle('scanner-mode', scannerMode.active);
+
+  if (scannerMode.active) {
+    // Audio can only start from a user gesture, so create it on the toggle click
+    if (!scannerMode.audio && (window.AudioContext || window.webkitAudioContext)) {
+      scannerMode.audio = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    setScannerStatus(scannerReadyMessage(), 'info');
+    lockScannerFocus();
+  } else {
+    document.getElementById('preregSearchInput').focus();
+  }
+}
+
+function scannerReadyMessage() {
+  return scannerMode.checkOut
+    ? 'Check-out mode. Scan a DNI or ticket barcode of someone leaving.'
+    : 'Ready. Scan a DNI or ticket barcode.';
+}
+
+function lockScannerFocus() {
+  const panel = document.getElementById('scannerModePanel');
+  if (document.activeElement !== panel) panel.focus({ preventScroll: true });
+}
+
+function captureScannerKey(e) {
+  if (!scannerMode.active || e.target.closest('.modal')) return;
+  if (e.ctrlKey || e.altKey || e.metaKey) return;
+
+  const now = Date.now();
+
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    const code = scannerMode.buffer.trim();
+    const isBurst = now - scannerMode.lastKeyAt <= BURST_KEY_INTERVAL_MS * 2;
+    scannerMode.buffer = '';
+
+    if (code.length >= MIN_SCAN_LENGTH && isBurst) {
+      scannerMode.queue = scannerMode.queue.then(() => handleScannedCode(code));
+    }
+    return;
+  }
+
+  if (e.key.length !== 1) return;
+
+  e.preventDefault();
+  if (now - scannerMode.lastKeyAt > BURST_KEY_INTERVAL_MS) scannerMode.buffer = '';
+  scannerMode.buffer += e.key;
+  scannerMode.lastKeyAt = now;
+}
+
+// Rows of an event table whose DNI (or identifier) is the scanned code, ignoring
+// the dots, dashes and case scanners and spreadsheets disagree on
+async function scanLookup(rpcName, code) {
+  const { data, error } = await window.supabase
+    .rpc(rpcName, { p_event_id: currentEventId, p_code: code });
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function handleScannedCode(code) {
+  // 2D scanners can read the QR tickets too
+  if (code.startsWith('RT1.')) {
+    await handleScannedTicket(code);
+    return;
+  }
+
+  let matches;
+  let registered;
+
+  try {
+    [matches, registered] = await Promise.all([
+      scanLookup('scan_preregistered', code),
+      scanLookup('scan_participants', code)
+    ]);
+  } catch (error) {
+    console.error('Error looking up scanned code:', error);
+    scanFeedback(`Could not look up ${code}`, 'error');
+    return;
+  }
+
+  if (matches.length > 1) {
+    scanFeedback(`${matches.length} people share ${code}. Search by name instead.`, 'error');
+    return;
+  }
+
+  if (scannerMode.checkOut) {
+    const participant = matches.length === 1
+      ? registered.find(p => p.id === matches[0].registered_participant_id) ||
+        await fetchParticipant(matches[0].registered_participant_id).catch(() => null)
+      : registered[0];
+    await checkOutScannedParticipant(participant, code);
+    return;
+  }
+
+  if (matches.length === 0) {
+    // Walk-ins are not pre-registered but may already be checked in
+    const walkIn = registered[0];
+
+    if (walkIn && walkIn.checked_out_at) {
+      await readmitScannedWalkIn(walkIn);
+    } else if (walkIn && currentSessionId) {
+      await checkInScannedWalkIn(walkIn);
+    } else if (walkIn) {
+      scanFeedback(`${walkIn.full_name} is already registered (${formatDateTime(walkIn.registered_at)})`, 'warning');
+    } else {
+      scanFeedback(`No pre-registered person with ${code}`, 'error');
+    }
+    return;
+  }
+
+  await registerScannedPerson(matches[0]);
+}
+
+async function handleScannedTicket(token) {
+  try {
+    const { preRegisteredId } = await callTicketsFunction({ action: 'verify', token });
+    const preReg = await fetchPreregistered(preRegisteredId).catch(() => null);
+
+    if (scannerMode.checkOut) {
+      const participant = preReg?.registered_participant_id && await fetchParticipant(preReg.registered_participant_id);
+      await checkOutScannedParticipant(participant, preReg ? (preReg.full_name || preReg.identifier_value) : 'this ticket');
+      return;
+    }
+
+    await registerScannedPerson(preReg || { id: preRegisteredId });
+  } catch (error) {
+    scanFeedback(error.message || 'Invalid ticket', 'error');
+  }
+}
+
+async function registerScannedPerson(preReg) {
+  const name = preReg.full_name || preReg.identifier_value || 'Participant';
+  const result = await registerPreregistered(preReg.id);
+
+  if (!result) {
+    scanFeedback(`Could not register ${name}`, 'error');
+  } else if (result.status === 'event_full') {
+    scanFeedback(`${name}: ${eventFullMessage(result)}`, 'error');
+  } else if (wasAlreadyCheckedIn(result)) {
+    scanFeedback(`${name}: ${alreadyRegisteredMessage(result)}`, 'warning');
+  } else if (result.status === 'returned') {
+    scanFeedback(`✓ ${name} is back inside`, 'success');
+  } else {
+    scanFeedback(`✓ ${name} ${checkedInLabel()}`, 'success');
+  }
+}
+
+// Walk-ins have no pre-registration row to re-register with
+async function readmitScannedWalkIn(participant) {
+  const result = await readmitParticipant(participant.id);
+
+  if (!result) {
+    scanFeedback(`Could not let ${participant.full_name} back in`, 'error');
+  } else if (result.status === 'event_full') {
+    scanFeedback(`${participant.full_name}: ${eventFullMessage(result)}`, 'error');
+  } else {
+    scanFeedback(`✓ ${participant.full_name} is back inside`, 'success');
+  }
+}
+
+// participant: the registered person the scan resolved to (undefined when nobody is registered)
+async function checkOutScannedParticipant(participant, label) {
+  if (!participant) {
+    scanFeedback(`${label} is not registered, nothing to check out`, 'error');
+    return;
+  }
+
+  const result = await checkOutParticipant(participant.id, { notify: false });
+
+  if (!result) {
+    scanFeedback(`Could not check out ${participant.full_name}`, 'error');
+  } else if (result.status === 'already_checked_out') {
+    scanFeedback(`${participant.full_name} already checked out ${formatDateTime(result.checked_out_at)}`, 'warning');
+  } else {
+    scanFeedback(`✓ ${participant.full_name} checked out`, 'success');
+  }
+}
+
+// Walk-ins have no pre-registration row, so only the session check-in applies
+async function checkInScannedWalkIn(participant) {
+  const result = await checkInToSession(participant.id, { notify: false });
+
+  if (!result) {
+    scanFeedback(`Could not check in ${participant.full_name}`, 'error');
+  } else if (wasAlreadyCheckedIn(result)) {
+    scanFeedback(`${participant.full_name}: ${alreadyRegisteredMessage(result)}`, 'warning');
+  } else {
+    scanFeedback(`✓ ${participant.full_name} ${checkedInLabel()}`, 'success');
+  }
+}
+
+function scanFeedback(message, type) {
+  setScannerStatus(message, type);
+  playScanSound(type);
+  lockScannerFocus();
+}
+
+function setScannerStatus(message, type) {
+  const status = document.getElementById('scannerModeStatus');
+  status.textContent = message;
+  status.className = `scan-status scan-status-${type}`;
+}
+
+// Success: two rising beeps. Already registered: two low beeps. Error: one long buzz.
+function playScanSound(type) {
+  const audio = scannerMode.audio;
+  if (!audio) return;
+
+  const tones = {
+    success: [{ frequency: 880, start: 0, length: 0.1 }, { frequency: 1320, start: 0.12, length: 0.15 }],
+    warning: [{ frequency: 440, start: 0, length: 0.12 }, { frequency: 440, start: 0.18, length: 0.12 }],
+    error: [{ frequency: 180, start: 0, length: 0.45, wave: 'square' }]
+  }[type];
+
+  if (!tones) return;
+
+  const now = audio.currentTime;
+  tones.forEach(({ frequency, start, length, wave = 'sine' }) => {
+    const oscillator = audio.createOscillator();
+    const gain = audio.createGain();
+
+    oscillator.type = wave;
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.2, now + start);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + start + length);
+
+    oscillator.connect(gain).connect(audio.destination);
+    oscillator.start(now + start);
+    oscillator.stop(now + start + length);
+  });
+}
@@ -0,0 +1,438 @@
+// Sessions of an event (days, tracks, breakouts) with per-session check-in.
+// People register once per event; session_checkins records which sessions they
+// attended. The session picked in the header applies to Register, scans and Quick Add.
+// Relies on the page state declared in app.js (currentEventId, userProfile,
+// registeredTotal, preregPage) and its loadAllPages.
+
+// Sessions of the current event, by start time
+let eventSessions = [];
+
+// Check-ins of every session of the event, by id
+let sessionCheckins = new Map();
+
+// Lookups run for every table row, so check-ins are also indexed by
+// "session_id:participant_id" and counted per session
+let sessionCheckinKeys = new Set();
+let sessionCheckinCounts = new Map();
+
+// Session being checked in at this desk (null: whole event only)
+let currentSessionId = null;
+
+// The picked session survives reloads of the kiosk
+function sessionSelectionKey() {
+  return `registeraton.session.${currentEventId}`;
+}
+
+async function loadEventSessions() {
+  try {
+    const { data, error } = await window.supabase
+      .from('event_sessions')
+      .select('*')
+      .eq('event_id', currentEventId)
+      .order('starts_at', { ascending: true, nullsFirst: false })
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    eventSessions = data || [];
+  } catch (error) {
+    console.error('Error loading sessions:', error);
+    eventSessions = [];
+  }
+
+  if (!eventSessions.some(s => s.id === currentSessionId)) {
+    currentSessionId = defaultSessionId();
+  }
+
+  renderSessionSelect();
+  renderEventSessionsManager();
+  await loadSessionCheckins();
+}
+
+// Every check-in of the event, page by page (large events have more than one request returns)
+async function loadSessionCheckins() {
+  try {
+    setSessionCheckins(await loadAllPages(() => window.supabase
+      .from('session_checkins')
+      .select('*')
+      .eq('event_id', currentEventId)
+      .order('id')));
+  } catch (error) {
+    console.error('Error loading session check-ins:', error);
+    setSessionCheckins([]);
+  }
+
+  refreshSessionViews();
+}
+
+// The saved choice, else the session in progress, else none
+function defaultSessionId() {
+  const saved = localStorage.getItem(sessionSelectionKey());
+  if (eventSessions.some(s => s.id === saved)) return saved;
+
+  const now = new Date();
+  const inProgress = eventSessions.find(s =>
+    s.starts_at && s.ends_at && new Date(s.starts_at) <= now && now <= new Date(s.ends_at)
+  );
+  return inProgress ? inProgress.id : null;
+}
+
+function currentSession() {
+  return eventSessions.find(s => s.id === currentSessionId) || null;
+}
+
+function checkinKey(sessionId, participantId) {
+  return `${sessionId}:${participantId}`;
+}
+
+function setSessionCheckins(checkins) {
+  sessionCheckins = new Map();
+  sessionCheckinKeys = new Set();
+  sessionCheckinCounts = new Map();
+  checkins.forEach(addSessionCheckin);
+}
+
+function addSessionCheckin(checkin) {
+  sessionCheckins.set(checkin.id, checkin);
+  sessionCheckinKeys.add(checkinKey(checkin.session_id, checkin.participant_id));
+  sessionCheckinCounts.set(checkin.session_id, sessionAttendanceCount(checkin.session_id) + 1);
+}
+
+function removeSessionCheckin(checkinId) {
+  const checkin = sessionCheckins.get(checkinId);
+  if (!checkin) return;
+
+  sessionCheckins.delete(checkinId);
+  sessionCheckinKeys.delete(checkinKey(checkin.session_id, checkin.participant_id));
+  sessionCheckinCounts.set(checkin.session_id, sessionAttendanceCount(checkin.session_id) - 1);
+}
+
+function isCheckedInToSession(participantId, sessionId = currentSessionId) {
+  return sessionCheckinKeys.has(checkinKey(sessionId, participantId));
+}
+
+function sessionAttendanceCount(sessionId) {
+  return sessionCheckinCounts.get(sessionId) || 0;
+}
+
+// Pre-registered rows that still need an action at this desk: not registered yet,
+// or registered earlier but not checked into the selected session
+function awaitingCheckIn(preReg) {
+  if (!preReg.is_registered) return true;
+  return Boolean(currentSessionId) && !isCheckedInToSession(preReg.registered_participant_id);
+}
+
+// "Mar 3, 09:00 AM – 10:30 AM"
+function formatSessionTime(session) {
+  if (!session.starts_at) return '';
+
+  const start = new Date(session.starts_at);
+  const text = start.toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  if (!session.ends_at) return text;
+
+  const end = new Date(session.ends_at);
+  const endText = end.toDateString() === start.toDateString()
+    ? end.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })
+    : end.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+  return `${text} – ${endText}`;
+}
+
+// "12 / 40" when the session has a capacity
+function sessionCountText(session) {
+  const count = sessionAttendanceCount(session.id);
+  return session.capacity ? `${count} / ${session.capacity}` : String(count);
+}
+
+// ====== SESSION PICKER ======
+
+function setupSessions() {
+  document.getElementById('sessionSelect').addEventListener('change', (e) => {
+    selectSession(e.target.value || null);
+  });
+
+  document.getElementById('eventSessionForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await addEventSession();
+  });
+}
+
+function selectSession(sessionId) {
+  currentSessionId = sessionId;
+
+  if (sessionId) {
+    localStorage.setItem(sessionSelectionKey(), sessionId);
+  } else {
+    localStorage.removeItem(sessionSelectionKey());
+  }
+
+  document.getElementById('sessionSelect').value = sessionId || '';
+  refreshSessionViews();
+
+  // Re-run the current search (or reload the list from its first page) for the new session
+  preregPage.index = 0;
+  refreshPreregResults();
+}
+
+function renderSessionSelect() {
+  const select = document.getElementById('sessionSelect');
+
+  select.style.display = eventSessions.length > 0 ? '' : 'none';
+  select.innerHTML = `
+    <option value="">Whole event (no session)</option>
+    ${eventSessions.map(session => {
+      const time = formatSessionTime(session);
+      return `<option value="${session.id}">${escapeHtml(session.name)}${time ? ` · ${escapeHtml(time)}` : ''}</option>`;
+    }).join('')}
+  `;
+  select.value = currentSessionId || '';
+}
+
+// Header stat, registered tab summary and rows
+function refreshSessionViews() {
+  updateSessionStats();
+  renderSessionAttendance();
+  renderRegisteredParticipants();
+}
+
+function updateSessionStats() {
+  const session = currentSession();
+  const stat = document.getElementById('sessionStats');
+
+  if (!session) {
+    stat.style.display = 'none';
+    return;
+  }
+
+  stat.style.display = '';
+  stat.classList.toggle('session-full', Boolean(session.capacity) && sessionAttendanceCount(session.id) >= session.capacity);
+  document.getElementById('sessionStatsLabel').textContent = session.name;
+  document.getElementById('sessionCount').textContent = sessionCountText(session);
+}
+
+// Attendance per session and overall, above the registered table; a card selects its session
+function renderSessionAttendance() {
+  const container = document.getElementById('sessionAttendance');
+
+  if (eventSessions.length === 0) {
+    container.style.display = 'none';
+    return;
+  }
+
+  const attendedAny = new Set([...sessionCheckins.values()].map(c => c.participant_id)).size;
+
+  container.style.display = '';
+  container.innerHTML = `
+    <button type="button" class="session-card ${currentSessionId ? '' : 'active'}" onclick="selectSession(null)">
+      <span class="session-card-name">Whole event</span>
+      <span class="session-card-count">${registeredTotal}</span>
+      <span class="text-muted">registered • ${attendedAny} in at least one session</span>
+    </button>
+    ${eventSessions.map(session => `
+      <button type="button" class="session-card ${session.id === currentSessionId ? 'active' : ''}" onclick="selectSession('${session.id}')">
+        <span class="session-card-name">${escapeHtml(session.name)}</span>
+        <span class="session-card-count">${sessionCountText(session)}</span>
+        <span class="text-muted">${escapeHtml([formatSessionTime(session), session.room].filter(Boolean).join(' • '))}</span>
+      </button>
+    `).join('')}
+  `;
+}
+
+// ====== CHECK-IN ======
+
+// Keep a check-in returned by an RPC (realtime delivers it to other clients)
+function recordSessionCheckin(checkin) {
+  if (!checkin || sessionCheckins.has(checkin.id)) return;
+
+  addSessionCheckin(checkin);
+  refreshSessionViews();
+}
+
+// Realtime INSERT / DELETE on session_checkins
+function applySessionCheckinChange(payload) {
+  if (payload.eventType === 'DELETE') {
+    removeSessionCheckin(payload.old.id);
+    refreshSessionViews();
+  } else if (payload.eventType === 'INSERT') {
+    recordSessionCheckin(payload.new);
+  }
+}
+
+// "checked in" or "checked in to Day 2"
+function checkedInLabel() {
+  const session = currentSession();
+  return session ? `checked in to ${session.name}` : 'checked in';
+}
+
+function showSessionCheckinToast(result) {
+  window.NotificationManager.success(`Checked in to ${result.session_name}`, UNDO_WINDOW_MS, {
+    action: {
+      label: 'Undo',
+      onClick: () => undoSessionCheckin(result.checkin.id)
+    }
+  });
+}
+
+// Check a registered participant into the selected session
+// Returns the RPC result ({ status, ... }), or null when the call failed
+async function checkInToSession(participantId, { notify = true } = {}) {
+  if (!currentSessionId) return null;
+
+  try {
+    const { data: result, error } = await window.supabase
+      .rpc('check_in_session', { p_session_id: currentSessionId, p_participant_id: participantId });
+
+    if (error) throw error;
+
+    if (result.status === 'already_checked_in') {
+      window.NotificationManager.warning(alreadyRegisteredMessage(result));
+    } else {
+      recordSessionCheckin(result.checkin);
+      if (notify) showSessionCheckinToast(result);
+    }
+
+    refreshPreregResults();
+    return result;
+  } catch (error) {
+    console.error('Error checking in to session:', error);
+    window.NotificationManager.error(error.message || 'Session check-in failed');
+    return null;
+  }
+}
+
+// The participant stays registered for the event
+async function undoSessionCheckin(checkinId) {
+  try {
+    const { error } = await window.supabase
+      .from('session_checkins')
+      .delete()
+      .eq('id', checkinId);
+
+    if (error) throw error;
+
+    removeSessionCheckin(checkinId);
+    refreshSessionViews();
+    refreshPreregResults();
+
+    window.NotificationManager.info('Session check-in undone');
+  } catch (error) {
+    console.error('Error undoing session check-in:', error);
+    window.NotificationManager.error(error.message || 'Failed to undo session check-in');
+  }
+}
+
+// ====== SESSION MANAGER (SETUP PANEL) ======
+
+// Session list; only admins can change it
+function renderEventSessionsManager() {
+  const section = document.getElementById('eventSessionsManager');
+
+  if (userProfile?.role !== 'admin') {
+    section.style.display = 'none';
+    return;
+  }
+
+  section.style.display = '';
+  const list = document.getElementById('eventSessionsList');
+
+  if (eventSessions.length === 0) {
+    list.innerHTML = '<div class="text-muted">No sessions. Check-in covers the whole event.</div>';
+    return;
+  }
+
+  list.innerHTML = eventSessions.map(session => {
+    const details = [formatSessionTime(session), session.room, session.capacity ? `${session.capacity} seats` : '']
+      .filter(Boolean)
+      .join(' • ');
+
+    return `
+      <div class="event-field-item">
+        <div class="event-field-main">
+          <strong>${escapeHtml(session.name)}</strong>
+          <span class="text-muted">${escapeHtml(details) || 'No time or room set'}</span>
+        </div>
+        <button type="button" class="btn-secondary btn-small" onclick="deleteEventSession('${session.id}')">Remove</button>
+      </div>
+    `;
+  }).join('');
+}
+
+// datetime-local value (local time, no zone) to an ISO timestamp
+function sessionTimeValue(inputId) {
+  const value = document.getElementById(inputId).value;
+  return value ? new Date(value).toISOString() : null;
+}
+
+async function addEventSession() {
+  const name = document.getElementById('sessionName').value.trim();
+  const startsAt = sessionTimeValue('sessionStartsAt');
+  const endsAt = sessionTimeValue('sessionEndsAt');
+  const capacity = document.getElementById('sessionCapacity').value;
+
+  if (!name) {
+    window.NotificationManager.error('Enter a session name');
+    return;
+  }
+
+  if (startsAt && endsAt && endsAt < startsAt) {
+    window.NotificationManager.error('The session ends before it starts');
+    return;
+  }
+
+  try {
+    const { error } = await window.supabase
+      .from('event_sessions')
+      .insert([{
+        event_id: currentEventId,
+        name,
+        starts_at: startsAt,
+        ends_at: endsAt,
+        room: document.getElementById('sessionRoom').value.trim() || null,
+        capacity: capacity ? Number(capacity) : null
+      }]);
+
+    if (error) throw error;
+
+    document.getElementById('eventSessionForm').reset();
+    window.NotificationManager.success(`Session "${name}" added`);
+
+    await loadEventSessions();
+  } catch (error) {
+    console.error('Error adding session:', error);
+    window.NotificationManager.error(error.message || 'Failed to add session');
+  }
+}
+
+// Deleting a session deletes its check-ins; event registrations are kept
+async function deleteEventSession(sessionId) {
+  const session = eventSessions.find(s => s.id === sessionId);
+  if (!session) return;
+
+  const count = sessionAttendanceCount(sessionId);
+  const warning = count > 0 ? ` Its ${count} check-in${count !== 1 ? 's' : ''} will be deleted.` : '';
+
+  if (!confirm(`Remove the "${session.name}" session?${warning}`)) {
+    return;
+  }
+
+  try {
+    const { error } = await window.supabase
+      .from('event_sessions')
+      .delete()
+      .eq('id', sessionId);
+
+    if (error) throw error;
+
+    await loadEventSessions();
+    refreshPreregResults();
+  } catch (error) {
+    console.error('Error removing session:', error);
+    window.NotificationManager.error(error.message || 'Failed to remove session');
+  }
+}
@@ -0,0 +1,293 @@
+// QR tickets: download signed tickets for the pre-registration list as a PDF,
+// and check people in by scanning their ticket with the device camera.
+// Tokens are issued and verified by the tickets Netlify Function (the signing secret stays on the server).
+// Relies on the page state declared in app.js (currentEventId, currentEvent) and its
+// fetchPreregistered.
+
+// Ticket grid on each A4 page of the PDF
+const TICKETS_PER_ROW = 2;
+const TICKET_ROWS_PER_PAGE = 4;
+
+// A ticket read again within this time is ignored (the camera sees it on every frame)
+const RESCAN_COOLDOWN_MS = 3000;
+
+// Time between decode attempts
+const SCAN_INTERVAL_MS = 150;
+
+// Camera scan state
+const scanner = {
+  stream: null,
+  timer: null,
+  detector: null,
+  canvas: null,
+  busy: false,
+  lastToken: null,
+  lastTokenAt: 0
+};
+
+function setupTickets() {
+  document.getElementById('downloadTicketsBtn').addEventListener('click', downloadTickets);
+  document.getElementById('scanBtn').addEventListener('click', openScanner);
+  document.getElementById('scanModalClose').addEventListener('click', closeScanner);
+
+  const modal = document.getElementById('scanModal');
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeScanner();
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && modal.style.display === 'flex') closeScanner();
+  });
+}
+
+// Call the tickets function as the signed-in user
+async function callTicketsFunction(body) {
+  const session = await window.auth.getSession();
+
+  if (!session) {
+    throw new Error('Your session has expired. Please sign in again.');
+  }
+
+  const response = await fetch('/.netlify/functions/tickets', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${session.access_token}`
+    },
+    body: JSON.stringify({ eventId: currentEventId, ...body })
+  });
+
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(result.error || 'Ticket request failed');
+  }
+
+  return result;
+}
+
+// ====== TICKET PDF ======
+
+// Draw a ticket token's QR code as vector squares (sharp at any print size)
+function drawTicketQr(pdf, token, x, y, size) {
+  const qr = qrcode(0, 'M');
+  qr.addData(token);
+  qr.make();
+
+  const count = qr.getModuleCount();
+  const cell = size / count;
+
+  pdf.setFillColor(0, 0, 0);
+  for (let row = 0; row < count; row++) {
+    for (let col = 0; col < count; col++) {
+      if (qr.isDark(row, col)) {
+        pdf.rect(x + col * cell, y + row * cell, cell, cell, 'F');
+      }
+    }
+  }
+}
+
+async function downloadTickets() {
+  const button = document.getElementById('downloadTicketsBtn');
+  button.disabled = true;
+  button.textContent = 'Preparing tickets...';
+
+  try {
+    const { tickets } = await callTicketsFunction({ action: 'issue' });
+
+    if (tickets.length === 0) {
+      window.NotificationManager.warning('Upload a pre-registration list first');
+      return;
+    }
+
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const margin = 10;
+    const cellWidth = (pageWidth - margin * 2) / TICKETS_PER_ROW;
+    const cellHeight = (pageHeight - margin * 2) / TICKET_ROWS_PER_PAGE;
+    const qrSize = Math.min(cellHeight - 22, cellWidth - 20);
+    const perPage = TICKETS_PER_ROW * TICKET_ROWS_PER_PAGE;
+    const eventName = currentEvent ? currentEvent.name : '';
+
+    tickets.forEach((ticket, index) => {
+      if (index > 0 && index % perPage === 0) pdf.addPage();
+
+      const slot = index % perPage;
+      const x = margin + (slot % TICKETS_PER_ROW) * cellWidth;
+      const y = margin + Math.floor(slot / TICKETS_PER_ROW) * cellHeight;
+      const centerX = x + cellWidth / 2;
+
+      // Dashed cut lines
+      pdf.setLineDashPattern([1, 1], 0);
+      pdf.setDrawColor(180);
+      pdf.rect(x, y, cellWidth, cellHeight);
+      pdf.setLineDashPattern([], 0);
+
+      pdf.setFontSize(9);
+      pdf.setTextColor(100);
+      pdf.text(eventName, centerX, y + 6, { align: 'center', maxWidth: cellWidth - 10 });
+
+      drawTicketQr(pdf, ticket.token, centerX - qrSize / 2, y + 9, qrSize);
+
+      pdf.setFontSize(11);
+      pdf.setTextColor(20);
+      pdf.text(ticket.full_name || ticket.identifier_value, centerX, y + qrSize + 15, { align: 'center', maxWidth: cellWidth - 10 });
+
+      pdf.setFontSize(8);
+      pdf.setTextColor(100);
+      pdf.text(ticket.identifier_value, centerX, y + qrSize + 19, { align: 'center', maxWidth: cellWidth - 10 });
+    });
+
+    pdf.save(`${(eventName || 'event').replace(/[^\w-]+/g, '_')}_tickets.pdf`);
+    window.NotificationManager.success(`${tickets.length} ticket${tickets.length !== 1 ? 's' : ''} downloaded`);
+  } catch (error) {
+    console.error('Error creating tickets:', error);
+    window.NotificationManager.error(error.message || 'Failed to create tickets');
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Download QR tickets (PDF)';
+  }
+}
+
+// ====== CAMERA SCAN ======
+
+async function openScanner() {
+  const modal = document.getElementById('scanModal');
+  const video = document.getElementById('scanVideo');
+
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    window.NotificationManager.error('This browser cannot use the camera. Search by name instead.');
+    return;
+  }
+
+  modal.style.display = 'flex';
+  setScanStatus('Starting camera...', 'info');
+
+  try {
+    scanner.stream = await navigator.mediaDevices.getUserMedia({
+      video: { facingMode: 'environment' },
+      audio: false
+    });
+
+    video.srcObject = scanner.stream;
+    await video.play();
+
+    // Native decoder where available, jsQR otherwise
+    if ('BarcodeDetector' in window &&
+        (await BarcodeDetector.getSupportedFormats()).includes('qr_code')) {
+      scanner.detector = new BarcodeDetector({ formats: ['qr_code'] });
+    } else {
+      scanner.detector = null;
+      scanner.canvas = scanner.canvas || document.createElement('canvas');
+    }
+
+    setScanStatus('Point the camera at a ticket', 'info');
+    scanner.timer = setInterval(scanFrame, SCAN_INTERVAL_MS);
+  } catch (error) {
+    console.error('Error starting camera:', error);
+    setScanStatus(error.name === 'NotAllowedError'
+      ? 'Camera access was denied. Allow it in the browser settings to scan tickets.'
+      : 'Could not start the camera', 'error');
+    stopCamera();
+  }
+}
+
+function closeScanner() {
+  stopCamera();
+  document.getElementById('scanModal').style.display = 'none';
+  document.getElementById('preregSearchInput').focus();
+}
+
+function stopCamera() {
+  clearInterval(scanner.timer);
+  scanner.timer = null;
+
+  if (scanner.stream) {
+    scanner.stream.getTracks().forEach(track => track.stop());
+    scanner.stream = null;
+  }
+
+  document.getElementById('scanVideo').srcObject = null;
+}
+
+// Text read from the current video frame, or null
+async function decodeFrame(video) {
+  if (scanner.detector) {
+    const codes = await scanner.detector.detect(video);
+    return codes.length > 0 ? codes[0].rawValue : null;
+  }
+
+  const { canvas } = scanner;
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+  const image = context.getImageData(0, 0, canvas.width, canvas.height);
+  const code = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' });
+  return code ? code.data : null;
+}
+
+async function scanFrame() {
+  const video = document.getElementById('scanVideo');
+  if (scanner.busy || video.readyState < video.HAVE_ENOUGH_DATA) return;
+
+  scanner.busy = true;
+
+  try {
+    const token = await decodeFrame(video);
+    const now = Date.now();
+
+    if (!token || (token === scanner.lastToken && now - scanner.lastTokenAt < RESCAN_COOLDOWN_MS)) {
+      return;
+    }
+
+    scanner.lastToken = token;
+    scanner.lastTokenAt = now;
+    await checkInTicket(token);
+
+    // Measure the cooldown from the end of the check-in, not from the read
+    scanner.lastTokenAt = Date.now();
+  } catch (error) {
+    console.error('Error scanning ticket:', error);
+  } finally {
+    scanner.busy = false;
+  }
+}
+
+// Verify the scanned token and register the person it names
+async function checkInTicket(token) {
+  setScanStatus('Checking ticket...', 'info');
+
+  try {
+    const { preRegisteredId } = await callTicketsFunction({ action: 'verify', token });
+    // The name is only for the status line; registration goes ahead without it
+    const preReg = await fetchPreregistered(preRegisteredId).catch(() => null);
+    const name = preReg ? (preReg.full_name || preReg.identifier_value) : 'Participant';
+
+    const result = await registerPreregistered(preRegisteredId);
+
+    if (!result) {
+      setScanStatus(`Could not register ${name}`, 'error');
+    } else if (result.status === 'event_full') {
+      setScanStatus(`${name}: ${eventFullMessage(result)}`, 'error');
+    } else if (result.status === 'returned') {
+      setScanStatus(`✓ ${name} is back inside`, 'success');
+    } else if (wasAlreadyCheckedIn(result)) {
+      setScanStatus(`${name}: ${alreadyRegisteredMessage(result)}`, 'warning');
+    } else {
+      setScanStatus(`✓ ${name} ${checkedInLabel()}`, 'success');
+    }
+  } catch (error) {
+    setScanStatus(error.message || 'Invalid ticket', 'error');
+  }
+}
+
+function setScanStatus(message, type) {
+  const status = document.getElementById('scanStatus');
+  status.textContent = message;
+  status.className = `scan-status scan-status-${type}`;
+}
@@ -0,0 +1,114 @@
+// Windowed rendering for the participant tables: with thousands of rows only the
+// ones in view (plus a margin) are in the DOM, between two spacer rows that keep
+// the scrollbar the height of the whole list. Short lists, such as search results,
+// are rendered whole.
+// The table must sit in a scrolling .results-container.
+
+// Lists up to this many rows are rendered whole
+const VIRTUAL_TABLE_THRESHOLD = 200;
+
+// Rows rendered above and below the ones in view
+const VIRTUAL_TABLE_OVERSCAN = 20;
+
+// tbody: the table body to fill
+// renderRow(record, index): HTML of one <tr data-id="...">
+// emptyRow(): HTML shown when there are no rows
+// onRender(): called after every render (e.g. to repaint a highlight)
+function createVirtualTable(tbody, { renderRow, emptyRow, onRender = () => {} }) {
+  const container = tbody.closest('.results-container');
+  let rows = [];
+  // Estimated row height in px, measured again on every windowed render
+  let rowHeight = 60;
+  let rendered = { start: 0, end: 0 };
+  let frame = null;
+
+  function columnCount() {
+    return tbody.parentElement.tHead.rows[0].cells.length;
+  }
+
+  function spacer(height) {
+    if (height <= 0) return '';
+    return `<tr class="virtual-spacer" aria-hidden="true"><td colspan="${columnCount()}" style="height: ${height}px"></td></tr>`;
+  }
+
+  function windowed() {
+    return rows.length > VIRTUAL_TABLE_THRESHOLD;
+  }
+
+  // Rows in view, from the scroll position of the container
+  function visibleRange() {
+    const headHeight = tbody.parentElement.tHead.offsetHeight;
+    const first = Math.floor(Math.max(container.scrollTop - headHeight, 0) / rowHeight);
+    const count = Math.ceil(container.clientHeight / rowHeight);
+    return { start: first, end: Math.min(first + count, rows.length) };
+  }
+
+  function render() {
+    frame = null;
+
+    if (rows.length === 0) {
+      rendered = { start: 0, end: 0 };
+      tbody.innerHTML = emptyRow();
+    } else if (!windowed()) {
+      rendered = { start: 0, end: rows.length };
+      tbody.innerHTML = rows.map(renderRow).join('');
+    } else {
+      const visible = visibleRange();
+      const start = Math.max(visible.start - VIRTUAL_TABLE_OVERSCAN, 0);
+      const end = Math.min(visible.end + VIRTUAL_TABLE_OVERSCAN, rows.length);
+      rendered = { start, end };
+
+      tbody.innerHTML = spacer(start * rowHeight) +
+        rows.slice(start, end).map((record, i) => renderRow(record, start + i)).join('') +
+        spacer((rows.length - end) * rowHeight);
+
+      measureRowHeight();
+    }
+
+    onRender();
+  }
+
+  // Rows grow with edit notes and wrapped names; the average keeps the spacers close
+  function measureRowHeight() {
+    const rowsInView = tbody.querySelectorAll('tr[data-id]');
+    if (rowsInView.length === 0) return;
+
+    let total = 0;
+    rowsInView.forEach(row => { total += row.offsetHeight; });
+    if (total > 0) rowHeight = total / rowsInView.length;
+  }
+
+  container.addEventListener('scroll', () => {
+    if (!windowed() || frame) return;
+
+    // Re-render only when the view gets close to the edge of the rendered rows
+    const visible = visibleRange();
+    const margin = VIRTUAL_TABLE_OVERSCAN / 2;
+    const nearTop = visible.start - rendered.start < margin && rendered.start > 0;
+    const nearBottom = rendered.end - visible.end < margin && rendered.end < rows.length;
+    if (nearTop || nearBottom) frame = requestAnimationFrame(render);
+  }, { passive: true });
+
+  return {
+    // Show a new list (already filtered and sorted)
+    setRows(list) {
+      rows = list;
+      if (frame) cancelAnimationFrame(frame);
+      render();
+    },
+
+    // Scroll just enough to bring the row at index into view
+    scrollToIndex(index) {
+      if (index < 0 || index >= rows.length) return;
+
+      if (index < rendered.start || index >= rendered.end) {
+        const headHeight = tbody.parentElement.tHead.offsetHeight;
+        container.scrollTop = headHeight + index * rowHeight - container.clientHeight / 2;
+        render();
+      }
+
+      const row = tbody.querySelector(`tr[data-id="${rows[index].id}"]`);
+      if (row) row.scrollIntoView({ block: 'nearest' });
+    }
+  };
+}
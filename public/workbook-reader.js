@@ -0,0 +1,149 @@
+// Workbook reader for pre-registration spreadsheets
+// Parsed in the browser so large files never travel to the process-excel function.
+// Used by the setup panel (window.WorkbookReader) and the unit tests (require).
+
+const WorkbookReader = (() => {
+  // SheetJS: CDN global in the browser, npm package in Node
+  const getXLSX = () => (typeof XLSX !== 'undefined' ? XLSX : require('xlsx'));
+
+  // Synthetic column holding the sheet each row came from when merging sheets
+  const { SHEET_COLUMN } = typeof ImportFields !== 'undefined' ? ImportFields : require('../shared/import-fields');
+
+  // How many rows from the top are considered when looking for the header row
+  const HEADER_SCAN_ROWS = 20;
+
+  /**
+   * Find the header row in a sheet given as an array of rows.
+   * Title rows and merged banners only fill one or two cells, so the header is
+   * the first row that is mostly text and about as wide as the table below it.
+   * @param {Array<Array>} matrix - Sheet rows (XLSX header: 1 format)
+   * @returns {number} - Zero-based index of the header row
+   */
+  function detectHeaderRow(matrix) {
+    const scanned = matrix.slice(0, HEADER_SCAN_ROWS);
+    const filledCounts = scanned.map(row =>
+      row.filter(cell => String(cell ?? '').trim() !== '').length
+    );
+    const widest = Math.max(0, ...filledCounts);
+
+    if (widest < 2) return 0;
+
+    const index = scanned.findIndex((row, i) => {
+      const filled = row.filter(cell => String(cell ?? '').trim() !== '');
+      const textCells = filled.filter(cell => typeof cell === 'string' && isNaN(Number(cell)));
+      return filledCounts[i] >= 2 &&
+        filledCounts[i] >= widest * 0.6 &&
+        textCells.length >= filled.length * 0.8;
+    });
+
+    return index === -1 ? 0 : index;
+  }
+
+  /**
+   * Read one sheet into row objects keyed by the detected headers
+   * @param {Object} workbook - Parsed XLSX workbook
+   * @param {string} sheetName - Sheet to read
+   * @returns {Object} - { name, headerRow, columns, rows }
+   */
+  function readSheet(workbook, sheetName) {
+    const xlsx = getXLSX();
+    const worksheet = workbook.Sheets[sheetName];
+
+    if (!worksheet || !worksheet['!ref']) {
+      return { name: sheetName, headerRow: null, columns: [], rows: [] };
+    }
+
+    // Only the top rows are needed to find the header
+    const scanRange = xlsx.utils.decode_range(worksheet['!ref']);
+    scanRange.e.r = Math.min(scanRange.e.r, scanRange.s.r + HEADER_SCAN_ROWS - 1);
+    const matrix = xlsx.utils.sheet_to_json(worksheet, { header: 1, blankrows: true, defval: '', range: scanRange });
+    const headerIndex = detectHeaderRow(matrix);
+    const range = xlsx.utils.decode_range(worksheet['!ref']);
+    range.s.r += headerIndex;
+
+    const rows = xlsx.utils.sheet_to_json(worksheet, { range });
+
+    return {
+      name: sheetName,
+      headerRow: range.s.r + 1,
+      columns: collectColumns(rows),
+      rows
+    };
+  }
+
+  // Column names in order of first appearance (sparse rows omit empty cells)
+  function collectColumns(rows) {
+    const columns = [];
+    const seen = new Set();
+
+    rows.forEach(row => {
+      Object.keys(row).forEach(column => {
+        if (!seen.has(column)) {
+          seen.add(column);
+          columns.push(column);
+        }
+      });
+    });
+
+    return columns;
+  }
+
+  /**
+   * Read a workbook, returning every sheet summary plus the rows of the selection
+   * @param {Uint8Array|ArrayBuffer} fileData - Excel/CSV file contents
+   * @param {Object} options
+   * @param {Array<string>} [options.sheets] - Sheets to read; defaults to the largest one
+   * @param {boolean} [options.areaFromSheet] - Tag rows with their sheet name for the area field
+   * @returns {Object} - { sheets, selectedSheets, columns, sheetColumn, rows }
+   */
+  function readWorkbook(fileData, { sheets = [], areaFromSheet = false } = {}) {
+    const workbook = getXLSX().read(fileData, { type: 'array' });
+    const parsed = workbook.SheetNames.map(name => readSheet(workbook, name));
+
+    const summaries = parsed.map(sheet => ({
+      name: sheet.name,
+      rowCount: sheet.rows.length,
+      headerRow: sheet.headerRow
+    }));
+
+    let selected = parsed.filter(sheet => sheets.includes(sheet.name));
+
+    if (selected.length === 0) {
+      // Default to the sheet with the most rows (skips cover and notes sheets)
+      const largest = parsed.reduce((best, sheet) =>
+        (!best || sheet.rows.length > best.rows.length ? sheet : best), null);
+      selected = largest ? [largest] : [];
+    }
+
+    const tagSheet = areaFromSheet || selected.length > 1;
+    const rows = [];
+
+    selected.forEach(sheet => {
+      sheet.rows.forEach(row => {
+        rows.push(tagSheet ? { ...row, [SHEET_COLUMN]: sheet.name } : row);
+      });
+    });
+
+    return {
+      sheets: summaries,
+      selectedSheets: selected.map(sheet => sheet.name),
+      columns: collectColumns(selected.map(sheet =>
+        Object.fromEntries(sheet.columns.map(column => [column, true]))
+      )),
+      sheetColumn: tagSheet && rows.length > 0 ? SHEET_COLUMN : null,
+      rows
+    };
+  }
+
+  return {
+    SHEET_COLUMN,
+    detectHeaderRow,
+    readWorkbook
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WorkbookReader;
+} else if (typeof window !== 'undefined') {
+  window.WorkbookReader = WorkbookReader;
+}
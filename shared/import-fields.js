@@ -0,0 +1,45 @@
+// Import constants shared by the setup panel and the Netlify Functions.
+// The build copies this file to public/shared/ for the browser (window.ImportFields);
+// Node code requires it from here.
+
+const ImportFields = (() => {
+  // Synthetic column holding the sheet each row came from when merging sheets
+  const SHEET_COLUMN = '_sheet';
+
+  // Values of the participant_type enum and the words that import as each one
+  const PARTICIPANT_TYPES = ['lead', 'participant', 'attendee'];
+  const PARTICIPANT_TYPE_SYNONYMS = {
+    lead: ['lead', 'leader', 'lider', 'organizer', 'organizador', 'coordinator', 'coordinador', 'speaker', 'ponente', 'host'],
+    participant: ['participant', 'participante', 'member', 'miembro'],
+    attendee: ['attendee', 'asistente', 'guest', 'invitado', 'visitor', 'visitante', 'oyente']
+  };
+
+  // Comparison key: case, accents and inner whitespace do not matter
+  function normalizeKey(value) {
+    return String(value ?? '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Participant type for a cell ("Ponente" -> 'lead'), or null when it is not one
+  function parseParticipantType(value) {
+    const key = normalizeKey(value);
+    return PARTICIPANT_TYPES.find(type => PARTICIPANT_TYPE_SYNONYMS[type].includes(key)) || null;
+  }
+
+  return {
+    SHEET_COLUMN,
+    PARTICIPANT_TYPES,
+    normalizeKey,
+    parseParticipantType
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImportFields;
+} else if (typeof window !== 'undefined') {
+  window.ImportFields = ImportFields;
+}
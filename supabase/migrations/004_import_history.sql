@@ -0,0 +1,96 @@
+-- =====================================================
+-- Migration: Import History
+-- Description: Records every pre-registration upload and links rows to the import that wrote them
+-- =====================================================
+
+-- =====================================================
+-- TABLES
+-- =====================================================
+
+-- One row per pre-registration upload (or restore of a previous upload)
+CREATE TABLE imports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    filename TEXT NOT NULL,
+    import_mode TEXT NOT NULL CHECK (import_mode IN ('merge', 'replace', 'restore')),
+    status TEXT NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed', 'failed')),
+    mapping JSONB NOT NULL,
+    total_rows INTEGER NOT NULL DEFAULT 0,
+    imported_rows INTEGER NOT NULL DEFAULT 0,
+    excluded_rows INTEGER NOT NULL DEFAULT 0,
+    inserted_rows INTEGER NOT NULL DEFAULT 0,
+    updated_rows INTEGER NOT NULL DEFAULT 0,
+    removed_rows INTEGER NOT NULL DEFAULT 0,
+    validation_totals JSONB,
+    records JSONB NOT NULL DEFAULT '[]'::jsonb,
+    restored_from UUID REFERENCES imports(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Import that last wrote each pre-registered row
+ALTER TABLE pre_registered_participants
+    ADD COLUMN import_id UUID REFERENCES imports(id) ON DELETE SET NULL;
+
+-- =====================================================
+-- INDEXES
+-- =====================================================
+
+CREATE INDEX idx_imports_event ON imports(event_id, created_at DESC);
+CREATE INDEX idx_imports_uploaded_by ON imports(uploaded_by);
+CREATE INDEX idx_prereg_import ON pre_registered_participants(import_id);
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+
+ALTER TABLE imports ENABLE ROW LEVEL SECURITY;
+
+-- Users can view imports for events in their organization
+CREATE POLICY "Users can view imports in their organization"
+    ON imports FOR SELECT
+    USING (
+        event_id IN (
+            SELECT id FROM events
+            WHERE organization_id = public.user_organization_id()
+        )
+    );
+
+-- Users can record their own uploads for events in their organization
+CREATE POLICY "Users can create imports"
+    ON imports FOR INSERT
+    WITH CHECK (
+        uploaded_by = auth.uid()
+        AND event_id IN (
+            SELECT id FROM events
+            WHERE organization_id = public.user_organization_id()
+        )
+    );
+
+-- Uploaders update counts and status once their rows are written
+CREATE POLICY "Users can update their own imports"
+    ON imports FOR UPDATE
+    USING (uploaded_by = auth.uid())
+    WITH CHECK (uploaded_by = auth.uid());
+
+-- Only admins can delete import history
+CREATE POLICY "Admins can delete imports"
+    ON imports FOR DELETE
+    USING (
+        public.is_admin()
+        AND event_id IN (
+            SELECT id FROM events
+            WHERE organization_id = public.user_organization_id()
+        )
+    );
+
+-- =====================================================
+-- COMMENTS
+-- =====================================================
+
+COMMENT ON TABLE imports IS 'History of pre-registration uploads per event';
+COMMENT ON COLUMN imports.import_mode IS 'merge: upsert into current list; replace: wipe and load; restore: re-apply a previous import';
+COMMENT ON COLUMN imports.mapping IS 'Column mapping confirmed by the uploader ({ identifier_type, identifier_column, mappings })';
+COMMENT ON COLUMN imports.validation_totals IS 'Validation report totals per category at import time';
+COMMENT ON COLUMN imports.records IS 'Snapshot of the imported rows, used to restore this import later';
+COMMENT ON COLUMN pre_registered_participants.import_id IS 'Import that inserted or last changed this row';
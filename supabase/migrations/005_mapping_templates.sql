@@ -0,0 +1,72 @@
+-- =====================================================
+-- Migration: Column Mapping Templates
+-- Description: Confirmed column mappings saved per organization and reused for files with the same headers
+-- =====================================================
+
+-- =====================================================
+-- TABLES
+-- =====================================================
+
+CREATE TABLE mapping_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    name TEXT NOT NULL,
+    header_fingerprint TEXT NOT NULL,
+    headers TEXT[] NOT NULL,
+    mapping JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (organization_id, header_fingerprint)
+);
+
+-- =====================================================
+-- INDEXES
+-- =====================================================
+
+CREATE INDEX idx_mapping_templates_organization ON mapping_templates(organization_id);
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+CREATE TRIGGER update_mapping_templates_updated_at
+    BEFORE UPDATE ON mapping_templates
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+
+ALTER TABLE mapping_templates ENABLE ROW LEVEL SECURITY;
+
+-- Users can view templates in their organization
+CREATE POLICY "Users can view mapping templates in their organization"
+    ON mapping_templates FOR SELECT
+    USING (organization_id = public.user_organization_id());
+
+-- Users who import lists can save templates for their organization
+CREATE POLICY "Users can create mapping templates"
+    ON mapping_templates FOR INSERT
+    WITH CHECK (organization_id = public.user_organization_id());
+
+-- Users can overwrite templates in their organization
+CREATE POLICY "Users can update mapping templates"
+    ON mapping_templates FOR UPDATE
+    USING (organization_id = public.user_organization_id())
+    WITH CHECK (organization_id = public.user_organization_id());
+
+-- Only admins can delete templates
+CREATE POLICY "Admins can delete mapping templates"
+    ON mapping_templates FOR DELETE
+    USING (organization_id = public.user_organization_id() AND public.is_admin());
+
+-- =====================================================
+-- COMMENTS
+-- =====================================================
+
+COMMENT ON TABLE mapping_templates IS 'Saved column mappings, applied automatically to files with the same header set';
+COMMENT ON COLUMN mapping_templates.header_fingerprint IS 'SHA-256 of the sorted, normalized column headers (computed by process-excel)';
+COMMENT ON COLUMN mapping_templates.headers IS 'Column headers the template was saved from';
+COMMENT ON COLUMN mapping_templates.mapping IS 'Column mapping ({ identifier_type, identifier_column, mappings })';
@@ -0,0 +1,106 @@
+-- =====================================================
+-- Migration: Custom Event Fields
+-- Description: Per-event participant fields beyond name, email, DNI and area
+-- =====================================================
+
+-- =====================================================
+-- TABLES
+-- =====================================================
+
+-- Field definitions; values live in custom_data keyed by field_key
+CREATE TABLE event_fields (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    field_key TEXT NOT NULL CHECK (
+        field_key ~ '^[a-z][a-z0-9_]*$'
+        AND field_key NOT IN ('full_name', 'email', 'dni', 'area', 'identifier_value')
+    ),
+    label TEXT NOT NULL,
+    field_type TEXT NOT NULL DEFAULT 'text' CHECK (field_type IN ('text', 'number', 'email', 'phone', 'date', 'select', 'checkbox')),
+    options TEXT[],
+    is_required BOOLEAN NOT NULL DEFAULT FALSE,
+    show_in_table BOOLEAN NOT NULL DEFAULT TRUE,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (event_id, field_key)
+);
+
+ALTER TABLE participants
+    ADD COLUMN custom_data JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE pre_registered_participants
+    ADD COLUMN custom_data JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- =====================================================
+-- INDEXES
+-- =====================================================
+
+CREATE INDEX idx_event_fields_event ON event_fields(event_id, position);
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+CREATE TRIGGER update_event_fields_updated_at
+    BEFORE UPDATE ON event_fields
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+
+ALTER TABLE event_fields ENABLE ROW LEVEL SECURITY;
+
+-- Users can view fields for events in their organization
+CREATE POLICY "Users can view event fields in their organization"
+    ON event_fields FOR SELECT
+    USING (
+        event_id IN (
+            SELECT id FROM events
+            WHERE organization_id = public.user_organization_id()
+        )
+    );
+
+-- Admins can define fields for events in their organization
+CREATE POLICY "Admins can create event fields"
+    ON event_fields FOR INSERT
+    WITH CHECK (
+        public.is_admin()
+        AND event_id IN (
+            SELECT id FROM events
+            WHERE organization_id = public.user_organization_id()
+        )
+    );
+
+CREATE POLICY "Admins can update event fields"
+    ON event_fields FOR UPDATE
+    USING (
+        public.is_admin()
+        AND event_id IN (
+            SELECT id FROM events
+            WHERE organization_id = public.user_organization_id()
+        )
+    );
+
+CREATE POLICY "Admins can delete event fields"
+    ON event_fields FOR DELETE
+    USING (
+        public.is_admin()
+        AND event_id IN (
+            SELECT id FROM events
+            WHERE organization_id = public.user_organization_id()
+        )
+    );
+
+-- =====================================================
+-- COMMENTS
+-- =====================================================
+
+COMMENT ON TABLE event_fields IS 'Custom participant fields defined per event (phone, company, dietary needs...)';
+COMMENT ON COLUMN event_fields.field_key IS 'Key used in custom_data and in column mappings; cannot reuse a built-in field name';
+COMMENT ON COLUMN event_fields.options IS 'Choices for select fields';
+COMMENT ON COLUMN event_fields.show_in_table IS 'Show as a column in the pre-registration and registered tables';
+COMMENT ON COLUMN participants.custom_data IS 'Values for the event''s custom fields, keyed by field_key';
+COMMENT ON COLUMN pre_registered_participants.custom_data IS 'Values for the event''s custom fields, keyed by field_key';
@@ -0,0 +1,108 @@
+-- =====================================================
+-- Migration: Function Rate Limits
+-- Description: Per-user and per-organization request limits for Netlify Functions
+-- =====================================================
+
+-- =====================================================
+-- TABLES
+-- =====================================================
+
+-- One row per accepted request; rows older than the window are pruned on each check
+CREATE TABLE api_rate_limits (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    action TEXT NOT NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- =====================================================
+-- INDEXES
+-- =====================================================
+
+CREATE INDEX idx_api_rate_limits_user ON api_rate_limits(action, user_id, created_at);
+CREATE INDEX idx_api_rate_limits_org ON api_rate_limits(action, organization_id, created_at);
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+
+-- No policies: the table is only reachable through check_rate_limit()
+ALTER TABLE api_rate_limits ENABLE ROW LEVEL SECURITY;
+
+-- =====================================================
+-- FUNCTION: Check and record a rate-limited request
+-- =====================================================
+
+-- Returns { allowed: true, remaining } and records the request, or
+-- { allowed: false, scope: 'user'|'organization', retry_after: seconds }
+CREATE OR REPLACE FUNCTION public.check_rate_limit(
+    p_action TEXT,
+    p_user_limit INTEGER,
+    p_org_limit INTEGER,
+    p_window_seconds INTEGER
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_user_id UUID := auth.uid();
+    v_org_id UUID := public.user_organization_id();
+    v_window INTERVAL := make_interval(secs => p_window_seconds);
+    v_user_count INTEGER;
+    v_user_oldest TIMESTAMPTZ;
+    v_org_count INTEGER;
+    v_org_oldest TIMESTAMPTZ;
+BEGIN
+    IF v_user_id IS NULL OR v_org_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    -- Serialize checks per organization so concurrent requests cannot all slip under the limit
+    PERFORM pg_advisory_xact_lock(hashtext('rate_limit:' || p_action || ':' || v_org_id::TEXT));
+
+    DELETE FROM api_rate_limits
+    WHERE action = p_action
+      AND organization_id = v_org_id
+      AND created_at < NOW() - v_window;
+
+    SELECT COUNT(*), MIN(created_at) INTO v_user_count, v_user_oldest
+    FROM api_rate_limits
+    WHERE action = p_action AND user_id = v_user_id;
+
+    IF v_user_count >= p_user_limit THEN
+        RETURN jsonb_build_object(
+            'allowed', FALSE,
+            'scope', 'user',
+            'retry_after', GREATEST(1, CEIL(EXTRACT(EPOCH FROM (v_user_oldest + v_window - NOW()))))::INTEGER
+        );
+    END IF;
+
+    SELECT COUNT(*), MIN(created_at) INTO v_org_count, v_org_oldest
+    FROM api_rate_limits
+    WHERE action = p_action AND organization_id = v_org_id;
+
+    IF v_org_count >= p_org_limit THEN
+        RETURN jsonb_build_object(
+            'allowed', FALSE,
+            'scope', 'organization',
+            'retry_after', GREATEST(1, CEIL(EXTRACT(EPOCH FROM (v_org_oldest + v_window - NOW()))))::INTEGER
+        );
+    END IF;
+
+    INSERT INTO api_rate_limits (action, user_id, organization_id)
+    VALUES (p_action, v_user_id, v_org_id);
+
+    RETURN jsonb_build_object(
+        'allowed', TRUE,
+        'remaining', LEAST(p_user_limit - v_user_count, p_org_limit - v_org_count) - 1
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.check_rate_limit(TEXT, INTEGER, INTEGER, INTEGER) TO authenticated;
+
+-- =====================================================
+-- COMMENTS
+-- =====================================================
+
+COMMENT ON TABLE api_rate_limits IS 'Recent rate-limited function requests per user and organization';
+COMMENT ON FUNCTION public.check_rate_limit IS 'Checks the caller''s per-user and per-organization limits for an action and records the request when allowed';
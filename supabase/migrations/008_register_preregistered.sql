@@ -0,0 +1,124 @@
+-- =====================================================
+-- Migration: Atomic Pre-Registration Check-In
+-- Description: Register a pre-registered participant in one transaction
+-- =====================================================
+
+-- =====================================================
+-- FUNCTION: Participant from a pre-registration row
+-- =====================================================
+
+-- Inserts the participant for a locked pre-registration row and marks the row
+-- registered. Shared by every version of register_preregistered() so the
+-- column defaults live in one place: participants.email and area are NOT NULL,
+-- so the same placeholders the desk used before apply when the list has none.
+CREATE OR REPLACE FUNCTION public.create_participant_from_preregistered(
+    p_pre pre_registered_participants,
+    p_participant_type participant_type DEFAULT NULL
+)
+RETURNS participants AS $$
+DECLARE
+    v_participant participants%ROWTYPE;
+BEGIN
+    INSERT INTO participants (
+        event_id,
+        registered_by,
+        participant_type,
+        full_name,
+        email,
+        dni,
+        area,
+        custom_data
+    )
+    VALUES (
+        p_pre.event_id,
+        auth.uid(),
+        COALESCE(p_participant_type, 'participant'),
+        COALESCE(NULLIF(p_pre.full_name, ''), p_pre.identifier_value),
+        COALESCE(NULLIF(p_pre.email, ''), p_pre.identifier_value || '@temp.com'),
+        NULLIF(p_pre.dni, ''),
+        COALESCE(NULLIF(p_pre.area, ''), 'Not specified'),
+        COALESCE(p_pre.custom_data, '{}'::jsonb)
+    )
+    RETURNING * INTO v_participant;
+
+    UPDATE pre_registered_participants
+    SET is_registered = TRUE,
+        registered_participant_id = v_participant.id
+    WHERE id = p_pre.id;
+
+    RETURN v_participant;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only register_preregistered() calls it
+REVOKE EXECUTE ON FUNCTION public.create_participant_from_preregistered(pre_registered_participants, participant_type) FROM PUBLIC;
+
+-- =====================================================
+-- FUNCTION: Register a pre-registered participant
+-- =====================================================
+
+-- Locks the pre-registration row so concurrent clicks for the same person
+-- wait for each other; the second caller sees the first registration.
+-- Returns { status: 'registered', participant } or
+-- { status: 'already_registered', participant_id, registered_at, registered_by_name }
+CREATE OR REPLACE FUNCTION public.register_preregistered(p_pre_registered_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    v_pre pre_registered_participants%ROWTYPE;
+    v_participant participants%ROWTYPE;
+    v_registered_by_name TEXT;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    SELECT * INTO v_pre
+    FROM pre_registered_participants
+    WHERE id = p_pre_registered_id
+    FOR UPDATE;
+
+    IF NOT FOUND OR NOT EXISTS (
+        SELECT 1 FROM events
+        WHERE id = v_pre.event_id
+          AND organization_id = public.user_organization_id()
+    ) THEN
+        RAISE EXCEPTION 'Pre-registered participant not found';
+    END IF;
+
+    -- A registration whose participant was since deleted no longer counts
+    IF v_pre.is_registered AND v_pre.registered_participant_id IS NOT NULL THEN
+        SELECT * INTO v_participant
+        FROM participants
+        WHERE id = v_pre.registered_participant_id;
+
+        IF FOUND THEN
+            SELECT full_name INTO v_registered_by_name
+            FROM users
+            WHERE id = v_participant.registered_by;
+
+            RETURN jsonb_build_object(
+                'status', 'already_registered',
+                'participant_id', v_participant.id,
+                'registered_at', v_participant.registered_at,
+                'registered_by_name', v_registered_by_name
+            );
+        END IF;
+    END IF;
+
+    v_participant := public.create_participant_from_preregistered(v_pre);
+
+    RETURN jsonb_build_object(
+        'status', 'registered',
+        'participant', to_jsonb(v_participant)
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.register_preregistered(UUID) TO authenticated;
+
+-- =====================================================
+-- COMMENTS
+-- =====================================================
+
+COMMENT ON FUNCTION public.create_participant_from_preregistered IS 'Inserts the participant for a pre-registered row and marks the row registered; used by register_preregistered()';
+COMMENT ON FUNCTION public.register_preregistered IS 'Creates the participant for a pre-registered row and marks it registered in one transaction; reports who registered it if it already was';
@@ -0,0 +1,123 @@
+-- =====================================================
+-- Migration: Unregister and Undo
+-- Description: Reverse a check-in and record who did it
+-- =====================================================
+
+-- =====================================================
+-- TABLES
+-- =====================================================
+
+-- One row per reversed check-in; the participant row itself is deleted
+CREATE TABLE registration_audit_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    action TEXT NOT NULL CHECK (action IN ('undo', 'unregister')),
+    participant_id UUID NOT NULL,
+    pre_registered_id UUID REFERENCES pre_registered_participants(id) ON DELETE SET NULL,
+    participant_snapshot JSONB NOT NULL,
+    performed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    performed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- =====================================================
+-- INDEXES
+-- =====================================================
+
+CREATE INDEX idx_registration_audit_log_event ON registration_audit_log(event_id, performed_at DESC);
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+
+ALTER TABLE registration_audit_log ENABLE ROW LEVEL SECURITY;
+
+-- Users can view the log for events in their organization; rows are only
+-- written by unregister_participant()
+CREATE POLICY "Users can view registration audit log in their organization"
+    ON registration_audit_log FOR SELECT
+    USING (
+        event_id IN (
+            SELECT id FROM events
+            WHERE organization_id = public.user_organization_id()
+        )
+    );
+
+-- =====================================================
+-- FUNCTION: Unregister a participant
+-- =====================================================
+
+-- Deletes the participant, sets the linked pre-registration row back to
+-- pending and logs the action, in one transaction.
+-- p_action is 'undo' (toast right after registering) or 'unregister' (row action).
+-- Returns { status: 'unregistered', pre_registered_id }
+CREATE OR REPLACE FUNCTION public.unregister_participant(
+    p_participant_id UUID,
+    p_action TEXT DEFAULT 'unregister'
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_participant participants%ROWTYPE;
+    v_pre_registered_id UUID;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF p_action NOT IN ('undo', 'unregister') THEN
+        RAISE EXCEPTION 'Unknown action: %', p_action;
+    END IF;
+
+    SELECT * INTO v_participant
+    FROM participants
+    WHERE id = p_participant_id
+    FOR UPDATE;
+
+    IF NOT FOUND OR NOT EXISTS (
+        SELECT 1 FROM events
+        WHERE id = v_participant.event_id
+          AND organization_id = public.user_organization_id()
+    ) THEN
+        RAISE EXCEPTION 'Participant not found. It may already have been unregistered.';
+    END IF;
+
+    UPDATE pre_registered_participants
+    SET is_registered = FALSE,
+        registered_participant_id = NULL
+    WHERE registered_participant_id = v_participant.id
+    RETURNING id INTO v_pre_registered_id;
+
+    INSERT INTO registration_audit_log (
+        event_id,
+        action,
+        participant_id,
+        pre_registered_id,
+        participant_snapshot,
+        performed_by
+    )
+    VALUES (
+        v_participant.event_id,
+        p_action,
+        v_participant.id,
+        v_pre_registered_id,
+        to_jsonb(v_participant),
+        auth.uid()
+    );
+
+    DELETE FROM participants WHERE id = v_participant.id;
+
+    RETURN jsonb_build_object(
+        'status', 'unregistered',
+        'pre_registered_id', v_pre_registered_id
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.unregister_participant(UUID, TEXT) TO authenticated;
+
+-- =====================================================
+-- COMMENTS
+-- =====================================================
+
+COMMENT ON TABLE registration_audit_log IS 'Check-ins reversed with Undo or Unregister, with who did it';
+COMMENT ON COLUMN registration_audit_log.participant_snapshot IS 'The participant row as it was before deletion';
+COMMENT ON FUNCTION public.unregister_participant IS 'Deletes a participant, returns the linked pre-registration row to pending and logs the action in one transaction';
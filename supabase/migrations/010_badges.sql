@@ -0,0 +1,30 @@
+-- =====================================================
+-- Migration: Name Badges
+-- Description: Per-event badge template and organization logo
+-- =====================================================
+
+-- =====================================================
+-- TABLES
+-- =====================================================
+
+ALTER TABLE organizations
+    ADD COLUMN logo_url TEXT;
+
+-- Badge layout options; the register page fills in any key that is missing
+ALTER TABLE events
+    ADD COLUMN badge_template JSONB NOT NULL DEFAULT '{
+        "size": "4x3",
+        "show_area": true,
+        "show_participant_type": true,
+        "show_qr": true,
+        "show_logo": true,
+        "accent_color": "#2563eb",
+        "auto_print": false
+    }'::jsonb;
+
+-- =====================================================
+-- COMMENTS
+-- =====================================================
+
+COMMENT ON COLUMN organizations.logo_url IS 'Logo printed on name badges (public image URL)';
+COMMENT ON COLUMN events.badge_template IS 'Badge options: size (4x3 or a6), show_area, show_participant_type, show_qr, show_logo, accent_color, auto_print';
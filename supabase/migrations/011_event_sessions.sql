@@ -0,0 +1,291 @@
+-- =====================================================
+-- Migration: Event Sessions
+-- Description: Days, tracks and breakout sessions with per-session check-in
+-- =====================================================
+
+-- =====================================================
+-- TABLES
+-- =====================================================
+
+-- Sessions of an event (a conference day, a workshop, a breakout room...)
+CREATE TABLE event_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    starts_at TIMESTAMPTZ,
+    ends_at TIMESTAMPTZ,
+    room TEXT,
+    capacity INTEGER CHECK (capacity IS NULL OR capacity > 0),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (ends_at IS NULL OR starts_at IS NULL OR ends_at >= starts_at)
+);
+
+-- One row per participant and session. Participants are still registered once
+-- per event (participants table); this records which sessions they attended.
+-- event_id is copied from the session so realtime can filter by event.
+CREATE TABLE session_checkins (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    session_id UUID NOT NULL REFERENCES event_sessions(id) ON DELETE CASCADE,
+    participant_id UUID NOT NULL REFERENCES participants(id) ON DELETE CASCADE,
+    checked_in_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    checked_in_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (session_id, participant_id)
+);
+
+-- =====================================================
+-- INDEXES
+-- =====================================================
+
+CREATE INDEX idx_event_sessions_event ON event_sessions(event_id, starts_at);
+CREATE INDEX idx_session_checkins_event ON session_checkins(event_id);
+CREATE INDEX idx_session_checkins_participant ON session_checkins(participant_id);
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+CREATE TRIGGER update_event_sessions_updated_at
+    BEFORE UPDATE ON event_sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+
+ALTER TABLE event_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE session_checkins ENABLE ROW LEVEL SECURITY;
+
+-- Users can view sessions for events in their organization
+CREATE POLICY "Users can view event sessions in their organization"
+    ON event_sessions FOR SELECT
+    USING (
+        event_id IN (
+            SELECT id FROM events
+            WHERE organization_id = public.user_organization_id()
+        )
+    );
+
+-- Admins can manage sessions for events in their organization
+CREATE POLICY "Admins can create event sessions"
+    ON event_sessions FOR INSERT
+    WITH CHECK (
+        public.is_admin()
+        AND event_id IN (
+            SELECT id FROM events
+            WHERE organization_id = public.user_organization_id()
+        )
+    );
+
+CREATE POLICY "Admins can update event sessions"
+    ON event_sessions FOR UPDATE
+    USING (
+        public.is_admin()
+        AND event_id IN (
+            SELECT id FROM events
+            WHERE organization_id = public.user_organization_id()
+        )
+    );
+
+CREATE POLICY "Admins can delete event sessions"
+    ON event_sessions FOR DELETE
+    USING (
+        public.is_admin()
+        AND event_id IN (
+            SELECT id FROM events
+            WHERE organization_id = public.user_organization_id()
+        )
+    );
+
+-- Users can view check-ins for events in their organization; rows are
+-- written by check_in_session()
+CREATE POLICY "Users can view session check-ins in their organization"
+    ON session_checkins FOR SELECT
+    USING (
+        event_id IN (
+            SELECT id FROM events
+            WHERE organization_id = public.user_organization_id()
+        )
+    );
+
+-- Both admins and assistants can undo a session check-in
+CREATE POLICY "Users can delete session check-ins"
+    ON session_checkins FOR DELETE
+    USING (
+        event_id IN (
+            SELECT id FROM events
+            WHERE organization_id = public.user_organization_id()
+        )
+    );
+
+-- =====================================================
+-- FUNCTION: Check a registered participant into a session
+-- =====================================================
+
+-- Returns { status: 'checked_in', checkin, participant, session_name } or
+-- { status: 'already_checked_in', participant_id, checked_in_at, checked_in_by_name, session_name }
+CREATE OR REPLACE FUNCTION public.check_in_session(
+    p_session_id UUID,
+    p_participant_id UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_session event_sessions%ROWTYPE;
+    v_participant participants%ROWTYPE;
+    v_checkin session_checkins%ROWTYPE;
+    v_checked_in_by_name TEXT;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    SELECT * INTO v_session
+    FROM event_sessions
+    WHERE id = p_session_id;
+
+    IF NOT FOUND OR NOT EXISTS (
+        SELECT 1 FROM events
+        WHERE id = v_session.event_id
+          AND organization_id = public.user_organization_id()
+    ) THEN
+        RAISE EXCEPTION 'Session not found';
+    END IF;
+
+    SELECT * INTO v_participant
+    FROM participants
+    WHERE id = p_participant_id
+      AND event_id = v_session.event_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Participant not found in this event';
+    END IF;
+
+    -- The unique constraint settles concurrent scans of the same person
+    INSERT INTO session_checkins (event_id, session_id, participant_id, checked_in_by)
+    VALUES (v_session.event_id, v_session.id, v_participant.id, auth.uid())
+    ON CONFLICT (session_id, participant_id) DO NOTHING
+    RETURNING * INTO v_checkin;
+
+    IF v_checkin.id IS NOT NULL THEN
+        RETURN jsonb_build_object(
+            'status', 'checked_in',
+            'checkin', to_jsonb(v_checkin),
+            'participant', to_jsonb(v_participant),
+            'session_name', v_session.name
+        );
+    END IF;
+
+    SELECT * INTO v_checkin
+    FROM session_checkins
+    WHERE session_id = v_session.id
+      AND participant_id = v_participant.id;
+
+    SELECT full_name INTO v_checked_in_by_name
+    FROM users
+    WHERE id = v_checkin.checked_in_by;
+
+    RETURN jsonb_build_object(
+        'status', 'already_checked_in',
+        'participant_id', v_participant.id,
+        'checked_in_at', v_checkin.checked_in_at,
+        'checked_in_by_name', v_checked_in_by_name,
+        'session_name', v_session.name
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.check_in_session(UUID, UUID) TO authenticated;
+
+-- =====================================================
+-- FUNCTION: Register a pre-registered participant (session aware)
+-- =====================================================
+
+-- Replaces the version from 008_register_preregistered.sql; the old
+-- signature is dropped so calls without a session stay unambiguous.
+DROP FUNCTION IF EXISTS public.register_preregistered(UUID);
+
+-- Without a session it behaves as before. With a session, the person is
+-- registered if needed and checked into the session; people registered
+-- earlier (another day or session) get only the session check-in.
+-- Returns { status: 'registered', participant, checkin },
+-- { status: 'already_registered', ... } (no session) or one of the
+-- check_in_session() results.
+CREATE OR REPLACE FUNCTION public.register_preregistered(
+    p_pre_registered_id UUID,
+    p_session_id UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_pre pre_registered_participants%ROWTYPE;
+    v_participant participants%ROWTYPE;
+    v_registered_by_name TEXT;
+    v_checkin JSONB;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    SELECT * INTO v_pre
+    FROM pre_registered_participants
+    WHERE id = p_pre_registered_id
+    FOR UPDATE;
+
+    IF NOT FOUND OR NOT EXISTS (
+        SELECT 1 FROM events
+        WHERE id = v_pre.event_id
+          AND organization_id = public.user_organization_id()
+    ) THEN
+        RAISE EXCEPTION 'Pre-registered participant not found';
+    END IF;
+
+    -- A registration whose participant was since deleted no longer counts
+    IF v_pre.is_registered AND v_pre.registered_participant_id IS NOT NULL THEN
+        SELECT * INTO v_participant
+        FROM participants
+        WHERE id = v_pre.registered_participant_id;
+
+        IF FOUND THEN
+            IF p_session_id IS NOT NULL THEN
+                RETURN public.check_in_session(p_session_id, v_participant.id);
+            END IF;
+
+            SELECT full_name INTO v_registered_by_name
+            FROM users
+            WHERE id = v_participant.registered_by;
+
+            RETURN jsonb_build_object(
+                'status', 'already_registered',
+                'participant_id', v_participant.id,
+                'registered_at', v_participant.registered_at,
+                'registered_by_name', v_registered_by_name
+            );
+        END IF;
+    END IF;
+
+    v_participant := public.create_participant_from_preregistered(v_pre);
+
+    IF p_session_id IS NOT NULL THEN
+        v_checkin := public.check_in_session(p_session_id, v_participant.id);
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'registered',
+        'participant', to_jsonb(v_participant),
+        'checkin', v_checkin -> 'checkin'
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.register_preregistered(UUID, UUID) TO authenticated;
+
+-- =====================================================
+-- COMMENTS
+-- =====================================================
+
+COMMENT ON TABLE event_sessions IS 'Sessions of an event (days, tracks, breakouts) with their own check-in';
+COMMENT ON COLUMN event_sessions.capacity IS 'Seats in the room; shown next to the session attendance';
+COMMENT ON TABLE session_checkins IS 'Attendance per session of participants registered for the event';
+COMMENT ON FUNCTION public.check_in_session IS 'Checks a registered participant into a session; reports who checked them in if they already were';
+COMMENT ON FUNCTION public.register_preregistered IS 'Creates the participant for a pre-registered row and marks it registered in one transaction, optionally checking them into a session; reports earlier registrations or check-ins';
@@ -0,0 +1,385 @@
+-- =====================================================
+-- Migration: Venue Capacity and Check-Out
+-- Description: Optional event capacity, check-out tracking and full-venue checks
+-- =====================================================
+
+-- =====================================================
+-- TABLES
+-- =====================================================
+
+ALTER TABLE events
+    ADD COLUMN capacity INTEGER CHECK (capacity IS NULL OR capacity > 0),
+    ADD COLUMN capacity_warning_percent INTEGER NOT NULL DEFAULT 90
+        CHECK (capacity_warning_percent BETWEEN 1 AND 100);
+
+-- Participants inside the venue are the registered ones without checked_out_at
+ALTER TABLE participants
+    ADD COLUMN checked_out_at TIMESTAMPTZ,
+    ADD COLUMN checked_out_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- =====================================================
+-- INDEXES
+-- =====================================================
+
+CREATE INDEX idx_participants_inside ON participants(event_id) WHERE checked_out_at IS NULL;
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+-- updated_at marks edits of the participant's details (the register page shows
+-- "Edited"); checking out and back in does not count as an edit
+DROP TRIGGER IF EXISTS update_participants_updated_at ON participants;
+
+CREATE TRIGGER update_participants_updated_at
+    BEFORE UPDATE OF full_name, email, dni, area, participant_type, custom_data ON participants
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- FUNCTION: Capacity check
+-- =====================================================
+
+-- Called by the functions below before someone enters. Serializes entries of
+-- the same event so two desks cannot both take the last place.
+-- Returns NULL when the person may enter, otherwise
+-- { status: 'event_full', occupancy, capacity, can_override }.
+-- Admins pass p_override to let people in over capacity.
+CREATE OR REPLACE FUNCTION public.event_capacity_check(
+    p_event_id UUID,
+    p_override BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_capacity INTEGER;
+    v_occupancy INTEGER;
+BEGIN
+    SELECT capacity INTO v_capacity
+    FROM events
+    WHERE id = p_event_id;
+
+    IF v_capacity IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(hashtext('event_capacity:' || p_event_id::TEXT));
+
+    SELECT COUNT(*) INTO v_occupancy
+    FROM participants
+    WHERE event_id = p_event_id
+      AND checked_out_at IS NULL;
+
+    IF v_occupancy < v_capacity OR (p_override AND public.is_admin()) THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'event_full',
+        'occupancy', v_occupancy,
+        'capacity', v_capacity,
+        'can_override', public.is_admin()
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the functions below call it
+REVOKE EXECUTE ON FUNCTION public.event_capacity_check(UUID, BOOLEAN) FROM PUBLIC;
+
+-- =====================================================
+-- FUNCTION: Register a pre-registered participant (capacity aware)
+-- =====================================================
+
+-- Replaces the version from 011_event_sessions.sql
+DROP FUNCTION IF EXISTS public.register_preregistered(UUID, UUID);
+
+-- As before, plus:
+-- - a new registration while the event is full returns the event_capacity_check() result
+-- - someone registered who had checked out re-enters (status 'returned'),
+--   subject to the same capacity check
+-- Returns { status: 'registered', participant, checkin }, { status: 'returned', participant, checkin },
+-- { status: 'already_registered', ... }, { status: 'event_full', ... } or one of the
+-- check_in_session() results.
+CREATE OR REPLACE FUNCTION public.register_preregistered(
+    p_pre_registered_id UUID,
+    p_session_id UUID DEFAULT NULL,
+    p_override BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_pre pre_registered_participants%ROWTYPE;
+    v_participant participants%ROWTYPE;
+    v_registered_by_name TEXT;
+    v_checkin JSONB;
+    v_full JSONB;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    SELECT * INTO v_pre
+    FROM pre_registered_participants
+    WHERE id = p_pre_registered_id
+    FOR UPDATE;
+
+    IF NOT FOUND OR NOT EXISTS (
+        SELECT 1 FROM events
+        WHERE id = v_pre.event_id
+          AND organization_id = public.user_organization_id()
+    ) THEN
+        RAISE EXCEPTION 'Pre-registered participant not found';
+    END IF;
+
+    -- A registration whose participant was since deleted no longer counts
+    IF v_pre.is_registered AND v_pre.registered_participant_id IS NOT NULL THEN
+        SELECT * INTO v_participant
+        FROM participants
+        WHERE id = v_pre.registered_participant_id
+        FOR UPDATE;
+
+        IF FOUND THEN
+            -- Back after checking out
+            IF v_participant.checked_out_at IS NOT NULL THEN
+                v_full := public.event_capacity_check(v_participant.event_id, p_override);
+                IF v_full IS NOT NULL THEN
+                    RETURN v_full;
+                END IF;
+
+                UPDATE participants
+                SET checked_out_at = NULL,
+                    checked_out_by = NULL
+                WHERE id = v_participant.id
+                RETURNING * INTO v_participant;
+
+                IF p_session_id IS NOT NULL THEN
+                    v_checkin := public.check_in_session(p_session_id, v_participant.id);
+                END IF;
+
+                RETURN jsonb_build_object(
+                    'status', 'returned',
+                    'participant', to_jsonb(v_participant),
+                    'checkin', v_checkin -> 'checkin'
+                );
+            END IF;
+
+            IF p_session_id IS NOT NULL THEN
+                RETURN public.check_in_session(p_session_id, v_participant.id);
+            END IF;
+
+            SELECT full_name INTO v_registered_by_name
+            FROM users
+            WHERE id = v_participant.registered_by;
+
+            RETURN jsonb_build_object(
+                'status', 'already_registered',
+                'participant_id', v_participant.id,
+                'registered_at', v_participant.registered_at,
+                'registered_by_name', v_registered_by_name
+            );
+        END IF;
+    END IF;
+
+    v_full := public.event_capacity_check(v_pre.event_id, p_override);
+    IF v_full IS NOT NULL THEN
+        RETURN v_full;
+    END IF;
+
+    v_participant := public.create_participant_from_preregistered(v_pre);
+
+    IF p_session_id IS NOT NULL THEN
+        v_checkin := public.check_in_session(p_session_id, v_participant.id);
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'registered',
+        'participant', to_jsonb(v_participant),
+        'checkin', v_checkin -> 'checkin'
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.register_preregistered(UUID, UUID, BOOLEAN) TO authenticated;
+
+-- =====================================================
+-- FUNCTION: Register a walk-in
+-- =====================================================
+
+-- Quick add goes through here so walk-ins count against the capacity too.
+-- p_participant: { full_name, email, dni, area, participant_type, custom_data }
+-- Returns { status: 'registered', participant } or { status: 'event_full', ... }
+CREATE OR REPLACE FUNCTION public.register_walk_in(
+    p_event_id UUID,
+    p_participant JSONB,
+    p_override BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_participant participants%ROWTYPE;
+    v_full JSONB;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM events
+        WHERE id = p_event_id
+          AND organization_id = public.user_organization_id()
+          AND is_deleted = FALSE
+    ) THEN
+        RAISE EXCEPTION 'Event not found';
+    END IF;
+
+    v_full := public.event_capacity_check(p_event_id, p_override);
+    IF v_full IS NOT NULL THEN
+        RETURN v_full;
+    END IF;
+
+    INSERT INTO participants (
+        event_id,
+        registered_by,
+        participant_type,
+        full_name,
+        email,
+        dni,
+        area,
+        custom_data
+    )
+    VALUES (
+        p_event_id,
+        auth.uid(),
+        COALESCE(NULLIF(p_participant ->> 'participant_type', ''), 'participant')::participant_type,
+        p_participant ->> 'full_name',
+        p_participant ->> 'email',
+        NULLIF(TRIM(p_participant ->> 'dni'), ''),
+        p_participant ->> 'area',
+        COALESCE(p_participant -> 'custom_data', '{}'::jsonb)
+    )
+    RETURNING * INTO v_participant;
+
+    RETURN jsonb_build_object(
+        'status', 'registered',
+        'participant', to_jsonb(v_participant)
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.register_walk_in(UUID, JSONB, BOOLEAN) TO authenticated;
+
+-- =====================================================
+-- FUNCTIONS: Check out and re-enter
+-- =====================================================
+
+-- Returns { status: 'checked_out', participant } or
+-- { status: 'already_checked_out', participant_id, checked_out_at }
+CREATE OR REPLACE FUNCTION public.check_out_participant(p_participant_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    v_participant participants%ROWTYPE;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    SELECT * INTO v_participant
+    FROM participants
+    WHERE id = p_participant_id
+    FOR UPDATE;
+
+    IF NOT FOUND OR NOT EXISTS (
+        SELECT 1 FROM events
+        WHERE id = v_participant.event_id
+          AND organization_id = public.user_organization_id()
+    ) THEN
+        RAISE EXCEPTION 'Participant not found';
+    END IF;
+
+    IF v_participant.checked_out_at IS NOT NULL THEN
+        RETURN jsonb_build_object(
+            'status', 'already_checked_out',
+            'participant_id', v_participant.id,
+            'checked_out_at', v_participant.checked_out_at
+        );
+    END IF;
+
+    UPDATE participants
+    SET checked_out_at = NOW(),
+        checked_out_by = auth.uid()
+    WHERE id = v_participant.id
+    RETURNING * INTO v_participant;
+
+    RETURN jsonb_build_object(
+        'status', 'checked_out',
+        'participant', to_jsonb(v_participant)
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.check_out_participant(UUID) TO authenticated;
+
+-- Returns { status: 'returned', participant }, { status: 'already_inside', participant_id }
+-- or { status: 'event_full', ... }
+CREATE OR REPLACE FUNCTION public.readmit_participant(
+    p_participant_id UUID,
+    p_override BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_participant participants%ROWTYPE;
+    v_full JSONB;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    SELECT * INTO v_participant
+    FROM participants
+    WHERE id = p_participant_id
+    FOR UPDATE;
+
+    IF NOT FOUND OR NOT EXISTS (
+        SELECT 1 FROM events
+        WHERE id = v_participant.event_id
+          AND organization_id = public.user_organization_id()
+    ) THEN
+        RAISE EXCEPTION 'Participant not found';
+    END IF;
+
+    IF v_participant.checked_out_at IS NULL THEN
+        RETURN jsonb_build_object(
+            'status', 'already_inside',
+            'participant_id', v_participant.id
+        );
+    END IF;
+
+    v_full := public.event_capacity_check(v_participant.event_id, p_override);
+    IF v_full IS NOT NULL THEN
+        RETURN v_full;
+    END IF;
+
+    UPDATE participants
+    SET checked_out_at = NULL,
+        checked_out_by = NULL
+    WHERE id = v_participant.id
+    RETURNING * INTO v_participant;
+
+    RETURN jsonb_build_object(
+        'status', 'returned',
+        'participant', to_jsonb(v_participant)
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.readmit_participant(UUID, BOOLEAN) TO authenticated;
+
+-- =====================================================
+-- COMMENTS
+-- =====================================================
+
+COMMENT ON COLUMN events.capacity IS 'Maximum number of people inside at once (fire-code limit); NULL for no limit';
+COMMENT ON COLUMN events.capacity_warning_percent IS 'Occupancy percentage at which the register page starts warning';
+COMMENT ON COLUMN participants.checked_out_at IS 'When the participant left the venue; NULL while inside';
+COMMENT ON FUNCTION public.event_capacity_check IS 'Locks the event''s entries and reports whether it is full; admins can override';
+COMMENT ON FUNCTION public.register_preregistered IS 'Creates the participant for a pre-registered row and marks it registered in one transaction, optionally checking them into a session; re-admits people who checked out, enforces the event capacity and reports earlier registrations or check-ins';
+COMMENT ON FUNCTION public.register_walk_in IS 'Registers a participant without pre-registration, enforcing the event capacity';
+COMMENT ON FUNCTION public.check_out_participant IS 'Marks a participant as having left the venue';
+COMMENT ON FUNCTION public.readmit_participant IS 'Lets a checked-out participant back in, enforcing the event capacity';
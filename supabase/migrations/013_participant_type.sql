@@ -0,0 +1,141 @@
+-- =====================================================
+-- Migration: Participant Type
+-- Description: Participant type (lead, participant, attendee) imported with the
+--              pre-registration and chosen at the desk
+-- =====================================================
+
+-- =====================================================
+-- TABLES
+-- =====================================================
+
+-- Type from the imported list; NULL when the file has no type column
+ALTER TABLE pre_registered_participants
+    ADD COLUMN participant_type participant_type;
+
+-- participant_type is now a mapped import column, so custom fields cannot use the key
+ALTER TABLE event_fields
+    DROP CONSTRAINT IF EXISTS event_fields_field_key_check;
+
+ALTER TABLE event_fields
+    ADD CONSTRAINT event_fields_field_key_check CHECK (
+        field_key ~ '^[a-z][a-z0-9_]*$'
+        AND field_key NOT IN ('full_name', 'email', 'dni', 'area', 'participant_type', 'identifier_value')
+    );
+
+-- =====================================================
+-- FUNCTION: Register a pre-registered participant (with type)
+-- =====================================================
+
+-- Replaces the version from 012_venue_capacity.sql
+DROP FUNCTION IF EXISTS public.register_preregistered(UUID, UUID, BOOLEAN);
+
+-- As before; a new participant gets p_participant_type when the desk chose one,
+-- otherwise the type from the imported list, otherwise 'participant'.
+-- Earlier registrations keep their type (edit the participant to change it).
+CREATE OR REPLACE FUNCTION public.register_preregistered(
+    p_pre_registered_id UUID,
+    p_session_id UUID DEFAULT NULL,
+    p_override BOOLEAN DEFAULT FALSE,
+    p_participant_type participant_type DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_pre pre_registered_participants%ROWTYPE;
+    v_participant participants%ROWTYPE;
+    v_registered_by_name TEXT;
+    v_checkin JSONB;
+    v_full JSONB;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    SELECT * INTO v_pre
+    FROM pre_registered_participants
+    WHERE id = p_pre_registered_id
+    FOR UPDATE;
+
+    IF NOT FOUND OR NOT EXISTS (
+        SELECT 1 FROM events
+        WHERE id = v_pre.event_id
+          AND organization_id = public.user_organization_id()
+    ) THEN
+        RAISE EXCEPTION 'Pre-registered participant not found';
+    END IF;
+
+    -- A registration whose participant was since deleted no longer counts
+    IF v_pre.is_registered AND v_pre.registered_participant_id IS NOT NULL THEN
+        SELECT * INTO v_participant
+        FROM participants
+        WHERE id = v_pre.registered_participant_id
+        FOR UPDATE;
+
+        IF FOUND THEN
+            -- Back after checking out
+            IF v_participant.checked_out_at IS NOT NULL THEN
+                v_full := public.event_capacity_check(v_participant.event_id, p_override);
+                IF v_full IS NOT NULL THEN
+                    RETURN v_full;
+                END IF;
+
+                UPDATE participants
+                SET checked_out_at = NULL,
+                    checked_out_by = NULL
+                WHERE id = v_participant.id
+                RETURNING * INTO v_participant;
+
+                IF p_session_id IS NOT NULL THEN
+                    v_checkin := public.check_in_session(p_session_id, v_participant.id);
+                END IF;
+
+                RETURN jsonb_build_object(
+                    'status', 'returned',
+                    'participant', to_jsonb(v_participant),
+                    'checkin', v_checkin -> 'checkin'
+                );
+            END IF;
+
+            IF p_session_id IS NOT NULL THEN
+                RETURN public.check_in_session(p_session_id, v_participant.id);
+            END IF;
+
+            SELECT full_name INTO v_registered_by_name
+            FROM users
+            WHERE id = v_participant.registered_by;
+
+            RETURN jsonb_build_object(
+                'status', 'already_registered',
+                'participant_id', v_participant.id,
+                'registered_at', v_participant.registered_at,
+                'registered_by_name', v_registered_by_name
+            );
+        END IF;
+    END IF;
+
+    v_full := public.event_capacity_check(v_pre.event_id, p_override);
+    IF v_full IS NOT NULL THEN
+        RETURN v_full;
+    END IF;
+
+    v_participant := public.create_participant_from_preregistered(v_pre, COALESCE(p_participant_type, v_pre.participant_type));
+
+    IF p_session_id IS NOT NULL THEN
+        v_checkin := public.check_in_session(p_session_id, v_participant.id);
+    END IF;
+
+    RETURN jsonb_build_object(
+        'status', 'registered',
+        'participant', to_jsonb(v_participant),
+        'checkin', v_checkin -> 'checkin'
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.register_preregistered(UUID, UUID, BOOLEAN, participant_type) TO authenticated;
+
+-- =====================================================
+-- COMMENTS
+-- =====================================================
+
+COMMENT ON COLUMN pre_registered_participants.participant_type IS 'Participant type from the imported list; copied to the participant on registration';
+COMMENT ON FUNCTION public.register_preregistered IS 'Creates the participant for a pre-registered row and marks it registered in one transaction, optionally checking them into a session and setting the participant type; re-admits people who checked out, enforces the event capacity and reports earlier registrations or check-ins';
@@ -0,0 +1,188 @@
+-- =====================================================
+-- Migration: Fuzzy Search
+-- Description: Accent-insensitive, typo-tolerant search over pre-registered
+--              and registered participants, ranked by closeness
+-- =====================================================
+
+-- Supabase keeps extensions in the extensions schema
+CREATE SCHEMA IF NOT EXISTS extensions;
+CREATE EXTENSION IF NOT EXISTS unaccent WITH SCHEMA extensions;
+CREATE EXTENSION IF NOT EXISTS pg_trgm WITH SCHEMA extensions;
+
+-- =====================================================
+-- FUNCTIONS: Normalization
+-- =====================================================
+
+-- Lowercase, without accents, punctuation as spaces: 'José  Núñez (CTO)' -> 'jose nunez cto'.
+-- unaccent() is only STABLE (its dictionary could change); naming the dictionary
+-- makes this wrapper safe to declare IMMUTABLE, which indexes and generated columns need.
+CREATE OR REPLACE FUNCTION public.search_normalize(p_text TEXT)
+RETURNS TEXT AS $$
+    SELECT TRIM(REGEXP_REPLACE(
+        LOWER(extensions.unaccent('extensions.unaccent'::regdictionary, COALESCE(p_text, ''))),
+        '[^[:alnum:]@._-]+', ' ', 'g'
+    ));
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE;
+
+-- Searchable text of a person. Document numbers are also stored without dots,
+-- dashes and spaces so '12.345.678' is found as '12345678' and the other way round.
+CREATE OR REPLACE FUNCTION public.search_document(
+    p_full_name TEXT,
+    p_email TEXT,
+    p_dni TEXT,
+    p_identifier_value TEXT
+)
+RETURNS TEXT AS $$
+    SELECT public.search_normalize(CONCAT_WS(' ',
+        p_full_name,
+        p_email,
+        p_dni,
+        REGEXP_REPLACE(p_dni, '[\s.-]', '', 'g'),
+        p_identifier_value,
+        REGEXP_REPLACE(p_identifier_value, '[\s.-]', '', 'g')
+    ));
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE;
+
+-- LIKE patterns requiring every word of a normalized query, in any order
+-- ('nunez jose' finds 'jose nunez'). '_' is the only LIKE wildcard left after
+-- search_normalize(), so it is escaped.
+CREATE OR REPLACE FUNCTION public.search_patterns(p_query TEXT)
+RETURNS TEXT[] AS $$
+    SELECT COALESCE(ARRAY_AGG('%' || REPLACE(word, '_', '\_') || '%'), ARRAY[]::TEXT[])
+    FROM UNNEST(STRING_TO_ARRAY(p_query, ' ')) AS word
+    WHERE word <> '';
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE;
+
+-- Closeness of a document to a normalized query, highest first:
+-- 3 the query is whole words of it (an exact name, email or DNI), 2 it starts a word,
+-- 1.5 it appears anywhere, 1 all its words appear in another order; plus the
+-- trigram word similarity (0-1), which orders typos and breaks ties.
+CREATE OR REPLACE FUNCTION public.search_rank(p_query TEXT, p_document TEXT)
+RETURNS REAL AS $$
+    SELECT (CASE
+        WHEN ' ' || p_document || ' ' LIKE '% ' || REPLACE(p_query, '_', '\_') || ' %' THEN 3
+        WHEN ' ' || p_document LIKE '% ' || REPLACE(p_query, '_', '\_') || '%' THEN 2
+        WHEN p_document LIKE '%' || REPLACE(p_query, '_', '\_') || '%' THEN 1.5
+        WHEN p_document LIKE ALL (public.search_patterns(p_query)) THEN 1
+        ELSE 0
+    END + extensions.word_similarity(p_query, p_document))::REAL;
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE;
+
+-- =====================================================
+-- TABLES
+-- =====================================================
+
+ALTER TABLE pre_registered_participants
+    ADD COLUMN search_text TEXT GENERATED ALWAYS AS (
+        public.search_document(full_name, email, dni, identifier_value)
+    ) STORED;
+
+ALTER TABLE participants
+    ADD COLUMN search_text TEXT GENERATED ALWAYS AS (
+        public.search_document(full_name, email, dni, NULL)
+    ) STORED;
+
+-- =====================================================
+-- INDEXES
+-- =====================================================
+
+CREATE INDEX idx_prereg_search_text ON pre_registered_participants
+    USING GIN (search_text extensions.gin_trgm_ops);
+
+CREATE INDEX idx_participants_search_text ON participants
+    USING GIN (search_text extensions.gin_trgm_ops);
+
+-- =====================================================
+-- FUNCTIONS: Search
+-- =====================================================
+
+-- Pre-registered people of an event matching p_query, closest first.
+-- A row matches when it contains every word of the query (accents, case and
+-- word order ignored) or, for queries of 4+ characters, is trigram-similar
+-- enough to catch typos. The query is only ever used as a value, never
+-- spliced into SQL or a filter expression.
+CREATE OR REPLACE FUNCTION public.search_preregistered(
+    p_event_id UUID,
+    p_query TEXT,
+    p_include_registered BOOLEAN DEFAULT FALSE,
+    p_limit INTEGER DEFAULT 50
+)
+RETURNS SETOF pre_registered_participants AS $$
+DECLARE
+    v_query TEXT := public.search_normalize(p_query);
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM events
+        WHERE id = p_event_id
+          AND organization_id = public.user_organization_id()
+    ) THEN
+        RAISE EXCEPTION 'Event not found';
+    END IF;
+
+    IF v_query = '' THEN
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    SELECT p.*
+    FROM pre_registered_participants p
+    WHERE p.event_id = p_event_id
+      AND (p_include_registered OR NOT p.is_registered)
+      AND (
+          p.search_text LIKE ALL (public.search_patterns(v_query))
+          OR (LENGTH(v_query) >= 4 AND v_query <% p.search_text)
+      )
+    ORDER BY public.search_rank(v_query, p.search_text) DESC, p.full_name
+    LIMIT LEAST(GREATEST(COALESCE(p_limit, 50), 1), 200);
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public, extensions;
+
+GRANT EXECUTE ON FUNCTION public.search_preregistered(UUID, TEXT, BOOLEAN, INTEGER) TO authenticated;
+
+-- Registered participants of an event matching p_query, closest first (same rules)
+CREATE OR REPLACE FUNCTION public.search_participants(
+    p_event_id UUID,
+    p_query TEXT,
+    p_limit INTEGER DEFAULT 200
+)
+RETURNS SETOF participants AS $$
+DECLARE
+    v_query TEXT := public.search_normalize(p_query);
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM events
+        WHERE id = p_event_id
+          AND organization_id = public.user_organization_id()
+    ) THEN
+        RAISE EXCEPTION 'Event not found';
+    END IF;
+
+    IF v_query = '' THEN
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    SELECT p.*
+    FROM participants p
+    WHERE p.event_id = p_event_id
+      AND (
+          p.search_text LIKE ALL (public.search_patterns(v_query))
+          OR (LENGTH(v_query) >= 4 AND v_query <% p.search_text)
+      )
+    ORDER BY public.search_rank(v_query, p.search_text) DESC, p.full_name
+    LIMIT LEAST(GREATEST(COALESCE(p_limit, 200), 1), 1000);
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public, extensions;
+
+GRANT EXECUTE ON FUNCTION public.search_participants(UUID, TEXT, INTEGER) TO authenticated;
+
+-- =====================================================
+-- COMMENTS
+-- =====================================================
+
+COMMENT ON FUNCTION public.search_normalize IS 'Lowercase, unaccented, punctuation-free text for search; immutable so it can back indexes';
+COMMENT ON FUNCTION public.search_rank IS 'Closeness of a search document to a normalized query (higher is closer)';
+COMMENT ON COLUMN pre_registered_participants.search_text IS 'Normalized name, email, DNI and identifier used by search_preregistered()';
+COMMENT ON COLUMN participants.search_text IS 'Normalized name, email and DNI used by search_participants()';
+COMMENT ON FUNCTION public.search_preregistered IS 'Accent-insensitive, typo-tolerant search of an event''s pre-registration list, ranked by closeness';
+COMMENT ON FUNCTION public.search_participants IS 'Accent-insensitive, typo-tolerant search of an event''s registered participants, ranked by closeness';
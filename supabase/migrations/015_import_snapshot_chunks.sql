@@ -0,0 +1,52 @@
+-- =====================================================
+-- Migration: Import Snapshot Chunks
+-- Description: Stores the restore snapshot of an import in batches, written after
+--              the import's rows, instead of one large imports.records value
+-- =====================================================
+
+-- =====================================================
+-- TABLES
+-- =====================================================
+
+-- One row per batch of the imported rows; chunk_index orders them
+CREATE TABLE import_snapshot_chunks (
+    import_id UUID NOT NULL REFERENCES imports(id) ON DELETE CASCADE,
+    chunk_index INTEGER NOT NULL CHECK (chunk_index >= 0),
+    records JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (import_id, chunk_index)
+);
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+
+ALTER TABLE import_snapshot_chunks ENABLE ROW LEVEL SECURITY;
+
+-- Users can view snapshots of imports for events in their organization
+CREATE POLICY "Users can view import snapshots in their organization"
+    ON import_snapshot_chunks FOR SELECT
+    USING (
+        import_id IN (
+            SELECT imports.id FROM imports
+            JOIN events ON events.id = imports.event_id
+            WHERE events.organization_id = public.user_organization_id()
+        )
+    );
+
+-- Uploaders write the snapshot of their own imports
+CREATE POLICY "Users can write snapshots of their own imports"
+    ON import_snapshot_chunks FOR INSERT
+    WITH CHECK (
+        import_id IN (
+            SELECT id FROM imports
+            WHERE uploaded_by = auth.uid()
+        )
+    );
+
+-- =====================================================
+-- COMMENTS
+-- =====================================================
+
+COMMENT ON TABLE import_snapshot_chunks IS 'Snapshot of the imported rows in batches, used to restore an import later';
+COMMENT ON COLUMN imports.records IS 'Snapshot of the imported rows for imports made before import_snapshot_chunks; newer imports leave it empty';
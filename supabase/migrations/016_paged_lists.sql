@@ -0,0 +1,145 @@
+-- =====================================================
+-- Migration: Paged Lists
+-- Description: Server-side filtering, sorting and lookups so the register page
+--              loads one page of each list instead of every row of the event
+-- =====================================================
+
+-- =====================================================
+-- FUNCTIONS: Helpers
+-- =====================================================
+
+-- Comparison key for scanned IDs: scanners and spreadsheets disagree on dots,
+-- dashes, spaces and case ('12.345.678' and '12345678' are the same document)
+CREATE OR REPLACE FUNCTION public.scan_key(p_value TEXT)
+RETURNS TEXT AS $$
+    SELECT LOWER(REGEXP_REPLACE(COALESCE(p_value, ''), '[\s.-]', '', 'g'));
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE;
+
+-- =====================================================
+-- INDEXES
+-- =====================================================
+
+-- Sort orders of the two tables (newest first is the default of both)
+CREATE INDEX idx_prereg_event_uploaded ON pre_registered_participants(event_id, uploaded_at DESC, id);
+CREATE INDEX idx_prereg_event_name ON pre_registered_participants(event_id, full_name, id);
+CREATE INDEX idx_participants_event_registered ON participants(event_id, registered_at DESC, id);
+CREATE INDEX idx_participants_event_name ON participants(event_id, full_name, id);
+
+-- Scanner lookups
+CREATE INDEX idx_prereg_scan_dni ON pre_registered_participants(event_id, public.scan_key(dni));
+CREATE INDEX idx_prereg_scan_identifier ON pre_registered_participants(event_id, public.scan_key(identifier_value));
+CREATE INDEX idx_participants_scan_dni ON participants(event_id, public.scan_key(dni));
+
+-- =====================================================
+-- FUNCTIONS: Lists
+-- =====================================================
+
+-- Pre-registered people who still need an action at the desk: not registered yet
+-- or, with a session, registered but not checked into it. Runs with the caller's
+-- rights (RLS applies); the client adds the sort and the page range, e.g.
+-- rpc('preregistered_awaiting_checkin', {...}, { count: 'exact' }).order('full_name').range(0, 499)
+CREATE OR REPLACE FUNCTION public.preregistered_awaiting_checkin(
+    p_event_id UUID,
+    p_session_id UUID DEFAULT NULL
+)
+RETURNS SETOF pre_registered_participants AS $$
+    SELECT p.*
+    FROM pre_registered_participants p
+    WHERE p.event_id = p_event_id
+      AND (
+          NOT p.is_registered
+          OR (p_session_id IS NOT NULL AND NOT EXISTS (
+              SELECT 1 FROM session_checkins c
+              WHERE c.session_id = p_session_id
+                AND c.participant_id = p.registered_participant_id
+          ))
+      );
+$$ LANGUAGE sql STABLE SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.preregistered_awaiting_checkin(UUID, UUID) TO authenticated;
+
+-- =====================================================
+-- FUNCTIONS: Scanner lookups
+-- =====================================================
+
+-- Pre-registered rows whose DNI or identifier is the scanned code (caller's rights)
+CREATE OR REPLACE FUNCTION public.scan_preregistered(p_event_id UUID, p_code TEXT)
+RETURNS SETOF pre_registered_participants AS $$
+    SELECT p.*
+    FROM pre_registered_participants p
+    WHERE p.event_id = p_event_id
+      AND public.scan_key(p_code) <> ''
+      AND (public.scan_key(p.dni) = public.scan_key(p_code)
+           OR public.scan_key(p.identifier_value) = public.scan_key(p_code))
+    LIMIT 10;
+$$ LANGUAGE sql STABLE SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.scan_preregistered(UUID, TEXT) TO authenticated;
+
+-- Registered participants whose DNI is the scanned code (caller's rights)
+CREATE OR REPLACE FUNCTION public.scan_participants(p_event_id UUID, p_code TEXT)
+RETURNS SETOF participants AS $$
+    SELECT p.*
+    FROM participants p
+    WHERE p.event_id = p_event_id
+      AND public.scan_key(p_code) <> ''
+      AND public.scan_key(p.dni) = public.scan_key(p_code)
+    LIMIT 10;
+$$ LANGUAGE sql STABLE SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.scan_participants(UUID, TEXT) TO authenticated;
+
+-- =====================================================
+-- FUNCTIONS: Search
+-- =====================================================
+
+-- Same as 014_fuzzy_search.sql, plus area and custom field values, which the
+-- registered tab used to match in the browser over the full list. Those rows
+-- follow the name, email and DNI matches.
+CREATE OR REPLACE FUNCTION public.search_participants(
+    p_event_id UUID,
+    p_query TEXT,
+    p_limit INTEGER DEFAULT 200
+)
+RETURNS SETOF participants AS $$
+DECLARE
+    v_query TEXT := public.search_normalize(p_query);
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM events
+        WHERE id = p_event_id
+          AND organization_id = public.user_organization_id()
+    ) THEN
+        RAISE EXCEPTION 'Event not found';
+    END IF;
+
+    IF v_query = '' THEN
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    SELECT p.*
+    FROM participants p
+    WHERE p.event_id = p_event_id
+      AND (
+          p.search_text LIKE ALL (public.search_patterns(v_query))
+          OR (LENGTH(v_query) >= 4 AND v_query <% p.search_text)
+          OR public.search_normalize(CONCAT_WS(' ',
+                 p.area,
+                 (SELECT STRING_AGG(value, ' ') FROM JSONB_EACH_TEXT(p.custom_data))
+             )) LIKE ALL (public.search_patterns(v_query))
+      )
+    ORDER BY public.search_rank(v_query, p.search_text) DESC, p.full_name
+    LIMIT LEAST(GREATEST(COALESCE(p_limit, 200), 1), 1000);
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public, extensions;
+
+-- =====================================================
+-- COMMENTS
+-- =====================================================
+
+COMMENT ON FUNCTION public.scan_key IS 'Scanned ID without dots, dashes, spaces or case, for exact scanner matches';
+COMMENT ON FUNCTION public.preregistered_awaiting_checkin IS 'Pre-registered people still to register (or to check into p_session_id); sorted and paged by the caller';
+COMMENT ON FUNCTION public.scan_preregistered IS 'Pre-registered rows whose DNI or identifier matches a scanned code';
+COMMENT ON FUNCTION public.scan_participants IS 'Registered participants whose DNI matches a scanned code';
+COMMENT ON FUNCTION public.search_participants IS 'Accent-insensitive, typo-tolerant search of an event''s registered participants (name, email, DNI, then area and custom fields), ranked by closeness';
@@ -0,0 +1,113 @@
+-- =====================================================
+-- Migration: Rate Limit Settings
+-- Description: Keep the per-action limits in the database so callers of
+--              check_rate_limit() can no longer choose their own limits
+-- =====================================================
+
+-- =====================================================
+-- TABLES
+-- =====================================================
+
+-- Limits per rate-limited action; edited by the service role only
+CREATE TABLE rate_limit_settings (
+    action TEXT PRIMARY KEY,
+    user_limit INTEGER NOT NULL CHECK (user_limit > 0),
+    org_limit INTEGER NOT NULL CHECK (org_limit > 0),
+    window_seconds INTEGER NOT NULL CHECK (window_seconds > 0),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- AI file analyses: 20 per user and 100 per organization per rolling hour
+INSERT INTO rate_limit_settings (action, user_limit, org_limit, window_seconds)
+VALUES ('process-excel', 20, 100, 3600);
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+
+-- No policies: the limits are only read through check_rate_limit()
+ALTER TABLE rate_limit_settings ENABLE ROW LEVEL SECURITY;
+
+-- =====================================================
+-- FUNCTION: Check and record a rate-limited request
+-- =====================================================
+
+-- The old signature took the limits from the caller
+DROP FUNCTION IF EXISTS public.check_rate_limit(TEXT, INTEGER, INTEGER, INTEGER);
+
+-- Returns { allowed: true, remaining } and records the request, or
+-- { allowed: false, scope: 'user'|'organization', retry_after: seconds }
+CREATE OR REPLACE FUNCTION public.check_rate_limit(p_action TEXT)
+RETURNS JSONB AS $$
+DECLARE
+    v_user_id UUID := auth.uid();
+    v_org_id UUID := public.user_organization_id();
+    v_settings rate_limit_settings%ROWTYPE;
+    v_window INTERVAL;
+    v_user_count INTEGER;
+    v_user_oldest TIMESTAMPTZ;
+    v_org_count INTEGER;
+    v_org_oldest TIMESTAMPTZ;
+BEGIN
+    IF v_user_id IS NULL OR v_org_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    SELECT * INTO v_settings FROM rate_limit_settings WHERE action = p_action;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Unknown rate-limited action: %', p_action;
+    END IF;
+
+    v_window := make_interval(secs => v_settings.window_seconds);
+
+    -- Serialize checks per organization so concurrent requests cannot all slip under the limit
+    PERFORM pg_advisory_xact_lock(hashtext('rate_limit:' || p_action || ':' || v_org_id::TEXT));
+
+    DELETE FROM api_rate_limits
+    WHERE action = p_action
+      AND organization_id = v_org_id
+      AND created_at < NOW() - v_window;
+
+    SELECT COUNT(*), MIN(created_at) INTO v_user_count, v_user_oldest
+    FROM api_rate_limits
+    WHERE action = p_action AND user_id = v_user_id;
+
+    IF v_user_count >= v_settings.user_limit THEN
+        RETURN jsonb_build_object(
+            'allowed', FALSE,
+            'scope', 'user',
+            'retry_after', GREATEST(1, CEIL(EXTRACT(EPOCH FROM (v_user_oldest + v_window - NOW()))))::INTEGER
+        );
+    END IF;
+
+    SELECT COUNT(*), MIN(created_at) INTO v_org_count, v_org_oldest
+    FROM api_rate_limits
+    WHERE action = p_action AND organization_id = v_org_id;
+
+    IF v_org_count >= v_settings.org_limit THEN
+        RETURN jsonb_build_object(
+            'allowed', FALSE,
+            'scope', 'organization',
+            'retry_after', GREATEST(1, CEIL(EXTRACT(EPOCH FROM (v_org_oldest + v_window - NOW()))))::INTEGER
+        );
+    END IF;
+
+    INSERT INTO api_rate_limits (action, user_id, organization_id)
+    VALUES (p_action, v_user_id, v_org_id);
+
+    RETURN jsonb_build_object(
+        'allowed', TRUE,
+        'remaining', LEAST(v_settings.user_limit - v_user_count, v_settings.org_limit - v_org_count) - 1
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.check_rate_limit(TEXT) TO authenticated;
+
+-- =====================================================
+-- COMMENTS
+-- =====================================================
+
+COMMENT ON TABLE rate_limit_settings IS 'Per-user and per-organization request limits of each rate-limited action';
+COMMENT ON FUNCTION public.check_rate_limit IS 'Checks the caller''s per-user and per-organization limits for an action (from rate_limit_settings) and records the request when allowed';
@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectColumns, crossCheckMapping, normalize } = require('../netlify/functions/lib/column-detector');
+
+const COLUMNS = ['Nombre Completo', 'Correo', 'DNI', 'Departamento', 'Tipo'];
+const ROWS = [
+  { 'Nombre Completo': 'Ana Torres', 'Correo': 'ana@example.com', 'DNI': '12345678', 'Departamento': 'Ventas', 'Tipo': 'Ponente' },
+  { 'Nombre Completo': 'Luis Gómez', 'Correo': 'luis@example.com', 'DNI': '87654321', 'Departamento': 'IT', 'Tipo': 'Asistente' }
+];
+
+// Warning messages by field
+function warningsByField(warnings) {
+  return Object.fromEntries(warnings.map(warning => [warning.field, warning.message]));
+}
+
+test('normalize lowercases, strips accents and turns punctuation into spaces', () => {
+  assert.equal(normalize('  Correo-Electrónico '), 'correo electronico');
+});
+
+test('detectColumns maps Spanish headers and prefers the DNI as identifier', () => {
+  const analysis = detectColumns(COLUMNS, ROWS);
+
+  assert.deepEqual(analysis.mappings, {
+    dni: 'DNI',
+    email: 'Correo',
+    full_name: 'Nombre Completo',
+    area: 'Departamento',
+    participant_type: 'Tipo'
+  });
+  assert.equal(analysis.identifier_type, 'dni');
+  assert.equal(analysis.identifier_column, 'DNI');
+  assert.equal(analysis.confidence.dni, 1);
+});
+
+test('detectColumns recognizes unnamed columns from their values', () => {
+  const analysis = detectColumns(['Col A', 'Col B'], [
+    { 'Col A': 'ana@example.com', 'Col B': 'Ana Torres' },
+    { 'Col A': 'luis@example.com', 'Col B': 'Luis Gómez' }
+  ]);
+
+  assert.equal(analysis.mappings.email, 'Col A');
+  assert.equal(analysis.mappings.full_name, 'Col B');
+  assert.equal(analysis.mappings.dni, null);
+  assert.equal(analysis.identifier_type, 'email');
+  assert.equal(analysis.identifier_column, 'Col A');
+});
+
+test('detectColumns maps custom fields by label', () => {
+  const customFields = [{ field_key: 'shirt', label: 'Talla camiseta', field_type: 'select', options: ['S', 'M', 'L'] }];
+  const analysis = detectColumns(['Nombre', 'Talla camiseta'], [{ 'Nombre': 'Ana Torres', 'Talla camiseta': 'M' }], customFields);
+
+  assert.equal(analysis.mappings.shirt, 'Talla camiseta');
+  assert.equal(analysis.mappings.full_name, 'Nombre');
+  assert.equal(analysis.identifier_type, 'name');
+});
+
+test('crossCheckMapping replaces missing columns and warns about mismatches', () => {
+  const columns = [...COLUMNS, 'Apellido'];
+  const rows = ROWS.map(row => ({ ...row, 'Apellido': 'Torres' }));
+  const { analysis, warnings } = crossCheckMapping({
+    identifier_type: 'dni',
+    identifier_column: 'Documento',
+    mappings: { full_name: 'Apellido', email: 'Nombre Completo', dni: 'Nope', invented: 'Correo' }
+  }, columns, rows);
+
+  assert.equal(analysis.mappings.dni, 'DNI');
+  assert.equal(analysis.identifier_column, 'DNI');
+  assert.equal('invented' in analysis.mappings, false);
+
+  const byField = warningsByField(warnings);
+  assert.deepEqual(Object.keys(byField).sort(), ['dni', 'email', 'full_name', 'identifier']);
+  assert.match(byField.full_name, /surname-only/);
+  assert.match(byField.email, /not email addresses/);
+});
+
+test('crossCheckMapping keeps a mapping that matches the file', () => {
+  const { analysis, warnings } = crossCheckMapping(detectColumns(COLUMNS, ROWS), COLUMNS, ROWS);
+
+  assert.deepEqual(warnings, []);
+  assert.equal(analysis.mappings.email, 'Correo');
+});
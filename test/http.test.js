@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { HttpError, corsHeaders, jsonResponse, errorResponse } = require('../netlify/functions/lib/http');
+const { authorizeEventRequest, enforceRateLimit } = require('../netlify/functions/lib/auth');
+
+// Set environment variables for one test
+function withEnv(t, values) {
+  const previous = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+  t.after(() => {
+    Object.entries(previous).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  });
+  Object.entries(values).forEach(([key, value]) => {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  });
+}
+
+// Client whose check_rate_limit RPC answers with result
+function rateLimitClient(result) {
+  const calls = [];
+  return {
+    calls,
+    rpc: async (name, args) => {
+      calls.push([name, args]);
+      return result;
+    }
+  };
+}
+
+test('corsHeaders answers allowed origins only', (t) => {
+  withEnv(t, { ALLOWED_ORIGINS: 'https://app.example.com, https://staging.example.com' });
+
+  const allowed = corsHeaders({ headers: { origin: 'https://staging.example.com' } }, 'POST, OPTIONS');
+  assert.equal(allowed['Access-Control-Allow-Origin'], 'https://staging.example.com');
+  assert.equal(allowed['Access-Control-Allow-Methods'], 'POST, OPTIONS');
+
+  assert.deepEqual(corsHeaders({ headers: { origin: 'https://evil.example.com' } }, 'POST'), {});
+  assert.deepEqual(corsHeaders({ headers: {} }, 'POST'), {});
+});
+
+test('corsHeaders falls back to the site URLs Netlify provides', (t) => {
+  withEnv(t, { ALLOWED_ORIGINS: undefined, URL: 'https://site.example.com', DEPLOY_PRIME_URL: undefined, DEPLOY_URL: undefined });
+
+  const headers = corsHeaders({ headers: { Origin: 'https://site.example.com' } }, 'POST');
+  assert.equal(headers['Access-Control-Allow-Origin'], 'https://site.example.com');
+});
+
+test('errorResponse puts the code, message and details in a JSON body', () => {
+  const error = new HttpError(429, 'rate_limited', 'Slow down', { retryAfter: 60 }, { 'Retry-After': '60' });
+  const response = errorResponse(error, { 'Vary': 'Origin' });
+
+  assert.equal(response.statusCode, 429);
+  assert.equal(response.headers['Content-Type'], 'application/json');
+  assert.equal(response.headers['Retry-After'], '60');
+  assert.equal(response.headers['Vary'], 'Origin');
+  assert.deepEqual(JSON.parse(response.body), { error: 'Slow down', code: 'rate_limited', retryAfter: 60 });
+});
+
+test('jsonResponse serializes the body', () => {
+  assert.deepEqual(jsonResponse(200, { ok: true }), {
+    statusCode: 200,
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"ok":true}'
+  });
+});
+
+test('authorizeEventRequest rejects requests without a bearer token', async () => {
+  await assert.rejects(
+    authorizeEventRequest({ headers: {} }, '11111111-1111-1111-1111-111111111111'),
+    error => error instanceof HttpError && error.statusCode === 401 && error.code === 'unauthenticated'
+  );
+});
+
+test('enforceRateLimit sends only the action to check_rate_limit', async () => {
+  const supabase = rateLimitClient({ data: { allowed: true }, error: null });
+
+  await enforceRateLimit(supabase, 'process-excel');
+
+  assert.deepEqual(supabase.calls, [['check_rate_limit', { p_action: 'process-excel' }]]);
+});
+
+test('enforceRateLimit turns a refusal into a 429 with Retry-After', async () => {
+  const supabase = rateLimitClient({ data: { allowed: false, scope: 'organization', retry_after: 90 }, error: null });
+
+  await assert.rejects(enforceRateLimit(supabase, 'process-excel'), (error) => {
+    assert.equal(error.statusCode, 429);
+    assert.equal(error.code, 'rate_limited');
+    assert.match(error.message, /^Your organization has .* 2 minutes\.$/);
+    assert.deepEqual(error.details, { scope: 'organization', retryAfter: 90 });
+    assert.equal(error.headers['Retry-After'], '90');
+    return true;
+  });
+});
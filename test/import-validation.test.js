@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ImportValidation = require('../public/import-validation');
+
+const ANALYSIS = {
+  identifier_column: 'DNI',
+  mappings: { full_name: 'Nombre', email: 'Correo', dni: 'DNI', area: null, participant_type: 'Tipo', shirt: 'Talla' }
+};
+
+const SHIRT = { field_key: 'shirt', label: 'Shirt size', field_type: 'select', options: ['S', 'M', 'L'] };
+
+// Categories of the issues flagged on each row, by row index
+function issueCategories(report) {
+  return Object.fromEntries(report.rows.map(row => [row.index, row.issues.map(issue => issue.category)]));
+}
+
+test('parseParticipantType maps synonyms in any case and accent', () => {
+  assert.equal(ImportValidation.parseParticipantType('Ponente'), 'lead');
+  assert.equal(ImportValidation.parseParticipantType(' LÍDER '), 'lead');
+  assert.equal(ImportValidation.parseParticipantType('participante'), 'participant');
+  assert.equal(ImportValidation.parseParticipantType('Invitado'), 'attendee');
+  assert.equal(ImportValidation.parseParticipantType('Jefe'), null);
+  assert.equal(ImportValidation.parseParticipantType(null), null);
+});
+
+test('mapRow trims cells, parses the type and fills custom_data', () => {
+  const record = ImportValidation.mapRow(
+    { Nombre: ' Ana Torres ', Correo: 'ana@example.com', DNI: ' 123 ', Tipo: 'Ponente', Talla: 'm' },
+    ANALYSIS,
+    [SHIRT]
+  );
+
+  assert.deepEqual(record, {
+    identifier_value: '123',
+    full_name: 'Ana Torres',
+    email: 'ana@example.com',
+    dni: '123',
+    area: null,
+    participant_type: 'lead',
+    custom_data: { shirt: 'M' }
+  });
+});
+
+test('coerceCustomValue converts cells to the field type', () => {
+  const coerce = ImportValidation.coerceCustomValue;
+
+  assert.deepEqual(coerce('3,5', { field_type: 'number' }), { value: 3.5, valid: true });
+  assert.deepEqual(coerce('many', { field_type: 'number' }), { value: 'many', valid: false });
+  assert.deepEqual(coerce(45292, { field_type: 'date' }), { value: '2024-01-01', valid: true });
+  assert.deepEqual(coerce('31/12/2024', { field_type: 'date' }), { value: '2024-12-31', valid: true });
+  assert.deepEqual(coerce('31/02/2024', { field_type: 'date' }), { value: '31/02/2024', valid: false });
+  assert.deepEqual(coerce('Sí', { field_type: 'checkbox' }), { value: true, valid: true });
+  assert.deepEqual(coerce('XL', SHIRT), { value: 'XL', valid: false });
+  assert.deepEqual(coerce('  ', SHIRT), { value: null, valid: true });
+});
+
+test('validateRows flags each kind of problem', () => {
+  const rows = [
+    { DNI: '123', Correo: 'not-an-email', Nombre: 'Ana' },
+    { DNI: '123', Nombre: 'Luis' },
+    { DNI: ' 123', Nombre: '' },
+    { DNI: '', Nombre: 'Eva', Tipo: 'Jefe' },
+    { DNI: '456', Nombre: 'Sara' }
+  ];
+  const report = ImportValidation.validateRows(rows, ANALYSIS);
+
+  assert.deepEqual(issueCategories(report), {
+    0: ['invalid_email'],
+    1: ['duplicate_identifier'],
+    2: ['variant', 'variant', 'missing_name'],
+    3: ['missing_identifier', 'invalid_type']
+  });
+  assert.equal(report.totals.rows, 5);
+  assert.equal(report.totals.flagged, 4);
+  assert.equal(report.totals.variant, 2);
+});
+
+test('validateRows applies manual fixes before checking', () => {
+  const rows = [{ DNI: '123', Nombre: 'Ana' }, { DNI: '123', Nombre: 'Luis' }];
+  const report = ImportValidation.validateRows(rows, ANALYSIS, { 1: { identifier_value: '124' } });
+
+  assert.deepEqual(report.rows, []);
+});
+
+test('validateRows checks mapped custom fields', () => {
+  const required = { ...SHIRT, is_required: true };
+  const rows = [{ DNI: '1', Nombre: 'Ana', Talla: '' }, { DNI: '2', Nombre: 'Luis', Talla: 'XL' }];
+  const report = ImportValidation.validateRows(rows, ANALYSIS, {}, [required]);
+
+  assert.deepEqual(issueCategories(report), { 0: ['missing_required'], 1: ['invalid_value'] });
+});
+
+test('defaultAction excludes rows with an identifier problem only', () => {
+  assert.equal(ImportValidation.defaultAction([{ category: 'invalid_email' }, { category: 'variant' }]), 'accept');
+  assert.equal(ImportValidation.defaultAction([{ category: 'missing_name' }, { category: 'duplicate_identifier' }]), 'exclude');
+});
+
+test('canAccept refuses rows without an identifier only', () => {
+  assert.equal(ImportValidation.canAccept([{ category: 'duplicate_identifier' }, { category: 'invalid_email' }]), true);
+  assert.equal(ImportValidation.canAccept([{ category: 'missing_name' }, { category: 'missing_identifier' }]), false);
+});
+
+test('cleanRecord collapses whitespace and lowercases the email', () => {
+  const cleaned = ImportValidation.cleanRecord({ identifier_value: ' 12  34 ', full_name: 'Ana   Torres', email: ' Ana@Example.COM ', custom_data: {} });
+
+  assert.equal(cleaned.identifier_value, '12 34');
+  assert.equal(cleaned.full_name, 'Ana Torres');
+  assert.equal(cleaned.email, 'ana@example.com');
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { headerFingerprint, findTemplate, applyTemplate } = require('../netlify/functions/lib/mapping-templates');
+
+const TEMPLATE = {
+  mapping: {
+    identifier_type: 'dni',
+    identifier_column: 'DNI',
+    mappings: { full_name: 'Nombre Completo', email: 'Correo', dni: 'DNI', area: '_sheet', participant_type: 'Rol' }
+  }
+};
+
+test('headerFingerprint ignores order, case, accents and the sheet column', () => {
+  const fingerprint = headerFingerprint(['Nombre', 'Correo Electrónico', 'DNI']);
+
+  assert.equal(headerFingerprint(['dni', 'NOMBRE', 'correo-electronico', '_sheet']), fingerprint);
+  assert.notEqual(headerFingerprint(['Nombre', 'DNI']), fingerprint);
+  assert.match(fingerprint, /^[0-9a-f]{64}$/);
+});
+
+test('applyTemplate resolves the saved columns against this file', () => {
+  const analysis = applyTemplate(TEMPLATE, ['nombre completo', 'CORREO', 'DNI', '_sheet', 'ROL']);
+
+  assert.deepEqual(analysis, {
+    identifier_type: 'dni',
+    identifier_column: 'DNI',
+    mappings: { full_name: 'nombre completo', email: 'CORREO', dni: 'DNI', area: '_sheet', participant_type: 'ROL' },
+    confidence: { full_name: 1, email: 1, dni: 1, area: 1, participant_type: 1 }
+  });
+});
+
+test('applyTemplate drops columns the file does not have', () => {
+  const analysis = applyTemplate(TEMPLATE, ['Nombre Completo', 'DNI']);
+
+  assert.equal(analysis.mappings.email, null);
+  assert.equal(analysis.mappings.area, null);
+  assert.equal(analysis.confidence.email, 0);
+});
+
+test('applyTemplate carries over the event\'s custom fields only', () => {
+  const template = { mapping: { ...TEMPLATE.mapping, mappings: { ...TEMPLATE.mapping.mappings, shirt: 'Talla', gone: 'Talla' } } };
+  const analysis = applyTemplate(template, ['Nombre Completo', 'DNI', 'Talla'], [{ field_key: 'shirt' }]);
+
+  assert.equal(analysis.mappings.shirt, 'Talla');
+  assert.equal('gone' in analysis.mappings, false);
+});
+
+test('applyTemplate gives up without the identifier column', () => {
+  assert.equal(applyTemplate(TEMPLATE, ['Nombre Completo', 'Correo']), null);
+});
+
+test('findTemplate looks the fingerprint up through the caller client', async () => {
+  const calls = [];
+  const query = {
+    select(columns) { calls.push(['select', columns]); return query; },
+    eq(column, value) { calls.push(['eq', column, value]); return query; },
+    maybeSingle: async () => ({ data: { id: 't1', name: 'HR export', mapping: TEMPLATE.mapping }, error: null })
+  };
+  const supabase = { from(table) { calls.push(['from', table]); return query; } };
+
+  const template = await findTemplate(supabase, 'abc');
+
+  assert.equal(template.id, 't1');
+  assert.deepEqual(calls, [
+    ['from', 'mapping_templates'],
+    ['select', 'id, name, mapping'],
+    ['eq', 'header_fingerprint', 'abc']
+  ]);
+  assert.equal(await findTemplate(null, 'abc'), null);
+});
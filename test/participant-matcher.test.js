@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { nameSimilarity, findMatches } = require('../public/participant-matcher');
+
+test('nameSimilarity ignores case, accents, punctuation and word order', () => {
+  assert.equal(nameSimilarity('José Núñez', 'jose nunez'), 1);
+  assert.ok(nameSimilarity('ana torres', 'Torres, Ana') > 0.9);
+});
+
+test('nameSimilarity scores a shorter name contained in a longer one at 0.9', () => {
+  assert.equal(nameSimilarity('Ana Torres', 'Ana María Torres Díaz'), 0.9);
+});
+
+test('nameSimilarity scores typos by edit distance', () => {
+  assert.equal(nameSimilarity('Jon Smith', 'John Smith'), 0.9);
+  assert.equal(nameSimilarity('Ana Torr', 'Ana Torres'), 0.8);
+  assert.ok(nameSimilarity('Ana Torres', 'Luis Gómez') < 0.2);
+  assert.equal(nameSimilarity('', 'Ana Torres'), 0);
+});
+
+test('findMatches matches names at the 0.85 threshold and above', () => {
+  const participants = [
+    { id: 'typo', full_name: 'John Smith' },
+    { id: 'close', full_name: 'Ana Torres' },
+    { id: 'other', full_name: 'Luis Gómez' }
+  ];
+
+  assert.deepEqual(findMatches({ full_name: 'Jon Smith' }, { participants }).map(m => m.record.id), ['typo']);
+  // 0.8 similar: below the threshold
+  assert.deepEqual(findMatches({ full_name: 'Ana Torr' }, { participants }), []);
+});
+
+test('findMatches skips names shorter than three characters', () => {
+  const participants = [{ id: 'p1', full_name: 'Al' }];
+
+  assert.deepEqual(findMatches({ full_name: 'Al' }, { participants }), []);
+});
+
+test('findMatches matches email and DNI regardless of case and punctuation', () => {
+  const participants = [{ id: 'p1', full_name: 'Ana Torres', email: 'Ana@Example.com', dni: '12.345.678' }];
+  const [match] = findMatches({ full_name: 'Someone Else', email: 'ana@example.com ', dni: '12345678' }, { participants });
+
+  assert.equal(match.kind, 'registered');
+  assert.deepEqual(match.reasons, ['email', 'dni']);
+});
+
+test('findMatches checks the identifier of pending pre-registrations only', () => {
+  const preregistered = [
+    { id: 'pending', identifier_value: '12-345-678', is_registered: false },
+    { id: 'done', identifier_value: '12345678', is_registered: true }
+  ];
+  const matches = findMatches({ dni: '12345678' }, { preregistered });
+
+  assert.equal(matches.length, 1);
+  assert.equal(matches[0].kind, 'preregistered');
+  assert.equal(matches[0].record.id, 'pending');
+  assert.deepEqual(matches[0].reasons, ['dni']);
+});
+
+test('findMatches lists email and DNI matches before name-only ones, at most five', () => {
+  const participants = [
+    ...Array.from({ length: 5 }, (_, i) => ({ id: `name${i}`, full_name: 'Ana Torres' })),
+    { id: 'email', full_name: 'A. T.', email: 'ana@example.com' }
+  ];
+  const matches = findMatches({ full_name: 'Ana Torres', email: 'ana@example.com' }, { participants });
+
+  assert.equal(matches.length, 5);
+  assert.equal(matches[0].record.id, 'email');
+});
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { MAX_TICKET_IDS, getTicketSecret, parseTicketIds, signTicket, verifyTicket } = require('../netlify/functions/lib/tickets');
+
+const SECRET = 'test-secret';
+const EVENT_ID = '11111111-1111-1111-1111-111111111111';
+const PRE_REG_ID = '22222222-2222-2222-2222-222222222222';
+
+test('signTicket builds RT1.<id>.<signature> from an HMAC-SHA256 of event and row', () => {
+  const expected = crypto
+    .createHmac('sha256', SECRET)
+    .update(`${EVENT_ID}:${PRE_REG_ID}`)
+    .digest()
+    .subarray(0, 16)
+    .toString('base64url');
+
+  assert.equal(signTicket(SECRET, EVENT_ID, PRE_REG_ID), `RT1.${PRE_REG_ID}.${expected}`);
+});
+
+test('verifyTicket returns the pre-registered id of a valid token', () => {
+  const token = signTicket(SECRET, EVENT_ID, PRE_REG_ID);
+
+  assert.equal(verifyTicket(SECRET, EVENT_ID, token), PRE_REG_ID);
+  // Scanners may add a trailing newline or spaces
+  assert.equal(verifyTicket(SECRET, EVENT_ID, ` ${token}\n`), PRE_REG_ID);
+});
+
+test('verifyTicket rejects a tampered signature or id', () => {
+  const token = signTicket(SECRET, EVENT_ID, PRE_REG_ID);
+  const [prefix, id, signature] = token.split('.');
+  const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+
+  assert.equal(verifyTicket(SECRET, EVENT_ID, `${prefix}.${id}.${flipped}`), null);
+  assert.equal(verifyTicket(SECRET, EVENT_ID, `${prefix}.${id}.${signature.slice(1)}`), null);
+  assert.equal(verifyTicket(SECRET, EVENT_ID, `${prefix}.33333333-3333-3333-3333-333333333333.${signature}`), null);
+});
+
+test('verifyTicket rejects tokens for another event or signed with another secret', () => {
+  const token = signTicket(SECRET, EVENT_ID, PRE_REG_ID);
+
+  assert.equal(verifyTicket(SECRET, '99999999-9999-9999-9999-999999999999', token), null);
+  assert.equal(verifyTicket('other-secret', EVENT_ID, token), null);
+});
+
+test('verifyTicket rejects malformed tokens', () => {
+  const signature = signTicket(SECRET, EVENT_ID, PRE_REG_ID).split('.')[2];
+
+  assert.equal(verifyTicket(SECRET, EVENT_ID, `RT2.${PRE_REG_ID}.${signature}`), null);
+  assert.equal(verifyTicket(SECRET, EVENT_ID, `RT1.${PRE_REG_ID}`), null);
+  assert.equal(verifyTicket(SECRET, EVENT_ID, ''), null);
+  assert.equal(verifyTicket(SECRET, EVENT_ID, null), null);
+});
+
+test('getTicketSecret reads TICKET_SECRET', (t) => {
+  const previous = process.env.TICKET_SECRET;
+  t.after(() => {
+    if (previous === undefined) delete process.env.TICKET_SECRET;
+    else process.env.TICKET_SECRET = previous;
+  });
+
+  process.env.TICKET_SECRET = 'from-env';
+  assert.equal(getTicketSecret(), 'from-env');
+
+  delete process.env.TICKET_SECRET;
+  assert.equal(getTicketSecret(), null);
+});
+
+test('parseTicketIds accepts a missing list or a list of UUIDs', () => {
+  assert.deepEqual(parseTicketIds(undefined), []);
+  assert.deepEqual(parseTicketIds([PRE_REG_ID]), [PRE_REG_ID]);
+});
+
+test('parseTicketIds answers 400 for anything else', () => {
+  const tooMany = Array.from({ length: MAX_TICKET_IDS + 1 }, () => PRE_REG_ID);
+
+  [PRE_REG_ID, ['not-a-uuid'], [PRE_REG_ID, 42], [{ id: PRE_REG_ID }], tooMany].forEach(ids => {
+    assert.throws(() => parseTicketIds(ids), (error) => {
+      assert.equal(error.statusCode, 400);
+      assert.equal(error.code, 'invalid_payload');
+      return true;
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+
+const { SHEET_COLUMN, detectHeaderRow, readWorkbook } = require('../public/workbook-reader');
+
+// .xlsx file contents, as the browser reads them, with one sheet per entry of sheets ({ name: rows as arrays })
+function workbookFile(sheets) {
+  const workbook = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([name, rows]) => {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name);
+  });
+  return new Uint8Array(XLSX.write(workbook, { type: 'array', bookType: 'xlsx' }));
+}
+
+test('detectHeaderRow skips title rows above the table', () => {
+  assert.equal(detectHeaderRow([
+    ['Participants 2024', '', ''],
+    ['', '', ''],
+    ['Name', 'Email', 'DNI'],
+    ['Ana Torres', 'ana@example.com', 12345678]
+  ]), 2);
+});
+
+test('detectHeaderRow defaults to the first row', () => {
+  assert.equal(detectHeaderRow([['Name', 'Email'], ['Ana', 'ana@example.com']]), 0);
+  assert.equal(detectHeaderRow([['only one cell']]), 0);
+  assert.equal(detectHeaderRow([]), 0);
+});
+
+test('readWorkbook reads the largest sheet by default', () => {
+  const result = readWorkbook(workbookFile({
+    Cover: [['Event list'], ['Generated today']],
+    People: [['Title row'], ['Name', 'Email'], ['Ana', 'ana@example.com'], ['Luis', 'luis@example.com'], ['Eva', 'eva@example.com']]
+  }));
+
+  assert.deepEqual(result.selectedSheets, ['People']);
+  assert.deepEqual(result.columns, ['Name', 'Email']);
+  assert.equal(result.rows.length, 3);
+  assert.deepEqual(result.rows[0], { Name: 'Ana', Email: 'ana@example.com' });
+  assert.deepEqual(result.sheets.find(sheet => sheet.name === 'People'), { name: 'People', rowCount: 3, headerRow: 2 });
+});
+
+test('readWorkbook merges selected sheets and tags rows with their sheet', () => {
+  const result = readWorkbook(workbookFile({
+    Sales: [['Name', 'Email'], ['Ana', 'ana@example.com']],
+    IT: [['Name', 'DNI'], ['Luis', 87654321]]
+  }), { sheets: ['Sales', 'IT'] });
+
+  assert.deepEqual(result.columns, ['Name', 'Email', 'DNI']);
+  assert.deepEqual(result.rows.map(row => row[SHEET_COLUMN]), ['Sales', 'IT']);
+  assert.equal(result.sheetColumn, SHEET_COLUMN);
+});
+
+test('readWorkbook tags rows of a single sheet only when the area comes from the sheet', () => {
+  const file = workbookFile({ Sales: [['Name'], ['Ana']] });
+
+  assert.equal(readWorkbook(file).sheetColumn, null);
+  assert.equal(readWorkbook(file, { areaFromSheet: true }).rows[0][SHEET_COLUMN], 'Sales');
+});